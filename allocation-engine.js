@@ -0,0 +1,238 @@
+/**
+ * Allocation Engine Module
+ * Decides which requirements owned stash stock is allocated to, following the user's priority order
+ */
+
+class AllocationEngine {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.defaultOrderCache = null;
+    }
+
+    /**
+     * Get projects and their groups in data order
+     * Grouping every project is relatively expensive, so the result is cached until project data changes
+     * @returns {Array<{projectName: string, groups: Array<string>}>} Default priorities
+     */
+    getDefaultOrder() {
+        const projects = this.dataLoader.getProjects();
+        const itemLists = Object.values(projects);
+        const cache = this.defaultOrderCache;
+
+        if (!cache || cache.itemLists.length !== itemLists.length || itemLists.some((items, index) => items !== cache.itemLists[index])) {
+            this.defaultOrderCache = {
+                itemLists,
+                order: Object.entries(projects).map(([projectName, items]) => ({
+                    projectName,
+                    // Mission-only items never take stock, so groups made only of them are left out
+                    groups: Object.keys(this.dataLoader.groupItemsByRequirement(this.dataLoader.getShownItems(items, false)))
+                }))
+            };
+        }
+
+        return this.defaultOrderCache.order.map(project => ({ ...project, groups: [...project.groups] }));
+    }
+
+    /**
+     * Get the priority order of projects and their groups
+     * Saved priorities are reconciled with the loaded data: unknown entries are dropped
+     * and projects or groups missing from the saved order are appended in data order
+     * @returns {Array<{projectName: string, groups: Array<string>}>} Ordered priorities
+     */
+    getPriorityOrder() {
+        const saved = this.stateManager.getAllocationPriorities();
+        const defaults = this.getDefaultOrder();
+
+        const order = [];
+        saved.forEach(entry => {
+            const fallback = defaults.find(project => project.projectName === entry.projectName);
+            if (!fallback || order.some(project => project.projectName === entry.projectName)) return;
+
+            const savedGroups = (entry.groups || []).filter(group => fallback.groups.includes(group));
+            const newGroups = fallback.groups.filter(group => !savedGroups.includes(group));
+            order.push({ projectName: entry.projectName, groups: [...savedGroups, ...newGroups] });
+        });
+
+        defaults.forEach(project => {
+            if (!order.some(entry => entry.projectName === project.projectName)) {
+                order.push(project);
+            }
+        });
+
+        return order;
+    }
+
+    /**
+     * Move a project up or down the priority order
+     * @param {string} projectName - Project name
+     * @param {number} offset - -1 to raise priority, 1 to lower it
+     */
+    moveProject(projectName, offset) {
+        const order = this.getPriorityOrder();
+        const index = order.findIndex(entry => entry.projectName === projectName);
+        this.moveEntry(order, index, offset);
+        this.stateManager.setAllocationPriorities(order);
+    }
+
+    /**
+     * Move a group up or down within its project's priority order
+     * @param {string} projectName - Project name
+     * @param {string} groupName - Group name
+     * @param {number} offset - -1 to raise priority, 1 to lower it
+     */
+    moveGroup(projectName, groupName, offset) {
+        const order = this.getPriorityOrder();
+        const project = order.find(entry => entry.projectName === projectName);
+        if (!project) return;
+
+        this.moveEntry(project.groups, project.groups.indexOf(groupName), offset);
+        this.stateManager.setAllocationPriorities(order);
+    }
+
+    /**
+     * Move an array entry in place, ignoring moves past either end
+     * @param {Array} list - List to reorder
+     * @param {number} index - Current index
+     * @param {number} offset - Positions to move by
+     */
+    moveEntry(list, index, offset) {
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= list.length) return;
+
+        const [entry] = list.splice(index, 1);
+        list.splice(target, 0, entry);
+    }
+
+    /**
+     * Get the rank of an item instance in the priority order (lower is served first)
+     * An instance listed under several groups ranks with its highest-priority group
+     * @param {Object} instance - Instance from the item totals registry
+     * @param {Array} order - Priority order from getPriorityOrder
+     * @returns {number} Rank
+     */
+    getInstanceRank(instance, order) {
+        const projectIndex = order.findIndex(entry => entry.projectName === instance.projectName);
+        if (projectIndex === -1) return Number.MAX_SAFE_INTEGER;
+
+        const groups = order[projectIndex].groups;
+        const groupIndexes = instance.requirement.split(',')
+            .map(requirement => groups.indexOf(requirement.trim()))
+            .filter(index => index !== -1);
+        const groupIndex = groupIndexes.length > 0 ? Math.min(...groupIndexes) : groups.length;
+
+        // Project order always outranks group order
+        return projectIndex * 100000 + groupIndex;
+    }
+
+    /**
+     * Allocate owned stash stock of one item across its outstanding requirements
+     * Instances are served in priority order; mission-only quest items never take stock
+     * @param {string} itemKey - Item key (see DataLoader.getItemKey)
+     * @param {Array} order - Priority order (defaults to getPriorityOrder)
+     * @returns {Object|null} Allocation summary or null for items no project needs
+     */
+    allocateItem(itemKey, order = this.getPriorityOrder()) {
+        const totals = this.dataLoader.getItemTotals()[itemKey];
+        if (!totals) return null;
+
+        const owned = this.stateManager.getStashCount(itemKey);
+        let available = owned;
+        let outstanding = 0;
+
+        const ranked = totals.instances
+            .map((instance, index) => ({ instance, index, rank: this.getInstanceRank(instance, order) }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+        const instances = ranked.map(({ instance }) => {
+            const collected = this.dataLoader.getInstanceCollected(instance, this.stateManager);
+            const missing = instance.keepable ? instance.quantity - collected : 0;
+            const allocated = Math.min(missing, available);
+
+            available -= allocated;
+            outstanding += missing;
+
+            return {
+                ...instance,
+                collected,
+                allocated,
+                missing: missing - allocated,
+                covered: collected + allocated >= instance.quantity
+            };
+        });
+
+        return {
+            name: totals.name,
+            owned,
+            outstanding,
+            allocated: owned - available,
+            stillNeeded: outstanding - (owned - available),
+            spare: available,
+            instances
+        };
+    }
+
+    /**
+     * Allocate owned stash stock across all projects
+     * @returns {Object} Allocation summaries keyed by item key
+     */
+    allocateAll() {
+        const order = this.getPriorityOrder();
+        const allocation = {};
+        for (const itemKey of Object.keys(this.dataLoader.getItemTotals())) {
+            allocation[itemKey] = this.allocateItem(itemKey, order);
+        }
+        return allocation;
+    }
+
+    /**
+     * Summarise an item allocation per project
+     * @param {Object} allocation - Allocation summary from allocateItem
+     * @returns {Array<{projectName: string, needed: number, allocated: number, missing: number, complete: boolean}>} Per-project totals in priority order
+     */
+    getProjectBreakdown(allocation) {
+        const breakdown = [];
+        allocation.instances.forEach(instance => {
+            if (!instance.keepable) return;
+
+            let entry = breakdown.find(project => project.projectName === instance.projectName);
+            if (!entry) {
+                entry = { projectName: instance.projectName, needed: 0, allocated: 0, missing: 0, complete: true };
+                breakdown.push(entry);
+            }
+
+            entry.needed += instance.quantity - instance.collected;
+            entry.allocated += instance.allocated;
+            entry.missing += instance.missing;
+            entry.complete = entry.complete && instance.collected >= instance.quantity;
+        });
+        return breakdown;
+    }
+
+    /**
+     * Check whether a requirement row is satisfied by collected progress plus stash stock
+     * @param {string} projectName - Project name
+     * @param {Object} item - Requirement row (as produced by DataLoader.groupItemsByRequirement)
+     * @param {Array} order - Priority order (defaults to getPriorityOrder)
+     * @returns {boolean} True if the row is fully covered
+     */
+    isRequirementCovered(projectName, item, order = this.getPriorityOrder()) {
+        const allocation = this.allocateItem(this.dataLoader.getItemKey(item.name), order);
+        if (!allocation) return false;
+
+        const instance = allocation.instances.find(candidate =>
+            candidate.projectName === projectName && candidate.requirementIds.includes(item.id)
+        );
+        return instance ? instance.covered : false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AllocationEngine;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.AllocationEngine = AllocationEngine;
+}
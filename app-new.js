@@ -18,11 +18,31 @@ class ArcShoppingList {
         // Initialize modules
         this.stateManager = new StateManager();
         this.dataLoader = new DataLoader();
-        this.uiRenderer = new UIRenderer(this.stateManager, this.dataLoader);
+        this.dataValidator = new DataValidator(this.dataLoader);
+        this.allocationEngine = new AllocationEngine(this.stateManager, this.dataLoader);
+        this.questChain = new QuestChain(this.stateManager, this.dataLoader);
+        this.stationLadder = new StationLadder(this.stateManager, this.dataLoader);
+        this.phaseSequence = new PhaseSequence(this.stateManager, this.dataLoader);
+        this.tierProgression = new TierProgression(this.stateManager, this.dataLoader);
+        this.recipeCalculator = new RecipeCalculator(this.stateManager, this.dataLoader, this.allocationEngine);
+        this.recyclePlanner = new RecyclePlanner(this.stateManager, this.dataLoader, this.allocationEngine);
+        this.itemAdvisor = new ItemAdvisor(this.stateManager, this.dataLoader);
+        this.uiRenderer = new UIRenderer(this.stateManager, this.dataLoader, this.allocationEngine, this.questChain,
+            this.stationLadder, this.phaseSequence, this.tierProgression, this.recipeCalculator, this.recyclePlanner, this.itemAdvisor);
+        this.dialogManager = new DialogManager();
+        this.backupManager = new BackupManager(this.stateManager, this.dataLoader, this.config.backupRetention);
+        this.modelStateExchange = new ModelStateExchange(this.stateManager, this.dataLoader);
+        this.progressExchange = new ProgressExchange(this.stateManager, this.dataLoader, this.modelStateExchange, this.phaseSequence);
+        this.spreadsheetExporter = new SpreadsheetExporter(this.stateManager, this.dataLoader);
+        this.progressCode = new ProgressCode(this.stateManager, this.dataLoader, this.modelStateExchange, this.phaseSequence);
+
+        // Archived cycle shown in the history tab
+        this.historyCycleId = null;
 
         // Wiki pagination state
         this.currentPage = 1;
         this.itemsPerPage = this.config.itemsPerPage;
+        this.wikiTypeFilter = '';
 
         // Make app globally available for onclick handlers
         window.app = this;
@@ -37,8 +57,10 @@ class ArcShoppingList {
         try {
             this.uiRenderer.showLoading();
             await this.loadData();
+            await this.backupManager.createBackup('launch');
             this.setupEventHandlers();
             this.renderInitialUI();
+            this.uiRenderer.renderDataProblems(this.dataProblems);
             this.uiRenderer.hideLoading();
         } catch (error) {
             console.error('Failed to initialize app:', error);
@@ -50,24 +72,70 @@ class ArcShoppingList {
      * Load all application data
      */
     async loadData() {
+        // Data packs come first because their item overrides apply to the wiki data
+        await this.dataLoader.loadProjectFiles();
         await Promise.all([
-            this.dataLoader.loadProjectFiles(),
-            this.dataLoader.loadWikiData()
+            this.dataLoader.loadWikiData(),
+            this.dataLoader.loadIdAliases()
         ]);
-        this.stateManager.loadState();
 
+        this.dataProblems = this.dataValidator.validate();
+        if (this.dataProblems.length > 0) {
+            console.warn(`Item data has ${this.dataProblems.length} problems; see the Data problems panel`);
+        }
 
+        // Saved progress is migrated against the loaded data so renamed rows keep their counts
+        this.stateManager.loadState({
+            quantities: this.dataLoader.getRequirementQuantities(),
+            aliases: this.dataLoader.getIdAliases()
+        });
     }
 
     /**
      * Setup event handlers
      */
     setupEventHandlers() {
+        // Project tabs come from the data packs, so they exist before tab switching is wired
+        this.uiRenderer.renderProjectTabs(this.dataLoader.getProjectDefinitions());
+
         // Tab switching
         this.uiRenderer.setupTabs((tabName) => this.switchTab(tabName));
 
         // Theme toggle
         this.initializeTheme();
+
+        // Backup restore
+        const backupButton = document.getElementById('backup-button');
+        if (backupButton) {
+            backupButton.addEventListener('click', () => this.openRestoreDialog());
+        }
+
+        // Progress codes
+        const shareCodeButton = document.getElementById('share-code-button');
+        if (shareCodeButton) {
+            shareCodeButton.addEventListener('click', () => this.openShareCodeDialog());
+        }
+
+        // Spreadsheet export of the combined list and each project tab
+        document.querySelectorAll('.export-csv-button').forEach(button => {
+            button.addEventListener('click', () => this.exportCsv(button.dataset.project));
+        });
+
+        // Undo/redo: the desktop app's Edit menu owns the shortcuts, the browser uses key handling
+        if (window.electronAPI) {
+            window.electronAPI.onMenuCommand((command) => this.handleMenuCommand(command));
+        } else {
+            document.addEventListener('keydown', (e) => {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+                const key = e.key.toLowerCase();
+                const command = key === 'z' ? (e.shiftKey ? 'redo' : 'undo') : (key === 'y' && !e.shiftKey ? 'redo' : null);
+                if (!command || this.isTextFieldFocused()) return;
+
+                e.preventDefault();
+                this.handleEditCommand(command);
+            });
+        }
     }
 
     /**
@@ -76,7 +144,188 @@ class ArcShoppingList {
     renderInitialUI() {
         // Render all tabs initially (like the original renderAllProjects method)
         this.renderAllProjects();
-        this.uiRenderer.renderAllItems();
+        this.renderAllItemsTab();
+        this.renderHistoryTab();
+        this.renderProfileSwitcher();
+        this.uiRenderer.renderStateNotice(this.stateManager.getMigrationReport(), () => this.discardOrphanedEntries());
+    }
+
+    /**
+     * Render the cycle history tab
+     */
+    renderHistoryTab() {
+        const cycles = this.stateManager.getCycles();
+        if (!cycles.some(cycle => cycle.id === this.historyCycleId)) {
+            this.historyCycleId = cycles.length > 0 ? cycles[cycles.length - 1].id : null;
+        }
+
+        this.uiRenderer.renderHistory(cycles, this.historyCycleId, (action, cycleId) => this.handleHistoryAction(action, cycleId));
+    }
+
+    /**
+     * Handle a cycle history action
+     * @param {string} action - 'start', 'select' or 'delete'
+     * @param {string|null} cycleId - Cycle the action applies to
+     */
+    async handleHistoryAction(action, cycleId) {
+        if (action === 'select') {
+            this.historyCycleId = cycleId;
+            this.renderHistoryTab();
+        } else if (action === 'start') {
+            await this.startNewCycle();
+        } else if (action === 'delete' && cycleId) {
+            const cycle = this.stateManager.getCycles().find(candidate => candidate.id === cycleId);
+            const confirmed = await this.dialogManager.confirm({
+                title: 'Delete Archive',
+                message: `Delete the archived cycle ${cycle.label}? This cannot be undone.`,
+                confirmLabel: 'Delete',
+                danger: true
+            });
+            if (confirmed) {
+                this.stateManager.deleteCycle(cycleId);
+                this.renderHistoryTab();
+            }
+        }
+    }
+
+    /**
+     * Archive the current progress and reset the chosen projects
+     */
+    async startNewCycle() {
+        const projectNames = Object.keys(this.dataLoader.getProjects());
+
+        const body = document.createElement('div');
+        body.innerHTML = `
+            <p>The current progress of every project is archived under this label. Checked projects are then reset for the new cycle.</p>
+            <input type="text" class="search-input dialog-input" maxlength="60" aria-label="Cycle label">
+            <div class="dialog-options">
+                ${projectNames.map(projectName => `
+                    <label><input type="checkbox" data-project="${this.uiRenderer.escapeHtml(projectName)}" checked> Reset ${this.uiRenderer.escapeHtml(projectName)}</label>
+                `).join('')}
+                <label><input type="checkbox" data-stash> Reset stash inventory</label>
+            </div>
+        `;
+        const defaultLabel = `Cycle ${this.stateManager.getCycles().length + 1} (${new Date().toLocaleDateString()})`;
+        const labelInput = body.querySelector('.dialog-input');
+        labelInput.value = defaultLabel;
+
+        const result = await this.dialogManager.open({
+            title: 'Start New Cycle',
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Archive and Reset', value: 'confirm', danger: true }
+            ]
+        });
+        if (result !== 'confirm') return;
+
+        const resetProjects = [...body.querySelectorAll('[data-project]:checked')].map(input => input.dataset.project);
+        await this.backupManager.createBackup('before-reset');
+        const cycle = this.stateManager.startNewCycle(
+            labelInput.value.trim() || defaultLabel,
+            projectNames,
+            resetProjects,
+            body.querySelector('[data-stash]').checked
+        );
+
+        this.historyCycleId = cycle.id;
+        this.renderInitialUI();
+    }
+
+    /**
+     * Render the header profile switcher
+     */
+    renderProfileSwitcher() {
+        this.uiRenderer.renderProfileSwitcher(
+            this.stateManager.getProfiles(),
+            this.stateManager.getActiveProfile().id,
+            (action, profileId) => this.handleProfileAction(action, profileId)
+        );
+    }
+
+    /**
+     * Handle a profile switcher action
+     * @param {string} action - 'switch', 'create', 'rename', 'duplicate' or 'delete'
+     * @param {string} profileId - Profile the action applies to
+     */
+    async handleProfileAction(action, profileId) {
+        const profile = this.stateManager.getProfiles().find(candidate => candidate.id === profileId);
+        if (!profile) return;
+
+        if (action === 'switch') {
+            this.switchProfile(profileId);
+        } else if (action === 'create') {
+            const name = await this.dialogManager.prompt({
+                title: 'New Profile',
+                message: 'Each profile keeps its own progress, collapsed groups and theme.',
+                confirmLabel: 'Create'
+            });
+            if (name) this.switchProfile(this.stateManager.createProfile(name));
+        } else if (action === 'rename') {
+            const name = await this.dialogManager.prompt({ title: 'Rename Profile', value: profile.name, confirmLabel: 'Rename' });
+            if (name) {
+                this.stateManager.renameProfile(profileId, name);
+                this.renderProfileSwitcher();
+            }
+        } else if (action === 'duplicate') {
+            const name = await this.dialogManager.prompt({
+                title: 'Duplicate Profile',
+                message: `The new profile starts with a copy of ${profile.name}'s progress.`,
+                value: `${profile.name} (copy)`,
+                confirmLabel: 'Duplicate'
+            });
+            if (name) this.switchProfile(this.stateManager.duplicateProfile(profileId, name));
+        } else if (action === 'delete') {
+            const confirmed = await this.dialogManager.confirm({
+                title: 'Delete Profile',
+                message: `Delete ${profile.name} and all of its progress? A backup is taken first and can be restored from Backups.`,
+                confirmLabel: 'Delete',
+                danger: true
+            });
+            if (!confirmed) return;
+
+            await this.backupManager.createBackup('before-delete-profile');
+            if (this.stateManager.deleteProfile(profileId)) {
+                this.refreshProfileUI();
+            }
+        }
+    }
+
+    /**
+     * Switch to another profile
+     * @param {string} profileId - Profile ID
+     */
+    switchProfile(profileId) {
+        if (this.stateManager.switchProfile(profileId)) {
+            this.refreshProfileUI();
+        }
+    }
+
+    /**
+     * Re-render everything that depends on the active profile's state
+     */
+    refreshProfileUI() {
+        this.setTheme(this.stateManager.getTheme());
+        this.renderInitialUI();
+    }
+
+    /**
+     * Permanently discard saved progress that matches no current item
+     */
+    discardOrphanedEntries() {
+        this.stateManager.discardOrphanedEntries();
+        this.uiRenderer.renderStateNotice(this.stateManager.getMigrationReport(), () => this.discardOrphanedEntries());
+    }
+
+    /**
+     * Render the combined "All Items" tab
+     */
+    renderAllItemsTab() {
+        this.uiRenderer.renderAllItems(
+            (itemKey, count) => this.setStashCount(itemKey, count),
+            (projectName, groupName, offset) => this.moveAllocationPriority(projectName, groupName, offset),
+            (show) => this.setShowMissionItems(show)
+        );
     }
 
     /**
@@ -84,18 +333,34 @@ class ArcShoppingList {
      */
     renderAllProjects() {
         // Render all individual project tabs
-        const projectMappings = [
-            { tab: 'expedition', project: 'Expedition Project' },
-            { tab: 'quests', project: 'Quest items' },
-            { tab: 'scrappy', project: 'Scrappy items' },
-            { tab: 'workshop', project: 'Workshop items' }
-        ];
-
-        projectMappings.forEach(({ tab, project }) => {
-            this.uiRenderer.renderSingleProject(project, `${tab}-container`, (projectName, itemId) => this.toggleItem(projectName, itemId), (groupId) => this.toggleGroupCollapse(groupId));
+        this.dataLoader.getProjectDefinitions().forEach(({ name, tab }) => {
+            this.renderProjectTab(name, tab);
         });
     }
 
+    /**
+     * Render a single project tab
+     * @param {string} projectName - Project name
+     * @param {string} tabName - Tab name
+     */
+    renderProjectTab(projectName, tabName) {
+        this.uiRenderer.renderSingleProject(
+            projectName,
+            `${tabName}-container`,
+            (project, itemId) => this.toggleItem(project, itemId),
+            (groupId) => this.toggleGroupCollapse(groupId),
+            (project, itemId, count) => this.setItemCount(project, itemId, count),
+            (project, groupName, items, completed) => this.setGroupCompleted(project, groupName, items, completed),
+            (show) => this.setShowMissionItems(show),
+            {
+                setQuestFinished: (project, questName, finished) => this.setQuestFinished(project, questName, finished),
+                setStationLevel: (project, stationName, level, upgrade) => this.setStationLevel(project, stationName, level, upgrade),
+                setPhaseDelivered: (project, phaseName, delivered) => this.setPhaseDelivered(project, phaseName, delivered),
+                setTierLevel: (project, level, levelUp) => this.setTierLevel(project, level, levelUp)
+            }
+        );
+    }
+
     /**
      * Switch to a specific tab
      * @param {string} tabName - Tab name to switch to
@@ -106,9 +371,10 @@ class ArcShoppingList {
         // Render specific content based on tab
         if (tabName === 'wiki') {
             this.renderWikiTab();
+        } else if (tabName === 'history') {
+            this.renderHistoryTab();
         } else if (tabName !== 'all') {
-            const projectName = this.getProjectNameFromTab(tabName);
-            this.uiRenderer.renderSingleProject(projectName, `${tabName}-container`, (project, itemId) => this.toggleItem(project, itemId), (groupId) => this.toggleGroupCollapse(groupId));
+            this.renderProjectTab(this.getProjectNameFromTab(tabName), tabName);
         }
     }
 
@@ -118,13 +384,8 @@ class ArcShoppingList {
      * @returns {string} Project name
      */
     getProjectNameFromTab(tabName) {
-        const mapping = {
-            'expedition': 'Expedition Project',
-            'quests': 'Quest items',
-            'scrappy': 'Scrappy items',
-            'workshop': 'Workshop items'
-        };
-        return mapping[tabName];
+        const definition = this.dataLoader.getProjectDefinitions().find(({ tab }) => tab === tabName);
+        return definition ? definition.name : undefined;
     }
 
     /**
@@ -133,19 +394,567 @@ class ArcShoppingList {
      * @param {string} itemId - Item ID
      */
     toggleItem(projectName, itemId) {
-        this.stateManager.toggleItem(projectName, itemId);
+        if (this.isItemLocked(projectName, itemId)) return;
+        const quantity = this.dataLoader.getRequirementQuantity(projectName, itemId);
+        this.stateManager.toggleItem(projectName, itemId, quantity);
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Set collected count of a requirement row
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Item ID
+     * @param {number} count - Collected count
+     */
+    setItemCount(projectName, itemId, count) {
+        if (this.isItemLocked(projectName, itemId)) return;
+        const quantity = this.dataLoader.getRequirementQuantity(projectName, itemId);
+        this.stateManager.setItemCount(projectName, itemId, count, quantity);
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Check whether a requirement row belongs to a delivered phase, telling the user if it does
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Item ID
+     * @returns {boolean} Whether the row is locked
+     */
+    isItemLocked(projectName, itemId) {
+        const phaseName = this.phaseSequence.getLockingPhase(projectName, itemId);
+        if (phaseName) {
+            this.uiRenderer.showToast(`${phaseName} has been delivered; reopen it to change its items`);
+        }
+        return phaseName !== null;
+    }
+
+    /**
+     * Mark every item in a group collected or not collected as one undoable action
+     * @param {string} projectName - Project name
+     * @param {string} groupName - Group name
+     * @param {Array} items - Requirement rows in the group
+     * @param {boolean} completed - Completion state
+     */
+    setGroupCompleted(projectName, groupName, items, completed) {
+        if (items.some(item => this.isItemLocked(projectName, item.id))) return;
+        this.stateManager.runTransaction(`${completed ? 'Mark' : 'Clear'} ${groupName}`, () => {
+            items.forEach(item => {
+                this.stateManager.setItemCompleted(projectName, item.id, completed, this.dataLoader.getItemQuantity(item));
+            });
+        });
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Complete or reopen a quest as one undoable action
+     * Completing a quest checks off all of its items and reports the quests it unlocks
+     * @param {string} projectName - Project name
+     * @param {string} questName - Quest name
+     * @param {boolean} finished - Whether the quest is finished
+     */
+    setQuestFinished(projectName, questName, finished) {
+        if (finished) {
+            const unlocked = this.questChain.completeQuest(projectName, questName);
+            this.uiRenderer.showToast(unlocked.length > 0 ? `Completed ${questName}. Now available: ${unlocked.join(', ')}` : `Completed ${questName}`);
+        } else {
+            this.questChain.reopenQuest(projectName, questName);
+        }
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Change the built level of a workshop station
+     * Upgrading checks off the next level's items and raises the level as one undoable action;
+     * otherwise only the stored level changes
+     * @param {string} projectName - Project name
+     * @param {string} stationName - Station name
+     * @param {number} level - New level
+     * @param {boolean} upgrade - Whether this builds the next level
+     */
+    setStationLevel(projectName, stationName, level, upgrade) {
+        if (upgrade) {
+            const newLevel = this.stationLadder.upgrade(projectName, stationName);
+            if (newLevel !== null) {
+                this.uiRenderer.showToast(`${stationName} upgraded to level ${newLevel}`);
+            }
+        } else {
+            this.stateManager.setStationLevel(projectName, stationName, level);
+        }
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Change the level a tiered project has reached
+     * Levelling up checks off the next tier's items and raises the level as one undoable action;
+     * otherwise only the stored level changes
+     * @param {string} projectName - Project name
+     * @param {number} level - New level
+     * @param {boolean} levelUp - Whether this reaches the next tier
+     */
+    setTierLevel(projectName, level, levelUp) {
+        if (levelUp) {
+            const newLevel = this.tierProgression.levelUp(projectName);
+            if (newLevel !== null) {
+                this.uiRenderer.showToast(`${projectName} reached level ${newLevel}`);
+            }
+        } else {
+            this.stateManager.setTierLevel(projectName, level);
+        }
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Deliver the current phase of a project or reopen the most recently delivered one
+     * @param {string} projectName - Project name
+     * @param {string} phaseName - Phase name
+     * @param {boolean} delivered - Whether the phase is delivered
+     */
+    setPhaseDelivered(projectName, phaseName, delivered) {
+        if (delivered) {
+            if (this.phaseSequence.deliverPhase(projectName, phaseName)) {
+                const next = this.phaseSequence.getPhases(projectName).find(phase => phase.status === 'current');
+                this.uiRenderer.showToast(next ? `Delivered ${phaseName}. Current phase: ${next.name}` : `Delivered ${phaseName}. Every phase is delivered`);
+            }
+        } else {
+            this.phaseSequence.reopenPhase(projectName, phaseName);
+        }
+        this.refreshProgress(projectName);
+    }
+
+    /**
+     * Undo the last progress change
+     */
+    undo() {
+        const label = this.stateManager.undo();
+        if (label) {
+            this.refreshAfterHistoryChange();
+            this.uiRenderer.showToast(`Undid: ${label}`);
+        }
+    }
+
+    /**
+     * Redo the last undone progress change
+     */
+    redo() {
+        const label = this.stateManager.redo();
+        if (label) {
+            this.refreshAfterHistoryChange();
+            this.uiRenderer.showToast(`Redid: ${label}`);
+        }
+    }
+
+    /**
+     * Re-render every view after undo or redo, since an action can span projects
+     */
+    refreshAfterHistoryChange() {
+        this.dataLoader.buildItemTotals();
+        this.renderAllProjects();
+        this.renderAllItemsTab();
+        this.renderHistoryTab();
+    }
+
+    /**
+     * Run a command sent by the desktop app menu
+     * @param {string} command - 'undo', 'redo', 'export-progress', 'import-progress', 'merge-progress',
+     *     'export-csv', 'share-code' or 'restore-backup'
+     */
+    handleMenuCommand(command) {
+        if (command === 'merge-progress') {
+            this.mergeProgressFiles();
+        } else if (command === 'share-code') {
+            this.openShareCodeDialog();
+        } else if (command === 'export-csv') {
+            this.exportCsv('all');
+        } else if (command === 'export-progress') {
+            this.exportProgress();
+        } else if (command === 'import-progress') {
+            this.importProgress();
+        } else if (command === 'restore-backup') {
+            this.openRestoreDialog();
+        } else {
+            this.handleEditCommand(command);
+        }
+    }
+
+    /**
+     * Save the active profile's progress to a JSON file
+     */
+    async exportProgress() {
+        try {
+            const appVersion = await window.electronAPI.getAppVersion();
+            const progressDocument = this.progressExchange.createDocument(appVersion);
+            const date = progressDocument.exportedAt.slice(0, 10);
+
+            const saved = await this.saveTextFile({
+                title: 'Export Progress',
+                fileName: `arc-raiders-progress-${date}.json`,
+                contents: JSON.stringify(progressDocument, null, 2),
+                filter: { name: 'Progress Export', extensions: ['json'] },
+                mimeType: 'application/json'
+            });
+            if (saved) {
+                this.uiRenderer.showToast('Progress exported');
+            }
+        } catch (error) {
+            console.error('Failed to export progress:', error);
+            await this.dialogManager.alert({ title: 'Export Progress', message: `The progress could not be exported: ${error.message}` });
+        }
+    }
+
+    /**
+     * Merge two progress exports from diverging copies of a profile into the active profile
+     * Conflicting entries are reviewed before anything is written
+     */
+    async mergeProgressFiles() {
+        const first = await this.openProgressDocument('Merge Progress: Choose the First File');
+        if (!first) return;
+        const second = await this.openProgressDocument('Merge Progress: Choose the Second File');
+        if (!second) return;
+
+        const describe = (progressDocument) => `${progressDocument.profile || 'Unnamed profile'}, exported ${new Date(progressDocument.exportedAt).toLocaleString()}`;
+        const merge = this.progressExchange.mergeDocuments(first, second);
+
+        let body;
+        if (merge.conflicts.length > 0) {
+            body = this.uiRenderer.createMergeConflictBody(merge, describe(first), describe(second));
+        } else {
+            body = document.createElement('p');
+            body.textContent = `The files do not conflict; ${merge.merged} entries will be merged.` +
+                (merge.unmatched.length > 0 ? ` ${merge.unmatched.length} entries did not match any current item and will be skipped: ${merge.unmatched.join(', ')}.` : '') +
+                (merge.locked.length > 0 ? ` ${merge.locked.length} entries belong to a delivered phase and will be kept as they are: ${merge.locked.join(', ')}.` : '');
+        }
+
+        const activeName = this.stateManager.getActiveProfile().name;
+        const result = await this.dialogManager.open({
+            title: 'Merge Progress Files',
+            body,
+            className: 'code-dialog',
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: `Replace "${activeName}" with Merge`, value: 'merge', danger: true }
+            ]
+        });
+        if (result !== 'merge') return;
+
+        const choices = merge.conflicts.map((conflict, index) => {
+            const checked = body.querySelector(`input[data-index="${index}"]:checked`);
+            return checked ? checked.value : 'first';
+        });
+
+        await this.backupManager.createBackup('before-merge');
+        const plan = this.progressExchange.resolveMerge(merge, choices);
+        this.progressExchange.applyImport(plan, 'Merge progress files');
+        this.refreshAfterHistoryChange();
+        this.uiRenderer.showToast(plan.locked.length > 0
+            ? `Progress files merged; ${plan.locked.length} entries of delivered phases were kept as they are`
+            : 'Progress files merged');
+    }
+
+    /**
+     * Export the remaining shopping list or a project's grouped view as CSV
+     * @param {string} projectName - Project name, or 'all' for the combined shopping list
+     */
+    async exportCsv(projectName) {
+        const csv = projectName === 'all'
+            ? this.spreadsheetExporter.createRemainingCsv()
+            : this.spreadsheetExporter.createProjectCsv(projectName);
+        const slug = projectName === 'all' ? 'shopping-list' : this.dataLoader.generateGroupId(projectName);
+        const fileName = `arc-raiders-${slug}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        try {
+            const saved = await this.saveTextFile({
+                title: 'Export CSV',
+                fileName,
+                contents: csv,
+                filter: { name: 'CSV Spreadsheet', extensions: ['csv'] },
+                mimeType: 'text/csv'
+            });
+            if (saved) {
+                this.uiRenderer.showToast('Spreadsheet exported');
+            }
+        } catch (error) {
+            console.error('Failed to export spreadsheet:', error);
+            await this.dialogManager.alert({ title: 'Export CSV', message: `The spreadsheet could not be exported: ${error.message}` });
+        }
+    }
+
+    /**
+     * Save text to a file: a native save dialog in the desktop app, a download in the browser
+     * @param {Object} options - Save options
+     * @param {string} options.title - Save dialog title
+     * @param {string} options.fileName - Suggested file name
+     * @param {string} options.contents - File contents
+     * @param {{name: string, extensions: Array<string>}} options.filter - Save dialog file type filter
+     * @param {string} options.mimeType - MIME type of the browser download
+     * @returns {Promise<boolean>} False if the user cancelled the save dialog
+     */
+    async saveTextFile({ title, fileName, contents, filter, mimeType }) {
+        if (window.electronAPI) {
+            const filePath = await window.electronAPI.saveFile({
+                title,
+                defaultName: fileName,
+                filters: [filter],
+                contents
+            });
+            return !!filePath;
+        }
+
+        const url = URL.createObjectURL(new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    /**
+     * Let the user pick a progress export and parse it
+     * Problems with the file are reported in a dialog
+     * @param {string} title - Open dialog title
+     * @returns {Promise<Object|null>} Progress document, or null if cancelled or invalid
+     */
+    async openProgressDocument(title) {
+        try {
+            const file = await window.electronAPI.openFile({
+                title,
+                filters: [{ name: 'Progress Export', extensions: ['json'] }]
+            });
+            return file ? this.progressExchange.parseDocument(file.contents) : null;
+        } catch (error) {
+            await this.dialogManager.alert({ title, message: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Load progress from a JSON export into the active profile, merging or replacing
+     */
+    async importProgress() {
+        const progressDocument = await this.openProgressDocument('Import Progress');
+        if (!progressDocument) return;
+
+        // The profile name comes from the file, so it is set as text rather than markup
+        const body = document.createElement('p');
+        const source = progressDocument.profile ? ` from "${progressDocument.profile}"` : '';
+        const exportedAt = new Date(progressDocument.exportedAt).toLocaleString();
+        body.textContent = `Import progress${source} exported on ${exportedAt} into "${this.stateManager.getActiveProfile().name}"? ` +
+            'Merge keeps the higher count of each item. Replace overwrites the projects in the file.';
+
+        const mode = await this.dialogManager.open({
+            title: 'Import Progress',
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Merge', value: 'merge', primary: true },
+                { label: 'Replace', value: 'replace', danger: true }
+            ]
+        });
+        if (!mode) return;
+
+        const plan = this.progressExchange.planImport(progressDocument, mode);
+        await this.backupManager.createBackup('before-import');
+        this.progressExchange.applyImport(plan);
+        this.refreshAfterHistoryChange();
+
+        const lines = Object.entries(plan.changes).map(([projectName, count]) => `${projectName}: ${count} changed`);
+        if (plan.stash) lines.push(`Stash: ${plan.stashChanges} changed`);
+        if (plan.unmatched.length > 0) {
+            lines.push(`${plan.unmatched.length} entries did not match any current item and were skipped:`);
+            lines.push(...plan.unmatched.slice(0, 10).map(entry => `- ${entry}`));
+            if (plan.unmatched.length > 10) lines.push(`- and ${plan.unmatched.length - 10} more`);
+        }
+        if (plan.locked.length > 0) {
+            lines.push(`${plan.locked.length} entries belong to a delivered phase and were kept as they are:`);
+            lines.push(...plan.locked.slice(0, 10).map(entry => `- ${entry}`));
+            if (plan.locked.length > 10) lines.push(`- and ${plan.locked.length - 10} more`);
+        }
+
+        await this.dialogManager.alert({
+            title: 'Import Complete',
+            message: `${plan.changedTotal} items changed.\n${lines.join('\n')}`
+        });
+    }
+
+    /**
+     * Show the active profile's progress code, with options to copy it or apply another code
+     */
+    async openShareCodeDialog() {
+        const code = this.progressCode.encode();
+        const body = this.uiRenderer.createShareCodeBody(code);
+
+        const result = await this.dialogManager.open({
+            title: 'Progress Code',
+            body,
+            className: 'code-dialog',
+            actions: [
+                { label: 'Close', value: null },
+                { label: 'Apply a Code...', value: 'apply' },
+                { label: 'Copy', value: 'copy', primary: true }
+            ]
+        });
+
+        if (result === 'copy') {
+            try {
+                await navigator.clipboard.writeText(code);
+                this.uiRenderer.showToast('Progress code copied');
+            } catch (error) {
+                console.error('Failed to copy progress code:', error);
+                await this.dialogManager.alert({ title: 'Progress Code', message: 'The code could not be copied. Select it and copy it manually.' });
+            }
+        } else if (result === 'apply') {
+            await this.openApplyCodeDialog();
+        }
+    }
+
+    /**
+     * Decode a pasted progress code, show what it would change and apply it
+     */
+    async openApplyCodeDialog() {
+        const body = this.uiRenderer.createApplyCodeBody();
+        const result = await this.dialogManager.open({
+            title: 'Apply Progress Code',
+            body,
+            className: 'code-dialog',
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Preview', value: 'preview', primary: true }
+            ]
+        });
+        if (result !== 'preview') return;
+
+        let plan;
+        try {
+            plan = this.progressCode.planApply(this.progressCode.decode(body.querySelector('.progress-code').value));
+        } catch (error) {
+            await this.dialogManager.alert({ title: 'Apply Progress Code', message: error.message });
+            return;
+        }
+
+        const confirmed = await this.dialogManager.open({
+            title: 'Apply Progress Code',
+            body: this.uiRenderer.createProgressCodeDiffHtml(plan),
+            className: 'code-dialog',
+            actions: plan.changes.length === 0
+                ? [{ label: 'Close', value: null, primary: true }]
+                : [{ label: 'Cancel', value: null }, { label: 'Apply', value: 'apply', danger: true }]
+        });
+        if (confirmed !== 'apply') return;
+
+        await this.backupManager.createBackup('before-apply-code');
+        this.progressCode.apply(plan);
+        this.refreshAfterHistoryChange();
+        this.uiRenderer.showToast(`Progress code applied: ${plan.changes.length} items changed`);
+    }
+
+    /**
+     * Let the user pick a backup, preview it and restore it
+     */
+    async openRestoreDialog() {
+        const backups = await this.backupManager.listBackups();
+        if (backups.length === 0) {
+            await this.dialogManager.alert({ title: 'Restore Backup', message: 'No backups have been taken yet.' });
+            return;
+        }
+
+        const body = this.uiRenderer.createBackupRestoreBody(backups, async (id) => {
+            const backup = await this.backupManager.readBackup(id);
+            return backup ? this.backupManager.summarizeBackup(backup) : null;
+        });
+
+        const result = await this.dialogManager.open({
+            title: 'Restore Backup',
+            body,
+            className: 'backup-dialog',
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Restore', value: 'restore', danger: true }
+            ]
+        });
+        if (result !== 'restore') return;
+
+        if (await this.backupManager.restoreBackup(body.querySelector('.backup-select').value)) {
+            this.refreshProfileUI();
+            this.uiRenderer.showToast('Backup restored');
+        } else {
+            await this.dialogManager.alert({ title: 'Restore Backup', message: 'This backup could not be read, so nothing was changed.' });
+        }
+    }
+
+    /**
+     * Run an Edit menu or keyboard undo/redo command
+     * Text fields keep their native undo so typing can still be reverted
+     * @param {string} command - 'undo' or 'redo'
+     */
+    handleEditCommand(command) {
+        if (this.isTextFieldFocused()) {
+            document.execCommand(command);
+        } else if (this.dialogManager.activeDialog) {
+            return;
+        } else if (command === 'undo') {
+            this.undo();
+        } else if (command === 'redo') {
+            this.redo();
+        }
+    }
 
+    /**
+     * Check whether keyboard focus is in a text field
+     * @returns {boolean} True if a text input or textarea has focus
+     */
+    isTextFieldFocused() {
+        const active = document.activeElement;
+        return !!active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && active.type !== 'checkbox'));
+    }
+
+    /**
+     * Re-render views affected by a progress change
+     * @param {string} projectName - Project name
+     */
+    refreshProgress(projectName) {
         // Rebuild item totals after state change
         this.dataLoader.buildItemTotals();
 
         // Update affected UI
         const tabName = this.getTabNameFromProject(projectName);
         if (tabName) {
-            this.uiRenderer.renderSingleProject(projectName, `${tabName}-container`, (project, itemId) => this.toggleItem(project, itemId), (groupId) => this.toggleGroupCollapse(groupId));
+            this.renderProjectTab(projectName, tabName);
         }
 
         // Refresh the combined "All Items" view
-        this.uiRenderer.renderAllItems();
+        this.renderAllItemsTab();
+    }
+
+    /**
+     * Set how many of an item are owned in the stash
+     * @param {string} itemKey - Item key
+     * @param {number} count - Owned count
+     */
+    setStashCount(itemKey, count) {
+        this.stateManager.setStashCount(itemKey, count);
+
+        // Stash stock can cover requirement rows in every project
+        this.renderAllProjects();
+        this.renderAllItemsTab();
+    }
+
+    /**
+     * Reorder the allocation priorities and show the new allocation
+     * @param {string} projectName - Project name
+     * @param {string|null} groupName - Group name, or null to move the whole project
+     * @param {number} offset - -1 to raise priority, 1 to lower it
+     */
+    moveAllocationPriority(projectName, groupName, offset) {
+        if (groupName) {
+            this.allocationEngine.moveGroup(projectName, groupName, offset);
+        } else {
+            this.allocationEngine.moveProject(projectName, offset);
+        }
+
+        // Coverage of every requirement row can change with the order
+        this.renderAllProjects();
+        this.renderAllItemsTab();
     }
 
     /**
@@ -154,13 +963,18 @@ class ArcShoppingList {
      * @returns {string} Tab name
      */
     getTabNameFromProject(projectName) {
-        const mapping = {
-            'Expedition Project': 'expedition',
-            'Quest items': 'quests',
-            'Scrappy items': 'scrappy',
-            'Workshop items': 'workshop'
-        };
-        return mapping[projectName];
+        const definition = this.dataLoader.getProjectDefinitions().find(({ name }) => name === projectName);
+        return definition ? definition.tab : undefined;
+    }
+
+    /**
+     * Show or hide mission-only items in the project tabs and the combined view
+     * @param {boolean} show - Show mission items
+     */
+    setShowMissionItems(show) {
+        this.stateManager.setShowMissionItems(show);
+        this.renderAllItemsTab();
+        this.renderAllProjects();
     }
 
     /**
@@ -204,13 +1018,8 @@ class ArcShoppingList {
         const existingSearchElement = document.getElementById('wiki-search');
         const searchTerm = (existingSearchElement?.value || '').toLowerCase().trim();
 
-        const filteredItems = searchTerm ?
-            this.dataLoader.getWikiItems().filter(item =>
-                item.name.toLowerCase().includes(searchTerm) ||
-                item.type.toLowerCase().includes(searchTerm) ||
-                item.description.toLowerCase().includes(searchTerm) ||
-                (item.rarity && item.rarity.includes(searchTerm))
-            ) : this.dataLoader.getWikiItems();
+        const filteredItems = this.getFilteredWikiItems(searchTerm);
+        const isFiltered = !!searchTerm || !!this.wikiTypeFilter;
 
         // Calculate pagination
         const totalPages = Math.ceil(filteredItems.length / this.itemsPerPage);
@@ -222,7 +1031,16 @@ class ArcShoppingList {
         const topControls = `
             <div class="wiki-controls-top">
                 <div class="wiki-search-container">
-                    <input type="text" id="wiki-search" placeholder="Search items by name, type, rarity, or description..." class="search-input" value="${searchTerm}">
+                    <input type="text" id="wiki-search" placeholder="Search items by name, type, rarity, or description..." class="search-input" value="${this.uiRenderer.escapeHtml(searchTerm)}">
+                </div>
+                <div class="wiki-type-filter">
+                    <label for="wiki-type-select">Type:</label>
+                    <select id="wiki-type-select" onchange="app.changeWikiTypeFilter(this.value)">
+                        <option value="">All types</option>
+                        ${this.dataLoader.getEnumOptions('item_type').map(option =>
+                            `<option value="${this.uiRenderer.escapeHtml(option.key)}" ${this.wikiTypeFilter === option.key ? 'selected' : ''}>${this.uiRenderer.escapeHtml(option.label)} (${option.count})</option>`
+                        ).join('')}
+                    </select>
                 </div>
                 <div class="page-size-selector">
                     <label>Items per page:</label>
@@ -246,21 +1064,23 @@ class ArcShoppingList {
                     <button onclick="app.changePage(${totalPages})" ${this.currentPage === totalPages ? 'disabled' : ''}>»»</button>
                 </div>
                 <div class="item-count">
-                    Showing ${startIndex + 1}-${Math.min(endIndex, filteredItems.length)} of ${filteredItems.length} items${searchTerm ? ` (filtered from ${this.dataLoader.getWikiItems().length} total)` : ''}
+                    Showing ${startIndex + 1}-${Math.min(endIndex, filteredItems.length)} of ${filteredItems.length} items${isFiltered ? ` (filtered from ${this.dataLoader.getWikiItems().length} total)` : ''}
                 </div>
             </div>
         `;
 
         // Create table rows for current page
+        const verdicts = this.itemAdvisor.getVerdicts();
         const tableRows = currentItems.map(item => `
             <tr>
                 <td>${this.uiRenderer.createItemIconHtml(item.name)}</td>
-                <td>${item.name}</td>
-                <td><span class="rarity ${item.rarity}">${item.rarity.charAt(0).toUpperCase() + item.rarity.slice(1)}</span></td>
-                <td>${item.value}</td>
-                <td>${item.weight}</td>
-                <td>${item.type}</td>
-                <td>${item.description}</td>
+                <td>${this.uiRenderer.escapeHtml(item.name)}</td>
+                <td><span class="rarity ${this.uiRenderer.escapeHtml(item.rarity)}">${this.uiRenderer.escapeHtml(item.rarity.charAt(0).toUpperCase() + item.rarity.slice(1))}</span></td>
+                <td>${this.uiRenderer.escapeHtml(item.value)}</td>
+                <td>${this.uiRenderer.escapeHtml(item.weight)}</td>
+                <td>${this.uiRenderer.escapeHtml(item.type)}</td>
+                <td>${this.uiRenderer.createVerdictHtml(verdicts.get(this.dataLoader.getItemKey(item.name)))}</td>
+                <td>${this.uiRenderer.escapeHtml(item.description)}</td>
             </tr>
         `).join('');
 
@@ -291,6 +1111,7 @@ class ArcShoppingList {
                                     <th>Value</th>
                                     <th>Weight</th>
                                     <th>Type</th>
+                                    <th>Advice</th>
                                     <th>Description</th>
                                 </tr>
                             </thead>
@@ -352,6 +1173,32 @@ class ArcShoppingList {
         }
     }
 
+    /**
+     * Get wiki items matching the search term and the selected type
+     * @param {string} searchTerm - Lowercased search term
+     * @returns {Array<Object>} Matching wiki items
+     */
+    getFilteredWikiItems(searchTerm) {
+        return this.dataLoader.getWikiItems().filter(item =>
+            (!this.wikiTypeFilter || item.enums.item_type === this.wikiTypeFilter) &&
+            (!searchTerm ||
+                item.name.toLowerCase().includes(searchTerm) ||
+                item.type.toLowerCase().includes(searchTerm) ||
+                item.description.toLowerCase().includes(searchTerm) ||
+                (item.rarity && item.rarity.includes(searchTerm)))
+        );
+    }
+
+    /**
+     * Show only wiki items of one type
+     * @param {string} typeKey - Canonical item type key, or '' for all types
+     */
+    changeWikiTypeFilter(typeKey) {
+        this.wikiTypeFilter = typeKey;
+        this.currentPage = 1;
+        this.renderWikiTab();
+    }
+
     /**
      * Change items per page
      * @param {string|number} newSize - New page size
@@ -392,13 +1239,7 @@ class ArcShoppingList {
     changePage(newPage) {
         const wikiSearchElement = document.getElementById('wiki-search');
         const searchTerm = (wikiSearchElement?.value || '').toLowerCase().trim();
-        const filteredItems = searchTerm ?
-            this.dataLoader.getWikiItems().filter(item =>
-                item.name.toLowerCase().includes(searchTerm) ||
-                item.type.toLowerCase().includes(searchTerm) ||
-                item.description.toLowerCase().includes(searchTerm) ||
-                (item.rarity && item.rarity.includes(searchTerm))
-            ) : this.dataLoader.getWikiItems();
+        const filteredItems = this.getFilteredWikiItems(searchTerm);
 
         const totalPages = Math.ceil(filteredItems.length / this.itemsPerPage);
         if (newPage >= 1 && newPage <= totalPages) {
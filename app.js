@@ -23,31 +23,6 @@ class ArcShoppingList {
         this.currentPage = 1;
         this.itemsPerPage = this.config.itemsPerPage;
 
-        // List of quest collectables that cannot be kept (mission items)
-        this.nonKeepableQuestItems = new Set([
-            'Burletta I',
-            'Armored Patrol Key Card',
-            'Battle Plans',
-            'Battery Cell',
-            "Celeste's Journal 1",
-            "Celeste's Journal 2",
-            'Communication Device',
-            'Deflated Football',
-            'Duct Tape',
-            'ESR Analyzer',
-            'Flag',
-            'Helmet',
-            'LiDAR Scanner',
-            "Major Aiva's Mementos",
-            'Possibly Toxic Plant',
-            'Romance Book',
-            'Detective Book',
-            'Adventure Book',
-            'First Wave Tape',
-            'First Wave Compass',
-            'First Wave Rations'
-        ]);
-
         // Make app globally available for onclick handlers
         window.app = this;
 
@@ -805,7 +780,7 @@ class ArcShoppingList {
         const filteredGroups = {};
         for (const [groupName, groupItems] of Object.entries(groups)) {
             // Check if all items in this group are non-keepable
-            const hasKeepableItems = groupItems.some(item => !this.nonKeepableQuestItems.has(item.name));
+            const hasKeepableItems = groupItems.some(item => item.keepable !== false);
 
             // Only include groups that have at least one keepable item
             if (hasKeepableItems) {
@@ -826,8 +801,8 @@ class ArcShoppingList {
             items.forEach(item => {
                 const itemName = item.name;
 
-                // Skip non-keepable quest items from the combined view
-                if (projectName === 'Quest items' && this.nonKeepableQuestItems.has(itemName)) {
+                // Skip mission-only items ("keepable": false in the data) from the combined view
+                if (item.keepable === false) {
                     return;
                 }
 
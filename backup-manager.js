@@ -0,0 +1,175 @@
+/**
+ * Backup Manager Module
+ * Takes rolling snapshots of saved progress, prunes them by the retention policy and restores them
+ */
+
+const BACKUP_FORMAT_VERSION = 1;
+const LOCAL_BACKUP_PREFIX = 'arc-backup:';
+
+/**
+ * Snapshot store used in the browser, where there is no backup directory
+ * Keys deliberately do not start with 'arc-shopping-list' so they are never imported as progress
+ * @returns {Object} Store with the same promise-based interface as the desktop backup bridge
+ */
+function createLocalBackupStore() {
+    return {
+        list: async () => Object.keys(localStorage)
+            .filter(key => key.startsWith(LOCAL_BACKUP_PREFIX))
+            .map(key => {
+                const id = key.slice(LOCAL_BACKUP_PREFIX.length);
+                const match = /^backup-(\d+)-([a-z-]+)$/.exec(id);
+                if (!match) return null;
+                return {
+                    id,
+                    createdAt: new Date(Number(match[1])).toISOString(),
+                    reason: match[2],
+                    size: localStorage.getItem(key).length
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+        create: async (reason, contents) => {
+            const id = `backup-${Date.now()}-${reason}`;
+            localStorage.setItem(LOCAL_BACKUP_PREFIX + id, contents);
+            return id;
+        },
+        read: async (id) => localStorage.getItem(LOCAL_BACKUP_PREFIX + id),
+        remove: async (id) => localStorage.removeItem(LOCAL_BACKUP_PREFIX + id)
+    };
+}
+
+class BackupManager {
+    /**
+     * @param {StateManager} stateManager - State manager whose storage is backed up
+     * @param {DataLoader} dataLoader - Data loader used to summarise snapshots
+     * @param {Object} retention - Retention policy ({maxSnapshots, minSnapshots, maxAgeDays})
+     */
+    constructor(stateManager, dataLoader, retention = {}) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.retention = { maxSnapshots: 20, minSnapshots: 5, maxAgeDays: 30, ...retention };
+        this.store = typeof window !== 'undefined' && window.electronAPI && window.electronAPI.backups
+            ? window.electronAPI.backups
+            : createLocalBackupStore();
+    }
+
+    /**
+     * Take a snapshot of every profile
+     * Nothing is written when the progress is identical to the newest snapshot
+     * @param {string} reason - Why the snapshot is taken (e.g. 'launch', 'before-reset')
+     * @returns {Promise<string|null>} Snapshot ID, or null if no snapshot was needed or it failed
+     */
+    async createBackup(reason) {
+        try {
+            const entries = this.stateManager.exportSnapshot();
+
+            const [latest] = await this.store.list();
+            if (latest) {
+                const previous = await this.readBackup(latest.id);
+                if (previous && JSON.stringify(previous.entries) === JSON.stringify(entries)) {
+                    return null;
+                }
+            }
+
+            const id = await this.store.create(reason, JSON.stringify({
+                formatVersion: BACKUP_FORMAT_VERSION,
+                createdAt: new Date().toISOString(),
+                reason,
+                entries
+            }));
+            await this.pruneBackups();
+            return id;
+        } catch (error) {
+            console.warn('Could not create backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete snapshots outside the retention policy
+     * The newest minSnapshots are always kept; beyond that, snapshots older than maxAgeDays
+     * or past the newest maxSnapshots are deleted
+     */
+    async pruneBackups() {
+        const { maxSnapshots, minSnapshots, maxAgeDays } = this.retention;
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        const backups = await this.store.list();
+
+        for (const [index, backup] of backups.entries()) {
+            if (index < minSnapshots) continue;
+            if (index >= maxSnapshots || new Date(backup.createdAt).getTime() < cutoff) {
+                await this.store.remove(backup.id);
+            }
+        }
+    }
+
+    /**
+     * List snapshots, newest first
+     * @returns {Promise<Array<{id: string, createdAt: string, reason: string, size: number}>>} Snapshot metadata
+     */
+    async listBackups() {
+        return this.store.list();
+    }
+
+    /**
+     * Read a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Object|null>} Snapshot, or null if it is missing or unreadable
+     */
+    async readBackup(id) {
+        const contents = await this.store.read(id);
+        if (!contents) return null;
+
+        try {
+            const backup = JSON.parse(contents);
+            return backup && typeof backup.entries === 'object' ? backup : null;
+        } catch (error) {
+            console.warn(`Could not parse backup ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Summarise what a snapshot contains
+     * @param {Object} backup - Snapshot from readBackup
+     * @returns {Array<{name: string, projects: Array<{projectName: string, collected: number, total: number}>}>} Per-profile, per-project progress
+     */
+    summarizeBackup(backup) {
+        const projects = this.dataLoader.getProjects();
+
+        return this.stateManager.readSnapshotProfiles(backup.entries).map(profile => {
+            const reader = this.stateManager.createProgressReader(profile.state);
+            return {
+                name: profile.name,
+                projects: Object.entries(projects).map(([projectName, items]) => ({
+                    projectName,
+                    ...this.dataLoader.getProgress(projectName, items, reader)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Replace the saved progress with a snapshot, backing up the current progress first
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<boolean>} True if the snapshot was restored
+     */
+    async restoreBackup(id) {
+        const backup = await this.readBackup(id);
+        if (!backup) return false;
+
+        await this.createBackup('before-restore');
+        this.stateManager.restoreSnapshot(backup.entries);
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.BackupManager = BackupManager;
+}
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory of backup snapshot files, used by the main process.
+ * Snapshot metadata is encoded in the file name so listing never has to read the files.
+ */
+class BackupStore {
+  /**
+   * @param {string} directory - Directory holding the snapshot files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Array<{id: string, createdAt: string, reason: string, size: number}>} Snapshot metadata
+   */
+  list() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Could not list backups:', error);
+      return [];
+    }
+
+    return files
+      .map(file => {
+        const match = /^backup-(\d+)-([a-z-]+)\.json$/.exec(file);
+        if (!match) return null;
+
+        const stats = fs.statSync(path.join(this.directory, file));
+        return {
+          id: file.replace(/\.json$/, ''),
+          createdAt: new Date(Number(match[1])).toISOString(),
+          reason: match[2],
+          size: stats.size
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Write a new snapshot
+   * @param {string} reason - Why the snapshot was taken (lowercase letters and dashes)
+   * @param {string} contents - Snapshot JSON
+   * @returns {string} Snapshot ID
+   */
+  create(reason, contents) {
+    const safeReason = String(reason).toLowerCase().replace(/[^a-z-]/g, '-') || 'manual';
+    const id = `backup-${Date.now()}-${safeReason}`;
+    const filePath = this.getPath(id);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Write through a temporary file so a partial snapshot is never listed
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, contents, 'utf8');
+    fs.renameSync(tempPath, filePath);
+    return id;
+  }
+
+  /**
+   * @param {string} id - Snapshot ID
+   * @returns {string|null} Snapshot JSON, or null if missing
+   */
+  read(id) {
+    try {
+      return fs.readFileSync(this.getPath(id), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Could not read backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} id - Snapshot ID
+   */
+  remove(id) {
+    try {
+      fs.unlinkSync(this.getPath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Could not delete backup:', error);
+    }
+  }
+
+  /**
+   * Resolve a snapshot ID to its file, rejecting IDs that could escape the directory
+   * @param {string} id - Snapshot ID
+   * @returns {string} File path
+   */
+  getPath(id) {
+    if (!/^backup-\d+-[a-z-]+$/.test(id)) {
+      throw new Error(`Invalid backup id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = BackupStore;
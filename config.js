@@ -21,6 +21,14 @@ const config = {
     maxSearchLength: 100,
     maxItemsPerPage: 100,
 
+    // Backup settings: the newest minSnapshots are always kept; older snapshots are
+    // pruned once they exceed maxAgeDays or fall outside the newest maxSnapshots
+    backupRetention: {
+        maxSnapshots: 20,
+        minSnapshots: 5,
+        maxAgeDays: 30
+    },
+
     // API settings (if needed in future)
     apiTimeout: 10000,
 
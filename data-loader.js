@@ -3,62 +3,121 @@
  * Handles loading and processing of JSON data files
  */
 
+const DATA_PACK_FORMAT_VERSION = 1;
+
+// Tabs that are not generated from data packs
+const RESERVED_TABS = ['all', 'history', 'wiki'];
+
+// Top-level state keys that sit next to project progress in saved state, so no project can be named after them
+const RESERVED_PROJECT_NAMES = ['stash', 'collapsed', 'theme', 'schemaVersion', 'orphaned', 'cycles', 'allocation',
+    'finishedGroups', 'stationLevels', 'tierLevels', 'phaseDeliveries', 'showMissionItems', '__proto__'];
+
+// How a project's groups are modelled; 'quests', 'stations' and 'phases' describe their groups in a model file,
+// 'tiers' reads a level number from each requirement
+const PROJECT_KINDS = ['list', 'quests', 'stations', 'phases', 'tiers'];
+
+// Spelled-out numbers accepted in tier requirements such as "Level three"
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
+
+// Canonical keys and display labels for enumerated wiki fields; aliases map other spellings to a key
+const ITEM_ENUMS = {
+    item_type: {
+        labels: {
+            'advanced-material': 'Advanced Material',
+            'ammunition': 'Ammunition',
+            'augment': 'Augment',
+            'basic-material': 'Basic Material',
+            'blueprint': 'Blueprint',
+            'consumable': 'Consumable',
+            'cosmetic': 'Cosmetic',
+            'explosives': 'Explosives',
+            'gadget': 'Gadget',
+            'key': 'Key',
+            'material': 'Material',
+            'medical': 'Medical',
+            'misc': 'Misc',
+            'modification': 'Modification',
+            'nature': 'Nature',
+            'quest-item': 'Quest Item',
+            'quick-use': 'Quick Use',
+            'recyclable': 'Recyclable',
+            'refined-material': 'Refined Material',
+            'refinement': 'Refinement',
+            'shield': 'Shield',
+            'throwable': 'Throwable',
+            'topside-material': 'Topside Material',
+            'trinket': 'Trinket',
+            'weapon': 'Weapon'
+        },
+        aliases: { 'mods': 'modification' }
+    },
+    subcategory: {
+        labels: {
+            'assault-rifle': 'Assault Rifle',
+            'battle-rifle': 'Battle Rifle',
+            'hand-cannon': 'Hand Cannon',
+            'lmg': 'LMG',
+            'pistol': 'Pistol',
+            'shotgun': 'Shotgun',
+            'smg': 'SMG',
+            'sniper-rifle': 'Sniper Rifle',
+            'special': 'Special'
+        },
+        aliases: {}
+    },
+    ammo_type: {
+        labels: {
+            'energy': 'Energy',
+            'heavy': 'Heavy',
+            'launcher': 'Launcher',
+            'light': 'Light',
+            'medium': 'Medium',
+            'shotgun': 'Shotgun'
+        },
+        aliases: {}
+    },
+    shield_type: {
+        labels: {
+            'heavy': 'Heavy',
+            'light': 'Light',
+            'medium': 'Medium'
+        },
+        aliases: {}
+    }
+};
+
 class DataLoader {
     constructor() {
         this.projects = {};
         this.wikiItems = [];
         this.itemTotals = {};
-        this.nonKeepableQuestItems = new Set([
-            'Burletta I',
-            'Armored Patrol Key Card',
-            'Battle Plans',
-            'Battery Cell',
-            "Celeste's Journal 1",
-            "Celeste's Journal 2",
-            'Communication Device',
-            'Deflated Football',
-            'Duct Tape',
-            'ESR Analyzer',
-            'Flag',
-            'Helmet',
-            "Major Aiva's Mementos",
-            'Possibly Toxic Plant',
-            'Romance Book',
-            'Detective Book',
-            'Adventure Book',
-            'First Wave Tape',
-            'First Wave Compass',
-            'First Wave Rations'
-        ]);
-    }
-
-    /**
-     * Load all project JSON files
+        this.requirementQuantities = {};
+        this.idAliases = { items: {}, requirements: {} };
+        this.projectDefinitions = [];
+        this.dataPacks = [];
+        this.itemOverrides = [];
+        this.rawProjectRows = {};
+        this.projectModels = {};
+        this.rawWikiItems = [];
+    }
+
+    /**
+     * Load project data from the bundled data pack and any user data packs
      * @returns {Promise<void>}
      */
     async loadProjectFiles() {
-        const files = [
-            { name: 'Expedition Project', file: 'expedition_project.json' },
-            { name: 'Quest items', file: 'quest_items.json' },
-            { name: 'Scrappy items', file: 'scrappy_items.json' },
-            { name: 'Workshop items', file: 'workshop_items.json' }
-        ];
+        const packs = [await this.loadBundledPack()];
 
-        const loadPromises = files.map(async ({ name, file }) => {
+        if (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.dataPacks) {
             try {
-                const response = await fetch(file);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${file}: ${response.status}`);
-                }
-                const items = await response.json();
-                this.projects[name] = items;
+                packs.push(...await window.electronAPI.dataPacks.load());
             } catch (error) {
-                console.warn(`Could not load ${file}:`, error);
-                // Continue with other files
+                console.warn('Could not load user data packs:', error);
             }
-        });
+        }
 
-        await Promise.all(loadPromises);
+        this.applyDataPacks(packs);
 
         if (Object.keys(this.projects).length === 0) {
             throw new Error('No item files could be loaded');
@@ -68,6 +127,213 @@ class DataLoader {
         this.buildItemTotals();
     }
 
+    /**
+     * Load the data pack shipped with the app
+     * @returns {Promise<{directory: string, manifest: string, files: Object, bundled: boolean}>} Pack contents
+     */
+    async loadBundledPack() {
+        const response = await fetch('data-pack.json');
+        if (!response.ok) {
+            throw new Error(`Failed to load data-pack.json: ${response.status}`);
+        }
+        const manifest = await response.text();
+
+        const files = {};
+        const { projects = [], itemOverrides } = JSON.parse(manifest);
+        await Promise.all(this.getManifestFiles({ projects, itemOverrides }).map(async file => {
+            try {
+                const fileResponse = await fetch(file);
+                if (!fileResponse.ok) {
+                    throw new Error(`Failed to load ${file}: ${fileResponse.status}`);
+                }
+                files[file] = await fileResponse.text();
+            } catch (error) {
+                console.warn(`Could not load ${file}:`, error);
+                // Continue with other files
+            }
+        }));
+
+        return { directory: '', manifest, files, bundled: true };
+    }
+
+    /**
+     * Layer data packs in order: a later pack's project replaces an earlier project with
+     * the same name, new projects get their own tab, and item overrides accumulate
+     * A pack with an invalid manifest is skipped; a project whose file is missing or invalid
+     * keeps the earlier pack's data
+     * @param {Array<Object>} packs - Pack contents ({directory, manifest, files, error, bundled})
+     */
+    applyDataPacks(packs) {
+        this.projects = {};
+        this.projectDefinitions = [];
+        this.dataPacks = [];
+        this.itemOverrides = [];
+        this.rawProjectRows = {};
+        this.projectModels = {};
+
+        packs.forEach(pack => {
+            const info = { directory: pack.directory, source: pack.bundled ? 'bundled' : 'user', problems: [] };
+            this.dataPacks.push(info);
+
+            if (pack.error) {
+                info.problems.push(`Pack could not be read: ${pack.error}`);
+                return;
+            }
+
+            let manifest;
+            try {
+                manifest = JSON.parse(pack.manifest);
+                this.validateManifest(manifest);
+            } catch (error) {
+                info.problems.push(`Manifest could not be used: ${error.message}`);
+                console.warn(`Skipping data pack ${pack.directory || 'bundled'}:`, error);
+                return;
+            }
+
+            Object.assign(info, { id: manifest.id, name: manifest.name, version: manifest.version });
+
+            manifest.projects.forEach(project => {
+                let items;
+                try {
+                    items = JSON.parse(pack.files[project.file]);
+                    if (!Array.isArray(items)) throw new Error('expected a list of items');
+                } catch (error) {
+                    info.problems.push(`${project.file} could not be used: ${error.message}`);
+                    return;
+                }
+
+                const existing = this.projectDefinitions.find(definition => definition.name === project.name);
+                const tab = existing ? existing.tab : (project.tab || this.generateGroupId(project.name));
+                if (!existing && this.projectDefinitions.some(definition => definition.tab === tab)) {
+                    info.problems.push(`${project.name} uses the tab "${tab}", which another project already uses`);
+                    return;
+                }
+
+                const definition = {
+                    name: project.name,
+                    tab,
+                    label: project.label || (existing ? existing.label : project.name),
+                    kind: project.kind || (existing ? existing.kind : 'list'),
+                    attribution: project.attribution || (existing ? existing.attribution : null),
+                    file: pack.directory ? `${pack.directory}/${project.file}` : project.file,
+                    modelFile: existing ? existing.modelFile : null,
+                    packId: manifest.id
+                };
+
+                // A project without its own model keeps the earlier pack's model
+                if (project.model) {
+                    try {
+                        const model = JSON.parse(pack.files[project.model]);
+                        if (!Array.isArray(model)) throw new Error('expected a list of groups');
+                        this.projectModels[project.name] = model;
+                        definition.modelFile = pack.directory ? `${pack.directory}/${project.model}` : project.model;
+                    } catch (error) {
+                        info.problems.push(`${project.model} could not be used: ${error.message}`);
+                    }
+                }
+
+                if (existing) {
+                    this.projectDefinitions[this.projectDefinitions.indexOf(existing)] = definition;
+                } else {
+                    this.projectDefinitions.push(definition);
+                }
+                // Rows without a name or requirement cannot be tracked; DataValidator reports them
+                this.rawProjectRows[project.name] = items;
+                this.projects[project.name] = items.filter(row => row && typeof row.name === 'string' && row.name.trim() &&
+                    typeof row.requirement === 'string' && row.requirement.trim());
+            });
+
+            if (manifest.itemOverrides) {
+                try {
+                    const overrides = JSON.parse(pack.files[manifest.itemOverrides]);
+                    if (!Array.isArray(overrides)) throw new Error('expected a list of items');
+                    this.itemOverrides.push(...overrides.filter(override => override && typeof override.name === 'string'));
+                } catch (error) {
+                    info.problems.push(`${manifest.itemOverrides} could not be used: ${error.message}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Check the shape of a data pack manifest
+     * @param {Object} manifest - Parsed manifest
+     * @throws {Error} If the manifest cannot be used
+     */
+    validateManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('not a JSON object');
+        }
+        if (manifest.formatVersion !== DATA_PACK_FORMAT_VERSION) {
+            throw new Error(`unsupported formatVersion ${manifest.formatVersion}`);
+        }
+        if (typeof manifest.id !== 'string' || !manifest.id) {
+            throw new Error('missing id');
+        }
+        if (!Array.isArray(manifest.projects)) {
+            throw new Error('missing projects list');
+        }
+
+        manifest.projects.forEach((project, index) => {
+            if (!project || typeof project.name !== 'string' || !project.name || typeof project.file !== 'string') {
+                throw new Error(`project ${index + 1} needs a name and a file`);
+            }
+            // Progress is saved under "<project>.<row>" paths, which are split on dots
+            if (project.name.includes('.')) {
+                throw new Error(`project "${project.name}" has a name containing "."`);
+            }
+            if (RESERVED_PROJECT_NAMES.includes(project.name)) {
+                throw new Error(`project "${project.name}" has a name reserved for saved settings`);
+            }
+            if (project.tab !== undefined && (!/^[a-z0-9-]+$/.test(project.tab) || RESERVED_TABS.includes(project.tab))) {
+                throw new Error(`project "${project.name}" has an invalid tab "${project.tab}"`);
+            }
+            if (project.kind !== undefined && !PROJECT_KINDS.includes(project.kind)) {
+                throw new Error(`project "${project.name}" has an unknown kind "${project.kind}"`);
+            }
+            if (project.model !== undefined && typeof project.model !== 'string') {
+                throw new Error(`project "${project.name}" has an invalid model file`);
+            }
+        });
+    }
+
+    /**
+     * List the files a manifest references: project data, project models and item overrides
+     * @param {Object} manifest - Parsed manifest
+     * @returns {Array<string>} File paths relative to the pack
+     */
+    getManifestFiles(manifest) {
+        const projects = Array.isArray(manifest.projects) ? manifest.projects : [];
+        return [
+            ...projects.flatMap(project => (project ? [project.file, project.model] : [])),
+            manifest.itemOverrides
+        ].filter(file => typeof file === 'string' && file !== '');
+    }
+
+    /**
+     * Replace fields of raw wiki items with the data packs' item overrides
+     * Overrides use the all_items.json format and are matched by name; unknown names add new items
+     * @param {Array<Object>} rawItems - Items from all_items.json
+     * @returns {Array<Object>} Items with overrides applied
+     */
+    applyItemOverrides(rawItems) {
+        const items = rawItems.map(item => ({ ...item }));
+
+        this.itemOverrides.forEach(override => {
+            const item = items.find(candidate => typeof candidate.name === 'string' &&
+                candidate.name.toLowerCase() === override.name.toLowerCase());
+            if (item) {
+                Object.assign(item, override, {
+                    stat_block: override.stat_block ? { ...item.stat_block, ...override.stat_block } : item.stat_block
+                });
+            } else {
+                items.push({ ...override });
+            }
+        });
+
+        return items;
+    }
+
     /**
      * Load wiki data from all_items.json
      * @returns {Promise<void>}
@@ -78,85 +344,372 @@ class DataLoader {
             if (!response.ok) {
                 throw new Error(`Failed to load all_items.json: ${response.status}`);
             }
-            const rawData = await response.json();
+            this.setWikiItems(await response.json());
+        } catch (error) {
+            console.warn('Could not load wiki data from all_items.json:', error);
+            // Fallback to empty array if JSON loading fails
+            this.wikiItems = [];
+        }
+    }
 
-            // Transform the data to match the expected format
-            this.wikiItems = rawData.map(item => ({
+    /**
+     * Use wiki items in the all_items.json format, applying data pack overrides on top
+     * @param {Array<Object>} rawItems - Items from all_items.json
+     */
+    setWikiItems(rawItems) {
+        const rawData = this.applyItemOverrides(rawItems);
+        this.rawWikiItems = rawData;
+
+        // Transform the data to match the expected format
+        this.wikiItems = rawData.filter(item => item && typeof item.name === 'string').map(item => {
+            const enums = {};
+            Object.keys(ITEM_ENUMS).forEach(field => {
+                enums[field] = this.normalizeEnum(field, item[field]);
+            });
+
+            return {
                 name: item.name,
                 rarity: item.rarity ? item.rarity.toLowerCase() : '',
                 value: item.value,
                 weight: item.stat_block && item.stat_block.weight ? `${item.stat_block.weight} kg` : '-',
-                type: item.item_type,
+                type: enums.item_type.label,
                 description: item.description || '',
                 icon: item.icon,
                 workbench: item.workbench,
+                recipe: this.normalizeRecipe(item.recipe),
+                recycles_into: this.normalizeQuantities(item.recycles_into),
+                salvages_into: this.normalizeQuantities(item.salvages_into),
                 stat_block: item.stat_block,
                 loadout_slots: item.loadout_slots,
                 flavor_text: item.flavor_text,
-                subcategory: item.subcategory,
-                shield_type: item.shield_type,
+                subcategory: enums.subcategory.label,
+                shield_type: enums.shield_type.label,
                 loot_area: item.loot_area,
                 sources: item.sources,
-                ammo_type: item.ammo_type,
-                locations: item.locations
-            }));
+                ammo_type: enums.ammo_type.label,
+                locations: item.locations,
+                // Canonical keys of the enumerated fields, for filtering and grouping
+                enums: {
+                    item_type: enums.item_type.key,
+                    subcategory: enums.subcategory.key,
+                    shield_type: enums.shield_type.key,
+                    ammo_type: enums.ammo_type.key
+                },
+                // Entry as read from all_items.json and data pack overrides, for debugging
+                raw: item
+            };
+        });
+    }
+
+    /**
+     * Map a raw enumerated wiki value to its canonical key and display label
+     * Casing, surrounding whitespace and known alternative spellings are ignored;
+     * values not in the table keep a key and label derived from their text
+     * @param {string} field - Wiki field name, e.g. 'item_type'
+     * @param {*} value - Raw value
+     * @returns {{key: string, label: string}} Canonical key and label, both empty for missing values
+     */
+    normalizeEnum(field, value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return { key: '', label: '' };
+        }
+
+        const text = value.trim().replace(/\s+/g, ' ');
+        const { labels, aliases } = ITEM_ENUMS[field] || { labels: {}, aliases: {} };
+        const slug = text.toLowerCase().replace(/ /g, '-');
+        const key = aliases[slug] || slug;
+
+        return { key, label: labels[key] || text.replace(/\b[a-z]/g, char => char.toUpperCase()) };
+    }
+
+    /**
+     * Map a raw recipe to {yield, inputs}, dropping inputs without a name or a positive whole quantity
+     * @param {*} recipe - Raw "recipe" value of an all_items.json entry
+     * @returns {{yield: number, inputs: Array<{name: string, quantity: number}>}|null} Recipe, or null if the item has none
+     */
+    normalizeRecipe(recipe) {
+        if (!recipe || typeof recipe !== 'object') {
+            return null;
+        }
+
+        const inputs = this.normalizeQuantities(recipe.inputs);
+        if (inputs.length === 0) {
+            return null;
+        }
+
+        return { yield: Number.isInteger(recipe.yield) && recipe.yield > 0 ? recipe.yield : 1, inputs };
+    }
+
+    /**
+     * Map a raw list of item quantities, such as recipe inputs or recycling outputs, dropping entries
+     * without a name or a positive whole quantity
+     * @param {*} list - Raw list of {name, quantity}
+     * @returns {Array<{name: string, quantity: number}>} Entries, empty when the list is missing
+     */
+    normalizeQuantities(list) {
+        if (!Array.isArray(list)) {
+            return [];
+        }
+
+        return list
+            .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim() !== '' && Number.isInteger(entry.quantity) && entry.quantity > 0)
+            .map(entry => ({ name: entry.name.trim(), quantity: entry.quantity }));
+    }
+
+    /**
+     * Read the level number from a single tier requirement such as "Level three", "level 3" or "Lvl 3"
+     * @param {string} requirement - One requirement, already split from a comma-separated list
+     * @returns {number|null} Level, or null if the text is not a level
+     */
+    parseTierLevel(requirement) {
+        const match = /^(?:level|lvl\.?)\s*([a-z]+|\d+)$/i.exec(String(requirement).trim());
+        if (!match) return null;
+
+        const word = match[1].toLowerCase();
+        const level = /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS.indexOf(word);
+        return level > 0 ? level : null;
+    }
+
+    /**
+     * List the values used by an enumerated wiki field
+     * @param {string} field - Wiki field name, e.g. 'item_type'
+     * @returns {Array<{key: string, label: string, count: number}>} Values sorted by label
+     */
+    getEnumOptions(field) {
+        const options = new Map();
+        this.wikiItems.forEach(item => {
+            const key = item.enums[field];
+            if (!key) return;
+
+            if (!options.has(key)) {
+                options.set(key, { key, label: this.normalizeEnum(field, item.raw[field]).label, count: 0 });
+            }
+            options.get(key).count++;
+        });
 
+        return [...options.values()].sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Load the alias table mapping renamed items and requirements to their current names
+     * @returns {Promise<void>}
+     */
+    async loadIdAliases() {
+        try {
+            const response = await fetch('id_aliases.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load id_aliases.json: ${response.status}`);
+            }
+            const aliases = await response.json();
+            this.idAliases = {
+                items: aliases.items || {},
+                requirements: aliases.requirements || {}
+            };
         } catch (error) {
-            console.warn('Could not load wiki data from all_items.json:', error);
-            // Fallback to empty array if JSON loading fails
-            this.wikiItems = [];
+            console.warn('Could not load id_aliases.json:', error);
+            // Without aliases, renamed entries are reported as orphaned
+            this.idAliases = { items: {}, requirements: {} };
         }
     }
 
     /**
-     * Build registry of all item instances across projects
+     * Expand the alias table into old-to-current ID mappings for saved state
+     * @returns {{projects: Object, stash: Object}} Requirement row aliases per project and stash key aliases
+     */
+    getIdAliases() {
+        const itemAliases = this.idAliases.items;
+        const projects = {};
+        const stash = {};
+
+        const formerNames = (aliases, currentName) => [
+            currentName,
+            ...Object.keys(aliases).filter(oldName => aliases[oldName] === currentName)
+        ];
+
+        for (const [projectName, items] of Object.entries(this.projects)) {
+            const requirementAliases = this.idAliases.requirements[projectName] || {};
+            projects[projectName] = {};
+
+            items.forEach(item => {
+                const itemNames = formerNames(itemAliases, item.name);
+
+                item.requirement.split(',').map(req => req.trim()).forEach(requirement => {
+                    const currentId = this.generateItemId(item.name, requirement);
+
+                    formerNames(requirementAliases, requirement).forEach(oldRequirement => {
+                        itemNames.forEach(oldName => {
+                            const oldId = this.generateItemId(oldName, oldRequirement);
+                            if (oldId !== currentId) {
+                                projects[projectName][oldId] = currentId;
+                            }
+                        });
+                    });
+                });
+            });
+        }
+
+        for (const [oldName, currentName] of Object.entries(itemAliases)) {
+            stash[this.getItemKey(oldName)] = this.getItemKey(currentName);
+        }
+
+        return { projects, stash };
+    }
+
+    /**
+     * Build registry of all item instances across projects, keyed by item
      */
     buildItemTotals() {
         this.itemTotals = {};
+        this.requirementQuantities = {};
 
         // Build a registry of all item instances across all projects
         for (const [projectName, items] of Object.entries(this.projects)) {
+            this.requirementQuantities[projectName] = {};
+
             items.forEach(item => {
-                if (!this.itemTotals[item.id]) {
-                    this.itemTotals[item.id] = {
+                const itemKey = this.getItemKey(item.name);
+                if (!this.itemTotals[itemKey]) {
+                    this.itemTotals[itemKey] = {
+                        name: item.name,
                         totalNeeded: 0,
                         instances: []
                     };
                 }
 
-                // Parse quantity (handle non-numeric values)
-                const quantity = parseInt(item.quantity, 10) || 1;
-                this.itemTotals[item.id].totalNeeded += quantity;
-                this.itemTotals[item.id].instances.push({
+                const quantity = this.getItemQuantity(item);
+                const requirementIds = this.getRequirementIds(item);
+                this.itemTotals[itemKey].totalNeeded += quantity;
+                this.itemTotals[itemKey].instances.push({
                     projectName,
+                    itemId: item.id,
                     quantity,
-                    requirement: item.requirement
+                    requirement: item.requirement,
+                    requirementIds,
+                    keepable: this.isKeepable(item)
+                });
+
+                // Every requirement row tracks its own collected count up to the item quantity
+                requirementIds.forEach(requirementId => {
+                    this.requirementQuantities[projectName][requirementId] = quantity;
                 });
             });
         }
     }
 
+    /**
+     * Parse the required quantity of a project item
+     * @param {Object} item - Project item
+     * @returns {number} Required quantity (non-numeric values count as 1)
+     */
+    getItemQuantity(item) {
+        return parseInt(item.quantity, 10) || 1;
+    }
+
+    /**
+     * Get the requirement row IDs an item is tracked under
+     * @param {Object} item - Project item
+     * @returns {Array<string>} One ID per comma-separated requirement
+     */
+    getRequirementIds(item) {
+        return item.requirement.split(',')
+            .map(req => req.trim())
+            .map(requirement => this.generateItemId(item.name, requirement));
+    }
+
+    /**
+     * Get the required quantity of a requirement row
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Requirement row ID
+     * @returns {number} Required quantity, or 0 for unknown rows
+     */
+    getRequirementQuantity(projectName, itemId) {
+        return this.requirementQuantities[projectName]?.[itemId] || 0;
+    }
+
+    /**
+     * Get required quantities of every requirement row
+     * @returns {Object} Quantities keyed by project name and requirement row ID
+     */
+    getRequirementQuantities() {
+        return { ...this.requirementQuantities };
+    }
+
+    /**
+     * Get how much of an item has been collected
+     * An item listed under several requirements is only as far along as its least collected row
+     * @param {string} projectName - Project name
+     * @param {Object} item - Project item
+     * @param {Object} stateManager - State manager instance
+     * @returns {number} Collected quantity
+     */
+    getCollectedQuantity(projectName, item, stateManager) {
+        const quantity = this.getItemQuantity(item);
+        const counts = this.getRequirementIds(item)
+            .map(requirementId => stateManager.getItemCount(projectName, requirementId, quantity));
+
+        return counts.length > 0 ? Math.min(...counts) : 0;
+    }
+
+    /**
+     * Get how much of a registered item instance has been collected
+     * @param {Object} instance - Instance from the item totals registry
+     * @param {Object} stateManager - State manager instance
+     * @returns {number} Collected quantity
+     */
+    getInstanceCollected(instance, stateManager) {
+        const counts = instance.requirementIds
+            .map(requirementId => stateManager.getItemCount(instance.projectName, requirementId, instance.quantity));
+
+        return counts.length > 0 ? Math.min(...counts) : 0;
+    }
+
     /**
      * Get remaining quantity for an item across all projects
-     * @param {string} itemId - Item ID
+     * @param {string} itemKey - Item key (see getItemKey)
      * @param {Object} stateManager - State manager instance
      * @returns {number} Remaining quantity needed
      */
-    getRemainingTotal(itemId, stateManager) {
-        if (!this.itemTotals[itemId]) return 0;
+    getRemainingTotal(itemKey, stateManager) {
+        if (!this.itemTotals[itemKey]) return 0;
 
-        let remaining = this.itemTotals[itemId].totalNeeded;
+        let remaining = this.itemTotals[itemKey].totalNeeded;
 
-        // Subtract completed instances
-        for (const instance of this.itemTotals[itemId].instances) {
-            if (stateManager.isItemCompleted(instance.projectName, itemId)) {
-                remaining -= instance.quantity;
-            }
+        // Subtract collected quantities
+        for (const instance of this.itemTotals[itemKey].instances) {
+            remaining -= this.getInstanceCollected(instance, stateManager);
         }
 
         return Math.max(0, remaining);
     }
 
+    /**
+     * Get the key an item is tracked under in the registry and the stash
+     * @param {string} name - Item name
+     * @returns {string} Item key
+     */
+    getItemKey(name) {
+        return this.generateItemId(name);
+    }
+
+    /**
+     * Check whether a project item can be kept and should count towards shopping totals
+     * @param {Object} item - Project item
+     * @returns {boolean} False for mission-only items (rows with "keepable": false)
+     */
+    isKeepable(item) {
+        return item.keepable !== false;
+    }
+
+    /**
+     * Get the project items to show, leaving out mission-only items unless asked for
+     * @param {Array} items - Project items
+     * @param {boolean} includeMissionItems - Whether to keep mission-only items
+     * @returns {Array} Items to show
+     */
+    getShownItems(items, includeMissionItems) {
+        return includeMissionItems ? items : items.filter(item => this.isKeepable(item));
+    }
+
     /**
      * Generate unique item ID
      * @param {string} name - Item name
@@ -185,10 +738,9 @@ class DataLoader {
     /**
      * Group items by requirement
      * @param {Array} items - Items array
-     * @param {string} projectName - Project name
      * @returns {Object} Grouped items
      */
-    groupItemsByRequirement(items, projectName) {
+    groupItemsByRequirement(items) {
         const groups = {};
 
         items.forEach(item => {
@@ -209,43 +761,25 @@ class DataLoader {
             });
         });
 
-        // Filter out quest groups that only contain non-keepable items
-        if (projectName === 'Quest items') {
-            const filteredGroups = {};
-            for (const [groupName, groupItems] of Object.entries(groups)) {
-                // Check if all items in this group are non-keepable
-                const hasKeepableItems = groupItems.some(item => !this.nonKeepableQuestItems.has(item.name));
-
-                // Only include groups that have at least one keepable item
-                if (hasKeepableItems) {
-                    filteredGroups[groupName] = groupItems;
-                }
-            }
-            return filteredGroups;
-        }
-
         return groups;
     }
 
     /**
      * Get all items with remaining quantities
+     * Mission-only items never count towards the totals of an item that is also needed elsewhere;
+     * an item needed only as a mission item is totalled on its own and flagged as missionOnly
      * @param {Object} stateManager - State manager instance
+     * @param {boolean} includeMissionItems - Whether to list mission-only items
      * @returns {Object} Items with remaining quantities
      */
-    getAllItemsRemaining(stateManager) {
+    getAllItemsRemaining(stateManager, includeMissionItems = false) {
         const remainingItems = {};
 
         // First pass: collect all item instances by name across all projects
         for (const [projectName, items] of Object.entries(this.projects)) {
-            items.forEach(item => {
+            this.getShownItems(items, includeMissionItems).forEach(item => {
                 const itemName = item.name;
-
-                // Skip non-keepable quest items from the combined view
-                if (projectName === 'Quest items' && this.nonKeepableQuestItems.has(itemName)) {
-                    return;
-                }
-
-                const quantity = parseInt(item.quantity, 10) || 1;
+                const quantity = this.getItemQuantity(item);
 
                 if (!remainingItems[itemName]) {
                     remainingItems[itemName] = {
@@ -255,37 +789,31 @@ class DataLoader {
                     };
                 }
 
-                // Add this project's quantity to the total
-                remainingItems[itemName].totalQuantity += quantity;
-
-                // Check if this specific item instance is completed in this project
-                let isCompleted = true;
-                const requirements = item.requirement.split(',').map(req => req.trim());
-
-                for (const requirement of requirements) {
-                    const specificId = this.generateItemId(item.name, requirement);
-                    if (!stateManager.isItemCompleted(projectName, specificId)) {
-                        isCompleted = false;
-                        break;
-                    }
-                }
-
-                if (isCompleted) {
-                    remainingItems[itemName].completedQuantity += quantity;
-                }
+                // Count what has been collected for this specific item instance
+                const collected = this.getCollectedQuantity(projectName, item, stateManager);
 
                 remainingItems[itemName].projects.push({
                     projectName,
                     quantity,
+                    collected,
                     requirement: item.requirement,
-                    completed: isCompleted
+                    completed: collected >= quantity,
+                    keepable: this.isKeepable(item)
                 });
             });
         }
 
-        // Second pass: calculate remaining quantities
+        // Second pass: total the counted instances and calculate remaining quantities
         for (const itemName in remainingItems) {
             const item = remainingItems[itemName];
+            item.missionOnly = !item.projects.some(project => project.keepable);
+
+            item.projects
+                .filter(project => project.keepable || item.missionOnly)
+                .forEach(project => {
+                    item.totalQuantity += project.quantity;
+                    item.completedQuantity += project.collected;
+                });
             item.remainingQuantity = Math.max(0, item.totalQuantity - item.completedQuantity);
         }
 
@@ -293,24 +821,21 @@ class DataLoader {
     }
 
     /**
-     * Get completed count for a project
-     * @param {string} projectName - Project name
+     * Get collected and required quantities for a list of items
+     * @param {string} projectName - Project name ('all' to use each item's own project)
      * @param {Array} items - Items array
      * @param {Object} stateManager - State manager instance
-     * @returns {number} Completed count
-     */
-    getCompletedCount(projectName, items, stateManager) {
-        // Handle the combined "all" view
-        if (projectName === 'all') {
-            return items.reduce((count, item) => {
-                const actualProjectName = item.projectName || projectName;
-                return count + (stateManager.isItemCompleted(actualProjectName, item.id) ? 1 : 0);
-            }, 0);
-        }
-
-        return items.reduce((count, item) => {
-            return count + (stateManager.isItemCompleted(projectName, item.id) ? 1 : 0);
-        }, 0);
+     * @returns {{collected: number, total: number}} Quantity progress
+     */
+    getProgress(projectName, items, stateManager) {
+        return items.reduce((progress, item) => {
+            // Handle the combined "all" view
+            const actualProjectName = projectName === 'all' ? (item.projectName || projectName) : projectName;
+
+            progress.collected += this.getCollectedQuantity(actualProjectName, item, stateManager);
+            progress.total += this.getItemQuantity(item);
+            return progress;
+        }, { collected: 0, total: 0 });
     }
 
     /**
@@ -342,6 +867,57 @@ class DataLoader {
         return { ...this.projects };
     }
 
+    /**
+     * Get the projects in tab order, with their tab, label and attribution
+     * @returns {Array<{name: string, tab: string, label: string, kind: string, attribution: Object|null, file: string, modelFile: string|null, packId: string}>} Project definitions
+     */
+    getProjectDefinitions() {
+        return this.projectDefinitions.map(definition => ({ ...definition }));
+    }
+
+    /**
+     * Get the kind of a project ('list' when it has no group model)
+     * @param {string} projectName - Project name
+     * @returns {string} Project kind
+     */
+    getProjectKind(projectName) {
+        const definition = this.projectDefinitions.find(({ name }) => name === projectName);
+        return definition ? definition.kind : 'list';
+    }
+
+    /**
+     * Get the group model of a project, as read from its model file
+     * @param {string} projectName - Project name
+     * @returns {Array<Object>} Group entries (empty when the project has no model)
+     */
+    getProjectModel(projectName) {
+        return [...(this.projectModels[projectName] || [])];
+    }
+
+    /**
+     * Get the data packs that were loaded, in layering order
+     * @returns {Array<{directory: string, source: string, id: string, name: string, version: string, problems: Array<string>}>} Data packs
+     */
+    getDataPacks() {
+        return this.dataPacks.map(pack => ({ ...pack, problems: [...pack.problems] }));
+    }
+
+    /**
+     * Get project rows exactly as loaded, including rows that were skipped as unusable
+     * @returns {Object} Rows keyed by project name
+     */
+    getRawProjectRows() {
+        return { ...this.rawProjectRows };
+    }
+
+    /**
+     * Get wiki items in the all_items.json format, with data pack overrides applied
+     * @returns {Array} Raw wiki items
+     */
+    getRawWikiItems() {
+        return [...this.rawWikiItems];
+    }
+
     /**
      * Get wiki items
      * @returns {Array} Wiki items array
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory of user-installed data packs, used by the main process.
+ * Each pack is a subdirectory holding a manifest.json and the files it references.
+ * Files are returned as text; the renderer validates and layers the packs.
+ */
+class DataPackStore {
+  /**
+   * @param {string} directory - Directory holding one subdirectory per pack
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Read every pack's manifest and referenced files
+   * A pack that cannot be read is returned with an error instead of its files
+   * @returns {Array<{directory: string, manifest?: string, files?: Object, error?: string}>} Packs, sorted by directory name
+   */
+  load() {
+    let entries = [];
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      entries = fs.readdirSync(this.directory, { withFileTypes: true });
+    } catch (error) {
+      console.error('Could not list data packs:', error);
+      return [];
+    }
+
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort()
+      .map(name => this.loadPack(name));
+  }
+
+  /**
+   * @param {string} name - Pack subdirectory name
+   * @returns {{directory: string, manifest?: string, files?: Object, error?: string}} Pack contents
+   */
+  loadPack(name) {
+    const packDirectory = path.join(this.directory, name);
+    try {
+      const manifest = fs.readFileSync(path.join(packDirectory, 'manifest.json'), 'utf8');
+      const parsed = JSON.parse(manifest);
+
+      const referenced = [
+        ...(Array.isArray(parsed.projects) ? parsed.projects.flatMap(project => (project ? [project.file, project.model] : [])) : []),
+        parsed.itemOverrides
+      ].filter(file => typeof file === 'string');
+
+      const files = {};
+      referenced.forEach(file => {
+        files[file] = fs.readFileSync(this.resolveFile(packDirectory, file), 'utf8');
+      });
+
+      return { directory: name, manifest, files };
+    } catch (error) {
+      return { directory: name, error: error.message };
+    }
+  }
+
+  /**
+   * Resolve a file referenced by a manifest, rejecting paths that leave the pack directory
+   * @param {string} packDirectory - Pack directory
+   * @param {string} file - Relative file path from the manifest
+   * @returns {string} File path
+   */
+  resolveFile(packDirectory, file) {
+    const filePath = path.resolve(packDirectory, file);
+    if (!filePath.startsWith(path.resolve(packDirectory) + path.sep)) {
+      throw new Error(`File outside the pack: ${file}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = DataPackStore;
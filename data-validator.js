@@ -0,0 +1,453 @@
+/**
+ * Data Validator Module
+ * Checks project rows and wiki items against the expected schema and against each other
+ */
+
+const KNOWN_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+class DataValidator {
+    /**
+     * @param {DataLoader} dataLoader - Data loader whose loaded data is checked
+     */
+    constructor(dataLoader) {
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Check all loaded data
+     * @returns {Array<{severity: string, file: string, row: number|null, message: string}>} Problems,
+     *     errors first; rows are 1-based positions in the file's list
+     */
+    validate() {
+        const problems = [];
+
+        this.dataLoader.getDataPacks().forEach(pack => {
+            pack.problems.forEach(message => {
+                problems.push({ severity: 'error', file: pack.directory || 'data-pack.json', row: null, message });
+            });
+        });
+
+        const wikiItems = this.dataLoader.getRawWikiItems();
+        problems.push(...this.validateWikiItems('all_items.json', wikiItems));
+
+        const wikiNames = new Set(wikiItems
+            .filter(item => item && typeof item.name === 'string')
+            .map(item => item.name.toLowerCase()));
+        const rawRows = this.dataLoader.getRawProjectRows();
+
+        this.dataLoader.getProjectDefinitions().forEach(({ name, file, kind, modelFile }) => {
+            problems.push(...this.validateProjectRows(name, file, rawRows[name] || [], wikiNames));
+
+            const groupNames = Object.keys(this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[name] || []));
+            if (kind === 'quests') {
+                problems.push(...this.validateQuestModel(modelFile || file, this.dataLoader.getProjectModel(name), groupNames));
+            } else if (kind === 'stations') {
+                problems.push(...this.validateStationModel(modelFile || file, this.dataLoader.getProjectModel(name), groupNames));
+            } else if (kind === 'phases') {
+                problems.push(...this.validatePhaseModel(modelFile || file, this.dataLoader.getProjectModel(name), groupNames));
+            } else if (kind === 'tiers') {
+                groupNames.filter(groupName => this.dataLoader.parseTierLevel(groupName) === null).forEach(groupName => {
+                    problems.push({ severity: 'warning', file, row: null, message: `"${groupName}" is not a level such as "Level 3", so it is listed after the levels` });
+                });
+            }
+        });
+
+        return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    }
+
+    /**
+     * Check the rows of one project file
+     * @param {string} projectName - Project name
+     * @param {string} file - File the rows came from
+     * @param {Array} rows - Rows as loaded from the file
+     * @param {Set<string>} wikiNames - Lowercased names of all wiki items
+     * @returns {Array<Object>} Problems
+     */
+    validateProjectRows(projectName, file, rows, wikiNames) {
+        const problems = [];
+        const report = (severity, row, message) => problems.push({ severity, file, row, message });
+        const rowIds = new Map();
+        const ids = new Map();
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 1;
+
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                report('error', rowNumber, 'Row is not an object and was skipped');
+                return;
+            }
+
+            const hasName = typeof row.name === 'string' && row.name.trim() !== '';
+            const hasRequirement = typeof row.requirement === 'string' && row.requirement.trim() !== '';
+            if (!hasName) report('error', rowNumber, 'Missing "name"; the row was skipped');
+            if (!hasRequirement) report('error', rowNumber, `Missing "requirement"${hasName ? ` for ${row.name}` : ''}; the row was skipped`);
+            if (!hasName || !hasRequirement) return;
+
+            if (!/^[1-9]\d*$/.test(String(row.quantity).trim())) {
+                report('error', rowNumber, `${row.name}: quantity ${JSON.stringify(row.quantity)} is not a positive whole number; 1 is used instead`);
+            }
+
+            if (row.keepable !== undefined && typeof row.keepable !== 'boolean') {
+                report('error', rowNumber, `${row.name}: "keepable" ${JSON.stringify(row.keepable)} is not true or false; the item is treated as keepable`);
+            }
+
+            if (row.id !== undefined) {
+                const expectedId = this.dataLoader.generateItemId(row.name, row.requirement);
+                if (row.id !== expectedId) {
+                    report('error', rowNumber, `${row.name}: id "${row.id}" does not match its name and requirement (expected "${expectedId}")`);
+                }
+                if (ids.has(row.id)) {
+                    report('error', rowNumber, `${row.name}: id "${row.id}" is already used by row ${ids.get(row.id)}`);
+                } else {
+                    ids.set(row.id, rowNumber);
+                }
+            }
+
+            // Rows sharing a requirement row ID would share one collected count
+            this.dataLoader.getRequirementIds(row).forEach(rowId => {
+                if (rowIds.has(rowId)) {
+                    report('error', rowNumber, `${row.name} is listed under the same requirement as row ${rowIds.get(rowId)} and shares its progress`);
+                } else {
+                    rowIds.set(rowId, rowNumber);
+                }
+            });
+
+            if (!wikiNames.has(row.name.toLowerCase())) {
+                report('warning', rowNumber, `${row.name} has no entry in all_items.json, so it has no icon, rarity or details`);
+            }
+        });
+
+        if (rows.length === 0) {
+            report('warning', null, `${projectName} has no rows`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check a quest project's chain: names, traders, prerequisites and cycles
+     * @param {string} file - File the quests came from
+     * @param {Array} quests - Quest entries ({name, trader, prerequisites})
+     * @param {Array<string>} groupNames - Quests that have requirement rows
+     * @returns {Array<Object>} Problems
+     */
+    validateQuestModel(file, quests, groupNames) {
+        const problems = [];
+        const report = (severity, row, message) => problems.push({ severity, file, row, message });
+        const rows = new Map();
+
+        quests.forEach((quest, index) => {
+            const rowNumber = index + 1;
+            if (!quest || typeof quest.name !== 'string' || quest.name.trim() === '') {
+                report('error', rowNumber, 'Quest is missing "name" and was skipped');
+                return;
+            }
+            if (rows.has(quest.name)) {
+                report('error', rowNumber, `${quest.name} is also defined in row ${rows.get(quest.name)}; only the first entry is used`);
+                return;
+            }
+            rows.set(quest.name, rowNumber);
+
+            if (quest.trader !== undefined && typeof quest.trader !== 'string') {
+                report('warning', rowNumber, `${quest.name}: "trader" is not text`);
+            }
+            if (quest.prerequisites !== undefined && !Array.isArray(quest.prerequisites)) {
+                report('error', rowNumber, `${quest.name}: "prerequisites" is not a list; the quest has none`);
+            }
+        });
+
+        const prerequisites = new Map();
+        quests.forEach(quest => {
+            if (!quest || !rows.has(quest.name) || prerequisites.has(quest.name)) return;
+            prerequisites.set(quest.name, Array.isArray(quest.prerequisites) ? quest.prerequisites : []);
+        });
+
+        prerequisites.forEach((names, questName) => {
+            names.forEach(name => {
+                if (name === questName) {
+                    report('error', rows.get(questName), `${questName} lists itself as a prerequisite, so it can never unlock`);
+                } else if (!rows.has(name) && !groupNames.includes(name)) {
+                    report('warning', rows.get(questName), `${questName}: prerequisite "${name}" is not a quest in this project and is ignored`);
+                }
+            });
+        });
+
+        // A quest that depends on itself through other quests can never unlock
+        const visiting = new Set();
+        const done = new Set();
+        const reported = new Set();
+        const visit = (questName, path) => {
+            if (done.has(questName)) return;
+            if (visiting.has(questName)) {
+                const cycle = path.slice(path.indexOf(questName));
+                if (!cycle.some(name => reported.has(name))) {
+                    cycle.forEach(name => reported.add(name));
+                    report('error', rows.get(questName), `Prerequisites form a loop (${[...cycle, questName].join(' → ')}), so these quests can never unlock`);
+                }
+                return;
+            }
+            visiting.add(questName);
+            (prerequisites.get(questName) || []).filter(name => name !== questName && prerequisites.has(name))
+                .forEach(name => visit(name, [...path, questName]));
+            visiting.delete(questName);
+            done.add(questName);
+        };
+        prerequisites.forEach((names, questName) => visit(questName, []));
+
+        groupNames.filter(name => !rows.has(name)).forEach(name => {
+            report('warning', null, `${name} has items but is not in the quest chain, so it is always available`);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check a stations project's ladders: names, levels and the requirement groups they refer to
+     * @param {string} file - File the stations came from
+     * @param {Array} stations - Station entries ({name, levels})
+     * @param {Array<string>} groupNames - Requirement groups that have rows
+     * @returns {Array<Object>} Problems
+     */
+    validateStationModel(file, stations, groupNames) {
+        const problems = [];
+        const report = (severity, row, message) => problems.push({ severity, file, row, message });
+        const rows = new Map();
+        const levelOwners = new Map();
+
+        stations.forEach((station, index) => {
+            const rowNumber = index + 1;
+            if (!station || typeof station.name !== 'string' || station.name.trim() === '') {
+                report('error', rowNumber, 'Station is missing "name" and was skipped');
+                return;
+            }
+            if (rows.has(station.name)) {
+                report('error', rowNumber, `${station.name} is also defined in row ${rows.get(station.name)}; only the first entry is used`);
+                return;
+            }
+            rows.set(station.name, rowNumber);
+
+            if (!Array.isArray(station.levels) || station.levels.some(level => typeof level !== 'string')) {
+                report('error', rowNumber, `${station.name}: "levels" is not a list of requirement names; the station was skipped`);
+                return;
+            }
+
+            station.levels.forEach((requirement, levelIndex) => {
+                const label = `${station.name} level ${levelIndex + 1}`;
+                if (levelOwners.has(requirement)) {
+                    report('error', rowNumber, `${label}: "${requirement}" is already ${levelOwners.get(requirement)}, so both share its items`);
+                    return;
+                }
+                levelOwners.set(requirement, label);
+
+                if (!groupNames.includes(requirement)) {
+                    report('warning', rowNumber, `${label}: "${requirement}" has no items, so the level needs nothing`);
+                }
+            });
+        });
+
+        groupNames.filter(name => !levelOwners.has(name)).forEach(name => {
+            report('warning', null, `${name} has items but is not a level of any station, so it is listed after the stations`);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check a phases project's delivery order against its requirement groups
+     * @param {string} file - File the phases came from
+     * @param {Array} phases - Phase entries ({name}) in delivery order
+     * @param {Array<string>} groupNames - Requirement groups that have rows
+     * @returns {Array<Object>} Problems
+     */
+    validatePhaseModel(file, phases, groupNames) {
+        const problems = [];
+        const report = (severity, row, message) => problems.push({ severity, file, row, message });
+        const rows = new Map();
+
+        phases.forEach((phase, index) => {
+            const rowNumber = index + 1;
+            if (!phase || typeof phase.name !== 'string' || phase.name.trim() === '') {
+                report('error', rowNumber, 'Phase is missing "name" and was skipped');
+                return;
+            }
+            if (rows.has(phase.name)) {
+                report('error', rowNumber, `${phase.name} is also listed in row ${rows.get(phase.name)}; only the first position is used`);
+                return;
+            }
+            rows.set(phase.name, rowNumber);
+
+            if (!groupNames.includes(phase.name)) {
+                report('warning', rowNumber, `${phase.name} has no items, so it can be delivered straight away`);
+            }
+        });
+
+        groupNames.filter(name => !rows.has(name)).forEach(name => {
+            report('warning', null, `${name} has items but is not in the phase order, so it is delivered after the listed phases`);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check wiki item entries
+     * @param {string} file - File the items came from
+     * @param {Array} items - Items in the all_items.json format
+     * @returns {Array<Object>} Problems
+     */
+    validateWikiItems(file, items) {
+        const problems = [];
+        const report = (severity, row, message) => problems.push({ severity, file, row, message });
+        const names = new Map();
+        const ids = new Map();
+        const itemNames = new Set(items
+            .filter(item => item && typeof item.name === 'string')
+            .map(item => item.name.toLowerCase()));
+
+        items.forEach((item, index) => {
+            const rowNumber = index + 1;
+
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                report('error', rowNumber, 'Entry is not an object');
+                return;
+            }
+            if (typeof item.name !== 'string' || item.name.trim() === '') {
+                report('error', rowNumber, 'Missing "name"');
+                return;
+            }
+
+            const label = item.name;
+            const nameKey = item.name.toLowerCase();
+            if (names.has(nameKey)) {
+                report('error', rowNumber, `${label} is also defined in row ${names.get(nameKey)}; only the first entry is used`);
+            } else {
+                names.set(nameKey, rowNumber);
+            }
+
+            if (typeof item.id !== 'string' || item.id === '') {
+                report('warning', rowNumber, `${label}: missing "id"`);
+            } else if (ids.has(item.id)) {
+                report('error', rowNumber, `${label}: id "${item.id}" is already used by row ${ids.get(item.id)}`);
+            } else {
+                ids.set(item.id, rowNumber);
+            }
+
+            if (!item.rarity) {
+                report('warning', rowNumber, `${label}: missing rarity`);
+            } else if (typeof item.rarity !== 'string' || !KNOWN_RARITIES.includes(item.rarity.toLowerCase())) {
+                report('warning', rowNumber, `${label}: unknown rarity ${JSON.stringify(item.rarity)}`);
+            }
+
+            if (item.value !== undefined && item.value !== null && !(typeof item.value === 'number' && item.value >= 0)) {
+                report('error', rowNumber, `${label}: value ${JSON.stringify(item.value)} is not a non-negative number`);
+            }
+
+            if (item.stat_block !== undefined && item.stat_block !== null) {
+                if (typeof item.stat_block !== 'object' || Array.isArray(item.stat_block)) {
+                    report('error', rowNumber, `${label}: "stat_block" is not an object`);
+                } else if (item.stat_block.weight !== undefined && !(typeof item.stat_block.weight === 'number' && item.stat_block.weight >= 0)) {
+                    report('error', rowNumber, `${label}: weight ${JSON.stringify(item.stat_block.weight)} is not a non-negative number`);
+                }
+            }
+
+            if (item.icon !== undefined && item.icon !== null && typeof item.icon !== 'string') {
+                report('error', rowNumber, `${label}: "icon" is not a path`);
+            }
+
+            if (item.recipe !== undefined && item.recipe !== null) {
+                problems.push(...this.validateRecipe(file, rowNumber, item, itemNames));
+            }
+            ['recycles_into', 'salvages_into'].forEach(field => {
+                if (item[field] === undefined || item[field] === null) return;
+                if (!Array.isArray(item[field])) {
+                    report('error', rowNumber, `${label}: "${field}" is not a list and is ignored`);
+                } else {
+                    problems.push(...this.validateQuantities(file, rowNumber, item, `"${field}"`, item[field], itemNames));
+                }
+            });
+        });
+
+        const craftable = items.filter(item => item && typeof item === 'object' && (item.workbench || item.recipe));
+        const withRecipe = craftable.filter(item => item.recipe).length;
+        if (withRecipe < craftable.length) {
+            report('warning', null, `Recipe data is partial: only ${withRecipe} of ${craftable.length} items with a workbench have a recipe, so the crafting calculator treats the others as raw materials`);
+        }
+
+        const hasOutputs = (item) => Array.isArray(item.recycles_into) && item.recycles_into.length > 0 ||
+            Array.isArray(item.salvages_into) && item.salvages_into.length > 0;
+        const recyclable = items.filter(item => item && typeof item === 'object' &&
+            (this.dataLoader.normalizeEnum('item_type', item.item_type).key === 'recyclable' || hasOutputs(item)));
+        const withOutputs = recyclable.filter(hasOutputs).length;
+        if (withOutputs < recyclable.length) {
+            report('warning', null, `Recycling data is partial: only ${withOutputs} of ${recyclable.length} recyclable items list what they recycle or salvage into, so the recycling planner cannot suggest the others`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check the recipe of one wiki item: its yield and the items it is crafted from
+     * @param {string} file - File the item came from
+     * @param {number} rowNumber - 1-based position of the item in the file
+     * @param {Object} item - Item in the all_items.json format
+     * @param {Set<string>} itemNames - Lowercased names of all wiki items
+     * @returns {Array<Object>} Problems
+     */
+    validateRecipe(file, rowNumber, item, itemNames) {
+        const problems = [];
+        const report = (severity, message) => problems.push({ severity, file, row: rowNumber, message });
+        const { recipe } = item;
+
+        if (typeof recipe !== 'object' || !Array.isArray(recipe.inputs)) {
+            report('error', `${item.name}: "recipe" has no "inputs" list and is ignored`);
+            return problems;
+        }
+        if (recipe.yield !== undefined && !(Number.isInteger(recipe.yield) && recipe.yield > 0)) {
+            report('error', `${item.name}: recipe yield ${JSON.stringify(recipe.yield)} is not a positive whole number; 1 is used instead`);
+        }
+
+        problems.push(...this.validateQuantities(file, rowNumber, item, 'recipe', recipe.inputs, itemNames));
+        return problems;
+    }
+
+    /**
+     * Check a list of item quantities of one wiki item, such as recipe inputs or recycling outputs
+     * @param {string} file - File the item came from
+     * @param {number} rowNumber - 1-based position of the item in the file
+     * @param {Object} item - Item in the all_items.json format
+     * @param {string} listLabel - How the list is named in messages
+     * @param {Array} entries - Entries of {name, quantity}
+     * @param {Set<string>} itemNames - Lowercased names of all wiki items
+     * @returns {Array<Object>} Problems
+     */
+    validateQuantities(file, rowNumber, item, listLabel, entries, itemNames) {
+        const problems = [];
+        const report = (severity, message) => problems.push({ severity, file, row: rowNumber, message });
+
+        entries.forEach(entry => {
+            if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+                report('error', `${item.name}: an entry of ${listLabel} is missing "name" and is ignored`);
+                return;
+            }
+            if (!(Number.isInteger(entry.quantity) && entry.quantity > 0)) {
+                report('error', `${item.name}: ${listLabel} quantity ${JSON.stringify(entry.quantity)} of ${entry.name} is not a positive whole number; the entry is ignored`);
+            }
+            if (entry.name.trim().toLowerCase() === item.name.toLowerCase()) {
+                report('error', `${item.name} is listed in its own ${listLabel}`);
+            } else if (!itemNames.has(entry.name.trim().toLowerCase())) {
+                report('warning', `${item.name}: ${listLabel} entry ${entry.name} has no entry in ${file}`);
+            }
+        });
+
+        return problems;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidator;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.DataValidator = DataValidator;
+}
@@ -0,0 +1,181 @@
+/**
+ * Dialog Manager Module
+ * Handles modal dialogs (Electron does not support window.prompt)
+ */
+
+class DialogManager {
+    constructor() {
+        this.activeDialog = null;
+    }
+
+    /**
+     * Open a modal dialog
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string|HTMLElement} options.body - Body HTML or element
+     * @param {Array<{label: string, value: *, primary?: boolean, danger?: boolean}>} options.actions - Buttons, in display order
+     * @param {string} options.className - Optional extra class for the dialog
+     * @returns {Promise<*>} Value of the chosen action, or null if dismissed
+     */
+    open({ title, body, actions = [{ label: 'Close', value: null }], className = '' }) {
+        // Only one dialog at a time; a new one dismisses the previous
+        this.close(null);
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'dialog-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = `dialog ${className}`;
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+
+            const heading = document.createElement('h3');
+            heading.className = 'dialog-title';
+            heading.textContent = title;
+
+            const content = document.createElement('div');
+            content.className = 'dialog-body';
+            if (typeof body === 'string') {
+                content.innerHTML = body;
+            } else if (body) {
+                content.appendChild(body);
+            }
+
+            const actionBar = document.createElement('div');
+            actionBar.className = 'dialog-actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = `dialog-button ${action.primary ? 'primary' : ''} ${action.danger ? 'danger' : ''}`;
+                button.textContent = action.label;
+                button.addEventListener('click', () => this.close(action.value));
+                actionBar.appendChild(button);
+            });
+
+            dialog.appendChild(heading);
+            dialog.appendChild(content);
+            dialog.appendChild(actionBar);
+            overlay.appendChild(dialog);
+
+            const keyHandler = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.close(null);
+                }
+            };
+            document.addEventListener('keydown', keyHandler);
+
+            this.activeDialog = { overlay, resolve, keyHandler, content };
+            document.body.appendChild(overlay);
+
+            const focusTarget = content.querySelector('input, textarea, select') || actionBar.querySelector('.primary') || actionBar.querySelector('button');
+            if (focusTarget) focusTarget.focus();
+        });
+    }
+
+    /**
+     * Close the active dialog
+     * @param {*} value - Value to resolve the dialog with
+     */
+    close(value) {
+        if (!this.activeDialog) return;
+
+        const { overlay, resolve, keyHandler } = this.activeDialog;
+        this.activeDialog = null;
+        document.removeEventListener('keydown', keyHandler);
+        overlay.remove();
+        resolve(value);
+    }
+
+    /**
+     * Ask for a line of text
+     * @param {Object} options - Prompt options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Explanation shown above the input
+     * @param {string} options.value - Initial value
+     * @param {string} options.confirmLabel - Confirm button label
+     * @param {number} options.maxLength - Maximum input length
+     * @returns {Promise<string|null>} Trimmed text, or null if cancelled or empty
+     */
+    async prompt({ title, message = '', value = '', confirmLabel = 'OK', maxLength = 40 }) {
+        const body = document.createElement('div');
+
+        if (message) {
+            const text = document.createElement('p');
+            text.textContent = message;
+            body.appendChild(text);
+        }
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'search-input dialog-input';
+        input.maxLength = maxLength;
+        input.value = value;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.close('confirm');
+            }
+        });
+        body.appendChild(input);
+
+        const result = await this.open({
+            title,
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: confirmLabel, value: 'confirm', primary: true }
+            ]
+        });
+
+        const text = input.value.trim();
+        return result === 'confirm' && text ? text : null;
+    }
+
+    /**
+     * Ask for confirmation
+     * @param {Object} options - Confirm options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Question to confirm
+     * @param {string} options.confirmLabel - Confirm button label
+     * @param {boolean} options.danger - Style the confirm button as destructive
+     * @returns {Promise<boolean>} True if confirmed
+     */
+    async confirm({ title, message, confirmLabel = 'OK', danger = false }) {
+        const body = document.createElement('p');
+        body.textContent = message;
+
+        const result = await this.open({
+            title,
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: confirmLabel, value: 'confirm', primary: !danger, danger }
+            ]
+        });
+        return result === 'confirm';
+    }
+
+    /**
+     * Show a message
+     * @param {Object} options - Alert options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Message text
+     * @returns {Promise<void>}
+     */
+    async alert({ title, message }) {
+        const body = document.createElement('p');
+        body.textContent = message;
+        await this.open({ title, body, actions: [{ label: 'OK', value: null, primary: true }] });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DialogManager;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.DialogManager = DialogManager;
+}
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Key/value storage kept in a JSON file, used by the main process in place of renderer localStorage.
+ * Values are strings, as with localStorage. Every change rewrites the file atomically
+ * (write to a temporary file, flush, rename) so a crash never leaves a half-written file.
+ */
+class FileStorage {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  /**
+   * Read the file on first use
+   * A file that cannot be parsed is renamed aside rather than overwritten
+   * @returns {Object} Stored entries
+   */
+  load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = data && typeof data.entries === 'object' && data.entries !== null ? data.entries : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not read storage file:', error);
+        this.setAsideCorruptFile();
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Keep an unreadable file for inspection under a timestamped name
+   */
+  setAsideCorruptFile() {
+    const { dir, name, ext } = path.parse(this.filePath);
+    const target = path.join(dir, `${name}.corrupt-${Date.now()}${ext}`);
+    try {
+      fs.renameSync(this.filePath, target);
+      console.warn(`Unreadable storage file moved to ${target}`);
+    } catch (error) {
+      console.error('Could not move unreadable storage file:', error);
+    }
+  }
+
+  /**
+   * Write all entries to the file atomically
+   */
+  save() {
+    const contents = JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      entries: this.entries
+    }, null, 2);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, contents, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @param {string} key - Entry key
+   * @returns {string|null} Stored value, or null if missing
+   */
+  getItem(key) {
+    const entries = this.load();
+    return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null;
+  }
+
+  /**
+   * @param {string} key - Entry key
+   * @param {string} value - Value to store
+   */
+  setItem(key, value) {
+    this.load()[key] = String(value);
+    this.save();
+  }
+
+  /**
+   * @param {string} key - Entry key
+   */
+  removeItem(key) {
+    const entries = this.load();
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) return;
+
+    delete entries[key];
+    this.save();
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,157 @@
+/**
+ * Item Advisor Module
+ * Gives every wiki item a keep, recycle or sell verdict with the reasons behind it
+ *
+ * An item is kept when projects still need it, even if the stash already holds enough, in which case only the
+ * surplus above that need is offered for sale. It is also kept when it is crafted, through any number of recipe
+ * steps, into something projects still need beyond the stash. It is recycled when it recycles into such a material,
+ * or when its materials are worth more than its sell value. Anything else is sold.
+ * Only items whose recycling outputs are in the data can be recycled; the data is partial, so a recyclable item
+ * without outputs says so in its reasons instead.
+ */
+
+const VERDICT_LABELS = { keep: 'Keep', recycle: 'Recycle', sell: 'Sell' };
+
+class ItemAdvisor {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Work out the verdict of every wiki item
+     * @returns {Map<string, {verdict: string, label: string, reasons: Array<string>}>} Verdicts keyed by item key
+     */
+    getVerdicts() {
+        const needs = this.getOutstandingNeeds();
+        const feeds = this.getRecipeFeeds(needs);
+
+        const verdicts = new Map();
+        this.dataLoader.getWikiItems().forEach(item => {
+            verdicts.set(this.dataLoader.getItemKey(item.name), this.judge(item, needs, feeds));
+        });
+        return verdicts;
+    }
+
+    /**
+     * Get what projects still need of each item, before and after the stash
+     * @returns {Map<string, {name: string, remaining: number, shortfall: number, missionOnly: boolean, projects: Array<string>}>}
+     *     Needs keyed by item key; shortfall is what the stash does not cover
+     */
+    getOutstandingNeeds() {
+        const needs = new Map();
+        Object.entries(this.dataLoader.getAllItemsRemaining(this.stateManager, true)).forEach(([name, data]) => {
+            if (data.remainingQuantity === 0) return;
+
+            const itemKey = this.dataLoader.getItemKey(name);
+            needs.set(itemKey, {
+                name,
+                remaining: data.remainingQuantity,
+                shortfall: Math.max(0, data.remainingQuantity - this.stateManager.getStashCount(itemKey)),
+                missionOnly: data.missionOnly,
+                projects: [...new Set(data.projects.filter(project => !project.completed).map(project => project.projectName))]
+            });
+        });
+        return needs;
+    }
+
+    /**
+     * Find the items that are crafted, directly or through other recipes, into something still needed
+     * @param {Map<string, Object>} needs - Needs from getOutstandingNeeds
+     * @returns {Map<string, Set<string>>} Names of the needed items each ingredient leads to, keyed by ingredient item key
+     */
+    getRecipeFeeds(needs) {
+        const feeds = new Map();
+
+        const walk = (itemName, targetName, path) => {
+            const wikiItem = this.dataLoader.getWikiItem(itemName);
+            if (!wikiItem || !wikiItem.recipe) return;
+
+            wikiItem.recipe.inputs.forEach(input => {
+                const inputKey = this.dataLoader.getItemKey(input.name);
+                if (path.includes(inputKey)) return;
+
+                if (!feeds.has(inputKey)) feeds.set(inputKey, new Set());
+                feeds.get(inputKey).add(targetName);
+                walk(input.name, targetName, [...path, inputKey]);
+            });
+        };
+
+        needs.forEach((need, itemKey) => {
+            if (need.shortfall > 0 && !need.missionOnly) walk(need.name, need.name, [itemKey]);
+        });
+        return feeds;
+    }
+
+    /**
+     * Decide what to do with one item
+     * @param {Object} item - Wiki item
+     * @param {Map<string, Object>} needs - Needs from getOutstandingNeeds
+     * @param {Map<string, Set<string>>} feeds - Feeds from getRecipeFeeds
+     * @returns {{verdict: string, label: string, reasons: Array<string>}} Verdict
+     */
+    judge(item, needs, feeds) {
+        const itemKey = this.dataLoader.getItemKey(item.name);
+        const need = needs.get(itemKey);
+        const reasons = [];
+        const verdict = (key) => ({ verdict: key, label: VERDICT_LABELS[key], reasons });
+        const value = typeof item.value === 'number' ? item.value : 0;
+
+        if (need && need.shortfall > 0) {
+            reasons.push(need.missionOnly
+                ? `Handed in for ${need.projects.join(', ')}; ${need.shortfall} still to find`
+                : `${need.projects.join(', ')} still ${need.projects.length === 1 ? 'needs' : 'need'} ${need.shortfall} more`);
+            return verdict('keep');
+        }
+        if (need) {
+            // Stock covering open requirements is allocated to them, so only the surplus is offered for sale
+            const surplus = this.stateManager.getStashCount(itemKey) - need.remaining;
+            reasons.push(`Held for ${need.projects.join(', ')}: your stash covers the ${need.remaining} still needed`);
+            if (surplus > 0) {
+                reasons.push(`The ${surplus} spare above that can be sold for ${value} each`);
+            }
+            return verdict('keep');
+        }
+
+        if (feeds.has(itemKey)) {
+            reasons.push(`Crafted into ${[...feeds.get(itemKey)].join(', ')}, which projects still need`);
+            return verdict('keep');
+        }
+
+        const isUseful = (name) => {
+            const outputKey = this.dataLoader.getItemKey(name);
+            return (needs.has(outputKey) && needs.get(outputKey).shortfall > 0 && !needs.get(outputKey).missionOnly) || feeds.has(outputKey);
+        };
+        const usefulOutputs = item.recycles_into.filter(output => isUseful(output.name));
+        if (usefulOutputs.length > 0) {
+            reasons.push(`Recycles into ${usefulOutputs.map(output => `${output.quantity}× ${output.name}`).join(', ')}, which projects still need`);
+            return verdict('recycle');
+        }
+
+        const materialsValue = item.recycles_into.reduce((total, output) => {
+            const outputItem = this.dataLoader.getWikiItem(output.name);
+            return total + (outputItem && typeof outputItem.value === 'number' ? outputItem.value * output.quantity : 0);
+        }, 0);
+        if (materialsValue > value) {
+            reasons.push(`No project needs it, and its materials are worth ${materialsValue}, more than its sell value of ${value}`);
+            return verdict('recycle');
+        }
+
+        const weight = item.stat_block && typeof item.stat_block.weight === 'number' ? item.stat_block.weight : 0;
+        reasons.push(`No project needs it; it sells for ${value}${weight > 0 ? ` (${Math.round(value / weight)} per kg)` : ''}`);
+        if (item.recycles_into.length === 0 && (item.enums.item_type === 'recyclable' || item.salvages_into.length > 0)) {
+            reasons.push('What it recycles into is not in the data yet, so recycling it was not considered');
+        }
+        return verdict('sell');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItemAdvisor;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ItemAdvisor = ItemAdvisor;
+}
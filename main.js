@@ -1,7 +1,14 @@
-const { app, BrowserWindow, Menu, dialog } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const FileStorage = require('./file-storage');
+const BackupStore = require('./backup-store');
+const DataPackStore = require('./data-pack-store');
 
 let mainWindow;
+let fileStorage;
+let backupStore;
+let dataPackStore;
 
 function createWindow() {
   // Create the browser window
@@ -15,6 +22,7 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
+      preload: path.join(__dirname, 'preload.js'),
       // Allow loading local files
       webSecurity: false
     },
@@ -49,8 +57,81 @@ function createWindow() {
   });
 }
 
+// Storage bridge for the renderer: synchronous so StateManager can keep its localStorage-style API
+ipcMain.on('storage-get-item', (event, key) => {
+  event.returnValue = fileStorage.getItem(key);
+});
+
+ipcMain.on('storage-set-item', (event, key, value) => {
+  try {
+    fileStorage.setItem(key, value);
+    event.returnValue = { ok: true };
+  } catch (error) {
+    console.error('Could not write storage file:', error);
+    event.returnValue = { ok: false, error: error.message };
+  }
+});
+
+ipcMain.on('storage-remove-item', (event, key) => {
+  try {
+    fileStorage.removeItem(key);
+    event.returnValue = { ok: true };
+  } catch (error) {
+    console.error('Could not write storage file:', error);
+    event.returnValue = { ok: false, error: error.message };
+  }
+});
+
+// Backup snapshots; the renderer decides when to take them and which to prune
+ipcMain.handle('backups-list', () => backupStore.list());
+ipcMain.handle('backups-create', (event, reason, contents) => backupStore.create(reason, contents));
+ipcMain.handle('backups-read', (event, id) => backupStore.read(id));
+ipcMain.handle('backups-remove', (event, id) => backupStore.remove(id));
+
+// User-installed data packs, layered over the bundled data by the renderer
+ipcMain.handle('data-packs-load', () => dataPackStore.load());
+
+// Largest file the renderer may open through the file bridge
+const MAX_OPEN_FILE_BYTES = 10 * 1024 * 1024;
+
+ipcMain.handle('app-version', () => app.getVersion());
+
+// Save text chosen by the renderer to a file picked in a native save dialog
+ipcMain.handle('save-file', async (event, { title, defaultName, filters, contents }) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title,
+    defaultPath: path.join(app.getPath('documents'), defaultName),
+    filters
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  fs.writeFileSync(result.filePath, contents, 'utf8');
+  return result.filePath;
+});
+
+// Read a text file picked in a native open dialog
+ipcMain.handle('open-file', async (event, { title, filters }) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title,
+    filters,
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const [filePath] = result.filePaths;
+  if (fs.statSync(filePath).size > MAX_OPEN_FILE_BYTES) {
+    throw new Error('The file is too large to open.');
+  }
+  return { filePath, contents: fs.readFileSync(filePath, 'utf8') };
+});
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
+  // Progress is kept in a file under the user data directory
+  fileStorage = new FileStorage(path.join(app.getPath('userData'), 'progress.json'));
+  backupStore = new BackupStore(path.join(app.getPath('userData'), 'backups'));
+  dataPackStore = new DataPackStore(path.join(app.getPath('userData'), 'data-packs'));
+
   createWindow();
 
   // On macOS, re-create window when dock icon is clicked
@@ -86,11 +167,50 @@ app.on('web-contents-created', (event, contents) => {
   });
 });
 
+// Forward a menu command to the renderer
+function sendMenuCommand(command) {
+  if (mainWindow) {
+    mainWindow.webContents.send('menu-command', command);
+  }
+}
+
 // Set up application menu
 const template = [
   {
     label: 'File',
     submenu: [
+      {
+        label: 'Export Progress...',
+        accelerator: 'CmdOrCtrl+E',
+        click: () => sendMenuCommand('export-progress')
+      },
+      {
+        label: 'Import Progress...',
+        accelerator: 'CmdOrCtrl+O',
+        click: () => sendMenuCommand('import-progress')
+      },
+      {
+        label: 'Merge Progress Files...',
+        click: () => sendMenuCommand('merge-progress')
+      },
+      {
+        label: 'Share Progress Code...',
+        click: () => sendMenuCommand('share-code')
+      },
+      {
+        label: 'Export Shopping List (CSV)...',
+        click: () => sendMenuCommand('export-csv')
+      },
+      { type: 'separator' },
+      {
+        label: 'Open Data Packs Folder',
+        click: () => require('electron').shell.openPath(dataPackStore.directory)
+      },
+      {
+        label: 'Restore Backup...',
+        click: () => sendMenuCommand('restore-backup')
+      },
+      { type: 'separator' },
       {
         label: 'Quit',
         accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
@@ -103,8 +223,17 @@ const template = [
   {
     label: 'Edit',
     submenu: [
-      { role: 'undo' },
-      { role: 'redo' },
+      // Undo/redo drive the tracker's history; the renderer falls back to native undo in text fields
+      {
+        label: 'Undo',
+        accelerator: 'CmdOrCtrl+Z',
+        click: () => sendMenuCommand('undo')
+      },
+      {
+        label: 'Redo',
+        accelerator: 'CmdOrCtrl+Shift+Z',
+        click: () => sendMenuCommand('redo')
+      },
       { type: 'separator' },
       { role: 'cut' },
       { role: 'copy' },
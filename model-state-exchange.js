@@ -0,0 +1,260 @@
+/**
+ * Model State Exchange Module
+ * Carries the model state of projects, such as finished quests, through export, import, merge and progress codes
+ *
+ * Each project kind with model state keeps it under its own top-level state key, keyed by project name.
+ * Values from outside the app are checked against the loaded data, and two values are combined by keeping
+ * the furthest progress of each. For progress codes a value is flattened into named numbers, where the
+ * names are the quests, stations or phases of the loaded project; a tiers project has a single reached level.
+ */
+
+// Names of the project's model entries that pass the check, in model order
+function getModelNames(model, check = () => true) {
+    const names = [];
+    model.forEach(entry => {
+        if (entry && typeof entry.name === 'string' && check(entry) && !names.includes(entry.name)) names.push(entry.name);
+    });
+    return names;
+}
+
+const MODEL_STATE_RULES = {
+    quests: {
+        key: 'finishedGroups',
+        label: 'Quest',
+        empty: () => [],
+        // Quests of the model, then groups missing from it, which are treated as side quests
+        names: (model, groups) => [...new Set([...getModelNames(model), ...Object.keys(groups)])],
+        // Finished quests, keeping the names that are quests of the project
+        normalize: (value, names) => {
+            if (!Array.isArray(value)) return null;
+            const known = value.filter(name => names.includes(name));
+            return { value: [...new Set(known)], unmatched: value.filter(name => !names.includes(name)).map(String) };
+        },
+        combine: (a, b) => [...a, ...b.filter(name => !a.includes(name))],
+        describe: (value, name) => (value.includes(name) ? 'Finished' : 'Open'),
+        toEntries: (value) => value.map(name => [name, 1]),
+        fromEntries: (entries) => [...entries.keys()]
+    },
+    stations: {
+        key: 'stationLevels',
+        label: 'Station',
+        empty: () => ({}),
+        names: (model) => getModelNames(model, entry => Array.isArray(entry.levels)),
+        // Built level per station, capped at the station's top level
+        normalize: (value, names, model) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+            const levels = {};
+            names.forEach(name => {
+                const level = Math.floor(Number(value[name]));
+                const maxLevel = model.find(entry => entry && entry.name === name).levels.length;
+                if (level > 0) levels[name] = Math.min(level, maxLevel);
+            });
+            return { value: levels, unmatched: Object.keys(value).filter(name => !names.includes(name)) };
+        },
+        combine: (a, b) => {
+            const levels = { ...a };
+            Object.entries(b).forEach(([name, level]) => {
+                levels[name] = Math.max(levels[name] || 0, level);
+            });
+            return levels;
+        },
+        describe: (value, name) => `Level ${value[name] || 0}`,
+        toEntries: (value) => Object.entries(value),
+        fromEntries: (entries) => Object.fromEntries(entries)
+    },
+    phases: {
+        key: 'phaseDeliveries',
+        label: 'Phase',
+        empty: () => [],
+        names: (model, groups) => [...new Set([...getModelNames(model), ...Object.keys(groups)])],
+        // Delivery log entries of known phases with a valid date, once per phase, oldest first
+        normalize: (value, names) => {
+            if (!Array.isArray(value)) return null;
+            const deliveries = [];
+            const unmatched = [];
+            value.forEach(delivery => {
+                const valid = delivery && typeof delivery === 'object' && names.includes(delivery.phase) &&
+                    !Number.isNaN(Date.parse(delivery.deliveredAt));
+                if (!valid) {
+                    unmatched.push(String(delivery && typeof delivery === 'object' ? delivery.phase : delivery));
+                    return;
+                }
+                if (deliveries.some(entry => entry.phase === delivery.phase)) return;
+                deliveries.push({
+                    phase: delivery.phase,
+                    deliveredAt: new Date(delivery.deliveredAt).toISOString(),
+                    items: (Array.isArray(delivery.items) ? delivery.items : [])
+                        .filter(item => item && typeof item.name === 'string' && Number(item.quantity) >= 0)
+                        .map(item => ({ name: item.name, quantity: Number(item.quantity) }))
+                });
+            });
+            deliveries.sort((a, b) => Date.parse(a.deliveredAt) - Date.parse(b.deliveredAt));
+            return { value: deliveries, unmatched };
+        },
+        combine: (a, b) => [...a, ...b.filter(delivery => !a.some(entry => entry.phase === delivery.phase))]
+            .sort((first, second) => Date.parse(first.deliveredAt) - Date.parse(second.deliveredAt)),
+        describe: (value, name) => (value.some(delivery => delivery.phase === name) ? 'Delivered' : 'Open'),
+        // Delivery times are kept to the minute
+        toEntries: (value) => value.map(delivery => [delivery.phase, Math.floor(Date.parse(delivery.deliveredAt) / 60000)]),
+        // A code has no delivered items, so they are taken from the phase as the data describes it
+        fromEntries: (entries, groups, dataLoader) => [...entries].map(([phase, minutes]) => ({
+            phase,
+            deliveredAt: new Date(minutes * 60000).toISOString(),
+            items: (groups[phase] || []).map(item => ({ name: item.name, quantity: dataLoader.getItemQuantity(item) }))
+        }))
+    },
+    tiers: {
+        key: 'tierLevels',
+        label: 'Tier',
+        empty: () => 0,
+        names: () => ['Reached level'],
+        normalize: (value) => {
+            const level = Number(value);
+            return Number.isInteger(level) && level >= 0 ? { value: level, unmatched: [] } : null;
+        },
+        combine: (a, b) => Math.max(a, b),
+        describe: (value) => String(value),
+        toEntries: (value) => [['Reached level', value]],
+        fromEntries: (entries) => entries.get('Reached level') || 0
+    }
+};
+
+class ModelStateExchange {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * @param {string} projectName - Project name
+     * @returns {Object|null} Model state rule of the project's kind, or null if the kind keeps no model state
+     */
+    getRule(projectName) {
+        return MODEL_STATE_RULES[this.dataLoader.getProjectKind(projectName)] || null;
+    }
+
+    /**
+     * Get the names a project's model state can refer to, such as its quests or stations
+     * @param {string} projectName - Project name
+     * @returns {Array<string>} Names in model order, then data order
+     */
+    getNames(projectName) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        return this.getRule(projectName).names(this.dataLoader.getProjectModel(projectName), groups);
+    }
+
+    /**
+     * Check a model state against the loaded data
+     * @param {string} projectName - Project name
+     * @param {*} value - Model state
+     * @returns {{value: *, unmatched: Array<string>}|null} Usable value and the names that were left out, or null if the value has the wrong shape
+     */
+    normalize(projectName, value) {
+        return this.getRule(projectName).normalize(value, this.getNames(projectName), this.dataLoader.getProjectModel(projectName));
+    }
+
+    /**
+     * Get the model state of every project that keeps one, keyed by state key as in a progress document
+     * @returns {Object} Model state keyed by project name, then state key
+     */
+    exportModels() {
+        const models = {};
+        Object.keys(this.dataLoader.getProjects()).forEach(projectName => {
+            const rule = this.getRule(projectName);
+            if (rule) models[projectName] = { [rule.key]: this.read(projectName) };
+        });
+        return models;
+    }
+
+    /**
+     * @param {string} projectName - Project name
+     * @returns {*} Current model state of the project, or undefined if its kind keeps none
+     */
+    read(projectName) {
+        const rule = this.getRule(projectName);
+        if (!rule) return undefined;
+
+        const normalized = this.normalize(projectName, this.stateManager.getModelState(rule.key, projectName));
+        return normalized ? normalized.value : rule.empty();
+    }
+
+    /**
+     * Check a project's model state from a progress document against the loaded data
+     * @param {string} projectName - Project name
+     * @param {*} models - The document's model state of the project, keyed by state key
+     * @returns {{value: *, unmatched: Array<string>}|null} Usable value (undefined if the model state has the wrong
+     *     shape) and the entries that were left out, or null if the document has no model state for the project's kind
+     */
+    resolve(projectName, models) {
+        const rule = this.getRule(projectName);
+        if (!rule || !models || typeof models !== 'object' || !Object.prototype.hasOwnProperty.call(models, rule.key)) return null;
+
+        const normalized = this.normalize(projectName, models[rule.key]);
+        if (!normalized) return { value: undefined, unmatched: [`${projectName}: ${rule.key}`] };
+        return { value: normalized.value, unmatched: normalized.unmatched.map(name => `${projectName}: ${rule.label.toLowerCase()} "${name}"`) };
+    }
+
+    /**
+     * Combine two model states of a project, keeping the furthest progress of each
+     * @param {string} projectName - Project name
+     * @param {*} a - Model state
+     * @param {*} b - Model state
+     * @returns {*} Combined model state
+     */
+    combine(projectName, a, b) {
+        return this.getRule(projectName).combine(a, b);
+    }
+
+    /**
+     * List what changes between two model states of a project, in the shape of progress code changes
+     * @param {string} projectName - Project name
+     * @param {*} from - Current model state
+     * @param {*} to - New model state
+     * @returns {Array<{projectName: string, itemName: string, requirement: string, from: string, to: string}>} Changes
+     */
+    diff(projectName, from, to) {
+        const rule = this.getRule(projectName);
+        return this.getNames(projectName)
+            .map(name => ({ projectName, itemName: name, requirement: rule.label, from: rule.describe(from, name), to: rule.describe(to, name) }))
+            .filter(change => change.from !== change.to);
+    }
+
+    /**
+     * Flatten a project's model state into named numbers for a progress code
+     * @param {string} projectName - Project name
+     * @returns {Array<[string, number]>} Entries with a non-zero number
+     */
+    toEntries(projectName) {
+        return this.getRule(projectName).toEntries(this.read(projectName)).filter(([, number]) => number > 0);
+    }
+
+    /**
+     * Rebuild a project's model state from the named numbers of a progress code
+     * @param {string} projectName - Project name
+     * @param {Map<string, number>} entries - Numbers keyed by name
+     * @returns {*} Model state
+     */
+    fromEntries(projectName, entries) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        return this.normalize(projectName, this.getRule(projectName).fromEntries(entries, groups, this.dataLoader)).value;
+    }
+
+    /**
+     * Replace a project's model state
+     * @param {string} projectName - Project name
+     * @param {*} value - Model state
+     */
+    write(projectName, value) {
+        this.stateManager.setModelState(this.getRule(projectName).key, projectName, value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelStateExchange;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ModelStateExchange = ModelStateExchange;
+}
@@ -0,0 +1,111 @@
+/**
+ * Phase Sequence Module
+ * Orders a phases project's groups as stages delivered one after another, using the delivery log stored in state
+ *
+ * Phases come from the project's model file: a list of {name} in delivery order. Groups missing from the
+ * model follow the listed phases in data order. Each phase is:
+ *   delivered - handed in; its items are locked
+ *   current   - the first phase not yet delivered, which is the only one that can be delivered
+ *   upcoming  - any later phase
+ */
+
+class PhaseSequence {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Get a project's phases in delivery order with their status
+     * @param {string} projectName - Project name
+     * @returns {Array<{name: string, status: string, delivery: Object|null, ready: boolean, items: Array}>} Phases;
+     *     delivery is the log entry of a delivered phase and ready tells whether every item is collected
+     */
+    getPhases(projectName) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        const deliveries = new Map(this.stateManager.getPhaseDeliveries(projectName).map(delivery => [delivery.phase, delivery]));
+
+        const names = [];
+        this.dataLoader.getProjectModel(projectName).forEach(entry => {
+            if (entry && typeof entry.name === 'string' && !names.includes(entry.name)) names.push(entry.name);
+        });
+        Object.keys(groups).forEach(name => {
+            if (!names.includes(name)) names.push(name);
+        });
+
+        let currentFound = false;
+        return names.map(name => {
+            const items = groups[name] || [];
+            const { collected, total } = this.dataLoader.getProgress(projectName, items, this.stateManager);
+
+            let status = 'upcoming';
+            if (deliveries.has(name)) {
+                status = 'delivered';
+            } else if (!currentFound) {
+                status = 'current';
+                currentFound = true;
+            }
+
+            return { name, status, delivery: deliveries.get(name) || null, ready: collected >= total, items };
+        });
+    }
+
+    /**
+     * Hand in the current phase: its collected items are recorded in the delivery log and the phase is locked
+     * @param {string} projectName - Project name
+     * @param {string} phaseName - Phase name
+     * @returns {Object|null} Delivery log entry, or null if the phase is not current or still has items to collect
+     */
+    deliverPhase(projectName, phaseName) {
+        const phase = this.getPhases(projectName).find(candidate => candidate.name === phaseName);
+        if (!phase || phase.status !== 'current' || !phase.ready) return null;
+
+        const delivery = {
+            phase: phaseName,
+            deliveredAt: new Date().toISOString(),
+            items: phase.items.map(item => ({ name: item.name, quantity: this.dataLoader.getItemQuantity(item) }))
+        };
+        this.stateManager.addPhaseDelivery(projectName, delivery);
+        return delivery;
+    }
+
+    /**
+     * Unlock the most recently delivered phase again, removing it from the delivery log
+     * Earlier deliveries stay locked so the phases are always delivered in order
+     * @param {string} projectName - Project name
+     * @param {string} phaseName - Phase name
+     * @returns {boolean} Whether the phase was reopened
+     */
+    reopenPhase(projectName, phaseName) {
+        const deliveries = this.stateManager.getPhaseDeliveries(projectName);
+        if (deliveries.length === 0 || deliveries[deliveries.length - 1].phase !== phaseName) return false;
+
+        this.stateManager.removePhaseDelivery(projectName, phaseName);
+        return true;
+    }
+
+    /**
+     * Check whether a requirement row belongs to a delivered phase and so cannot be changed
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Item ID
+     * @returns {string|null} Name of the delivered phase, or null if the row is not locked
+     */
+    getLockingPhase(projectName, itemId) {
+        if (this.dataLoader.getProjectKind(projectName) !== 'phases') return null;
+
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        const delivery = this.stateManager.getPhaseDeliveries(projectName)
+            .find(candidate => (groups[candidate.phase] || []).some(item => item.id === itemId));
+        return delivery ? delivery.phase : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhaseSequence;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.PhaseSequence = PhaseSequence;
+}
@@ -0,0 +1,41 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose a minimal bridge to the renderer (context isolation stays enabled)
+contextBridge.exposeInMainWorld('electronAPI', {
+  // Menu commands such as 'undo', 'redo', 'export-progress' and 'restore-backup'
+  onMenuCommand: (callback) => {
+    ipcRenderer.on('menu-command', (event, command) => callback(command));
+  },
+
+  // File-backed replacement for localStorage, stored in the app's user data directory
+  storage: {
+    getItem: (key) => ipcRenderer.sendSync('storage-get-item', key),
+    setItem: (key, value) => {
+      const result = ipcRenderer.sendSync('storage-set-item', key, String(value));
+      if (!result.ok) throw new Error(result.error);
+    },
+    removeItem: (key) => {
+      const result = ipcRenderer.sendSync('storage-remove-item', key);
+      if (!result.ok) throw new Error(result.error);
+    }
+  },
+
+  // Backup snapshot files in the app's user data directory
+  backups: {
+    list: () => ipcRenderer.invoke('backups-list'),
+    create: (reason, contents) => ipcRenderer.invoke('backups-create', reason, contents),
+    read: (id) => ipcRenderer.invoke('backups-read', id),
+    remove: (id) => ipcRenderer.invoke('backups-remove', id)
+  },
+
+  // Data packs installed in the app's user data directory
+  dataPacks: {
+    load: () => ipcRenderer.invoke('data-packs-load')
+  },
+
+  getAppVersion: () => ipcRenderer.invoke('app-version'),
+
+  // Native file dialogs; both resolve to null when the user cancels
+  saveFile: (options) => ipcRenderer.invoke('save-file', options),
+  openFile: (options) => ipcRenderer.invoke('open-file', options)
+});
@@ -0,0 +1,290 @@
+/**
+ * Progress Code Module
+ * Encodes completion state as a compact, checksummed text code and decodes it against the loaded data
+ *
+ * Code layout (base64url after the prefix):
+ *   version byte, data hash (4 bytes), row count (varint), then per collected row: row hash (4 bytes) + count (varint),
+ *   model entry count (varint), then per model entry: entry hash (4 bytes) + number (varint),
+ *   and finally a checksum (4 bytes) over everything before it
+ * Rows are identified by a hash of their project and row ID, and model entries (such as a finished quest)
+ * by a hash of their project, state key and name, so a code still decodes against a different data
+ * version; rows and entries that no longer exist are reported as unmatched. Version 1 codes have no
+ * counts and no model entries: every byte up to the checksum is a row, and model state is left alone.
+ */
+
+const PROGRESS_CODE_PREFIX = 'ARC1-';
+const PROGRESS_CODE_VERSION = 2;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string|Uint8Array} input - Text (hashed as UTF-8) or bytes
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    let hash = 0x811c9dc5;
+    for (const byte of bytes) {
+        hash ^= byte;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+class ProgressCode {
+    constructor(stateManager, dataLoader, modelStateExchange, phaseSequence) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.modelStateExchange = modelStateExchange;
+        this.phaseSequence = phaseSequence;
+    }
+
+    /**
+     * List every requirement row of the loaded data, keyed by row hash
+     * @returns {Map<number, {projectName: string, itemId: string, itemName: string, requirement: string, quantity: number}>} Rows
+     */
+    getRows() {
+        const rows = new Map();
+        for (const [projectName, items] of Object.entries(this.dataLoader.getProjects())) {
+            items.forEach(item => {
+                const quantity = this.dataLoader.getItemQuantity(item);
+                item.requirement.split(',').map(req => req.trim()).forEach(requirement => {
+                    const itemId = this.dataLoader.generateItemId(item.name, requirement);
+                    rows.set(fnv1a(`${projectName}\u0000${itemId}`), { projectName, itemId, itemName: item.name, requirement, quantity });
+                });
+            });
+        }
+        return rows;
+    }
+
+    /**
+     * List every model entry name of the loaded projects that keep model state, keyed by entry hash
+     * @returns {Map<number, {projectName: string, name: string}>} Model entries
+     */
+    getModelEntries() {
+        const entries = new Map();
+        Object.keys(this.dataLoader.getProjects()).forEach(projectName => {
+            const rule = this.modelStateExchange.getRule(projectName);
+            if (!rule) return;
+            this.modelStateExchange.getNames(projectName).forEach(name => {
+                entries.set(fnv1a(`${projectName}\u0000${rule.key}\u0000${name}`), { projectName, name });
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Hash the loaded data's rows and quantities, so codes from other data versions can be flagged
+     * @returns {number} Data hash
+     */
+    getDataHash() {
+        const signature = Object.entries(this.dataLoader.getRequirementQuantities())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([projectName, rows]) => `${projectName}:${Object.keys(rows).sort().map(id => `${id}=${rows[id]}`).join(',')}`)
+            .join(';');
+        return fnv1a(signature);
+    }
+
+    /**
+     * Encode the active profile's collected counts and model state
+     * @returns {string} Progress code
+     */
+    encode() {
+        const bytes = [PROGRESS_CODE_VERSION];
+        const pushUint32 = (value) => bytes.push(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+        // Unsigned LEB128 varint
+        const pushVarint = (number) => {
+            let value = number;
+            while (value >= 0x80) {
+                bytes.push((value & 0x7f) | 0x80);
+                value = Math.floor(value / 0x80);
+            }
+            bytes.push(value);
+        };
+        const pushEntries = (entries) => {
+            pushVarint(entries.length);
+            entries.sort(([a], [b]) => a - b).forEach(([hash, number]) => {
+                pushUint32(hash);
+                pushVarint(number);
+            });
+        };
+
+        pushUint32(this.getDataHash());
+
+        pushEntries([...this.getRows()]
+            .map(([hash, row]) => [hash, this.stateManager.getItemCount(row.projectName, row.itemId, row.quantity)])
+            .filter(([, count]) => count > 0));
+
+        const modelEntries = [];
+        Object.keys(this.dataLoader.getProjects()).forEach(projectName => {
+            const rule = this.modelStateExchange.getRule(projectName);
+            if (!rule) return;
+            this.modelStateExchange.toEntries(projectName).forEach(([name, number]) => {
+                modelEntries.push([fnv1a(`${projectName}\u0000${rule.key}\u0000${name}`), number]);
+            });
+        });
+        pushEntries(modelEntries);
+
+        pushUint32(fnv1a(Uint8Array.from(bytes)));
+
+        const binary = String.fromCharCode(...bytes);
+        return PROGRESS_CODE_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a progress code
+     * @param {string} code - Progress code (surrounding and embedded whitespace is ignored)
+     * @returns {{dataHash: number, counts: Map<number, number>, models: Map<number, number>|null}} Data hash, count per
+     *     row hash and number per model entry hash (null for version 1 codes, which carry no model state)
+     * @throws {Error} With a user-facing message if the code is malformed or damaged
+     */
+    decode(code) {
+        const text = String(code).replace(/\s+/g, '');
+        if (!text.startsWith(PROGRESS_CODE_PREFIX)) {
+            throw new Error(`This is not a progress code. Codes start with "${PROGRESS_CODE_PREFIX}".`);
+        }
+
+        let bytes;
+        try {
+            const base64 = text.slice(PROGRESS_CODE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+            bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        } catch (error) {
+            throw new Error('The code contains characters that are not part of a progress code.');
+        }
+
+        const readUint32 = (offset) => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+        if (bytes.length < 9 || fnv1a(bytes.subarray(0, bytes.length - 4)) !== readUint32(bytes.length - 4)) {
+            throw new Error('The code is incomplete or was changed while copying. Copy the whole code again.');
+        }
+        if (bytes[0] > PROGRESS_CODE_VERSION) {
+            throw new Error('The code was made by a newer version of the tracker. Update the app to apply it.');
+        }
+
+        const damaged = () => new Error('The code is damaged and cannot be read.');
+        const end = bytes.length - 4;
+        let offset = 5;
+
+        const readVarint = () => {
+            let number = 0;
+            let shift = 1;
+            let byte;
+            do {
+                if (offset >= end) throw damaged();
+                byte = bytes[offset++];
+                number += (byte & 0x7f) * shift;
+                shift *= 0x80;
+            } while (byte & 0x80);
+            return number;
+        };
+        const readEntry = (entries) => {
+            if (offset + 4 >= end) throw damaged();
+            const hash = readUint32(offset);
+            offset += 4;
+            entries.set(hash, readVarint());
+        };
+
+        const counts = new Map();
+        if (bytes[0] === 1) {
+            while (offset < end) readEntry(counts);
+            return { dataHash: readUint32(1), counts, models: null };
+        }
+
+        const models = new Map();
+        for (let remaining = readVarint(); remaining > 0; remaining--) readEntry(counts);
+        for (let remaining = readVarint(); remaining > 0; remaining--) readEntry(models);
+        if (offset !== end) throw damaged();
+
+        return { dataHash: readUint32(1), counts, models };
+    }
+
+    /**
+     * Work out what applying a decoded code would change
+     * The code describes complete progress, so rows it does not list are cleared, and so is the model
+     * state it does not list, unless the code predates model state. Rows of delivered phases are locked,
+     * so they keep their current counts and are listed as locked instead
+     * @param {{dataHash: number, counts: Map<number, number>, models: Map<number, number>|null}} decoded - Decoded code
+     * @returns {{changes: Array<Object>, projects: Object, models: Object, unmatched: number, locked: Array<string>, dataMismatch: boolean}} Plan
+     */
+    planApply(decoded) {
+        const rows = this.getRows();
+        const changes = [];
+        const projects = {};
+        const locked = [];
+
+        for (const [hash, row] of rows) {
+            const current = this.stateManager.getItemCount(row.projectName, row.itemId, row.quantity);
+            const next = Math.min(decoded.counts.get(hash) || 0, row.quantity);
+
+            if (!projects[row.projectName]) {
+                projects[row.projectName] = this.stateManager.getProjectProgress(row.projectName);
+            }
+            if (next === current) continue;
+
+            const phase = this.phaseSequence.getLockingPhase(row.projectName, row.itemId);
+            if (phase) {
+                locked.push(`${row.projectName}: ${row.itemName} (${phase} delivered)`);
+            } else {
+                changes.push({ ...row, from: current, to: next });
+                projects[row.projectName][row.itemId] = next;
+            }
+        }
+
+        let unmatched = [...decoded.counts.keys()].filter(hash => !rows.has(hash)).length;
+
+        const models = {};
+        if (decoded.models) {
+            const modelEntries = this.getModelEntries();
+            const numbers = {};
+            for (const [hash, entry] of modelEntries) {
+                if (!numbers[entry.projectName]) numbers[entry.projectName] = new Map();
+                if (decoded.models.has(hash)) numbers[entry.projectName].set(entry.name, decoded.models.get(hash));
+            }
+            unmatched += [...decoded.models.keys()].filter(hash => !modelEntries.has(hash)).length;
+
+            for (const [projectName, entries] of Object.entries(numbers)) {
+                const current = this.modelStateExchange.read(projectName);
+                const next = this.modelStateExchange.fromEntries(projectName, entries);
+                const modelChanges = this.modelStateExchange.diff(projectName, current, next);
+                if (modelChanges.length === 0) continue;
+
+                models[projectName] = next;
+                changes.push(...modelChanges);
+            }
+        }
+
+        return {
+            changes,
+            projects,
+            models,
+            unmatched,
+            locked,
+            dataMismatch: decoded.dataHash !== this.getDataHash()
+        };
+    }
+
+    /**
+     * Apply a plan as a single undoable action
+     * @param {Object} plan - Plan from planApply
+     */
+    apply(plan) {
+        const changedProjects = new Set(plan.changes.map(change => change.projectName));
+        this.stateManager.runTransaction('Apply progress code', () => {
+            changedProjects.forEach(projectName => {
+                this.stateManager.setProjectProgress(projectName, plan.projects[projectName]);
+            });
+            for (const [projectName, model] of Object.entries(plan.models)) {
+                this.modelStateExchange.write(projectName, model);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressCode;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ProgressCode = ProgressCode;
+}
@@ -0,0 +1,438 @@
+/**
+ * Progress Exchange Module
+ * Builds, validates and applies self-describing progress documents for export and import
+ *
+ * Format version 2 adds the model state of projects (see ModelStateExchange); version 1 documents
+ * only carry row counts and the stash, and leave model state as it is. Rows of delivered phases are
+ * locked, so they keep their current counts whatever a document says and are reported as locked.
+ */
+
+const PROGRESS_DOCUMENT_FORMAT = 'arc-raiders-item-tracker-progress';
+const PROGRESS_DOCUMENT_VERSION = 2;
+
+class ProgressExchange {
+    constructor(stateManager, dataLoader, modelStateExchange, phaseSequence) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.modelStateExchange = modelStateExchange;
+        this.phaseSequence = phaseSequence;
+    }
+
+    /**
+     * Build a progress document for the active profile
+     * @param {string} appVersion - Version of the app writing the document
+     * @returns {Object} Progress document
+     */
+    createDocument(appVersion) {
+        const projects = {};
+        for (const projectName of Object.keys(this.dataLoader.getRequirementQuantities())) {
+            projects[projectName] = this.stateManager.getProjectProgress(projectName);
+        }
+
+        return {
+            format: PROGRESS_DOCUMENT_FORMAT,
+            formatVersion: PROGRESS_DOCUMENT_VERSION,
+            appVersion,
+            schemaVersion: this.stateManager.getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            profile: this.stateManager.getActiveProfile().name,
+            projects,
+            models: this.modelStateExchange.exportModels(),
+            stash: this.stateManager.getStashCounts()
+        };
+    }
+
+    /**
+     * Parse and validate a progress document
+     * @param {string} text - Document JSON
+     * @returns {Object} Progress document
+     * @throws {Error} With a user-facing message if the document is not valid
+     */
+    parseDocument(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (!document || typeof document !== 'object' || document.format !== PROGRESS_DOCUMENT_FORMAT) {
+            throw new Error('The file is not an ARC Raiders Item Tracker progress export.');
+        }
+        if (typeof document.formatVersion !== 'number' || document.formatVersion > PROGRESS_DOCUMENT_VERSION) {
+            throw new Error('The file was written by a newer version of the tracker. Update the app to import it.');
+        }
+        if (typeof document.schemaVersion !== 'number' || document.schemaVersion > this.stateManager.getSchemaVersion()) {
+            throw new Error('The file uses a newer progress format than this version of the tracker supports.');
+        }
+        if (!this.isCountMap(document.projects, true)) {
+            throw new Error('The file does not contain valid project progress.');
+        }
+        if (document.stash !== undefined && !this.isCountMap(document.stash, false)) {
+            throw new Error('The file does not contain a valid stash inventory.');
+        }
+        if (document.models !== undefined && !this.isObjectMap(document.models)) {
+            throw new Error('The file does not contain valid project state.');
+        }
+
+        return document;
+    }
+
+    /**
+     * Check that a value maps keys to counts (or maps projects to such maps)
+     * @param {*} value - Value to check
+     * @param {boolean} nested - Whether the value maps names to count maps
+     * @returns {boolean} True if valid
+     */
+    isCountMap(value, nested) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+        return Object.values(value).every(entry => nested
+            ? this.isCountMap(entry, false) || (entry && typeof entry === 'object' && Object.keys(entry).length === 0)
+            : typeof entry === 'boolean' || (typeof entry === 'number' && Number.isFinite(entry) && entry >= 0));
+    }
+
+    /**
+     * Check that a value maps names to objects
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    isObjectMap(value) {
+        const isObject = (entry) => Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry);
+        return isObject(value) && Object.values(value).every(isObject);
+    }
+
+    /**
+     * Resolve a document's progress against the loaded data
+     * Renamed rows and stash keys are mapped to their current IDs, and counts are normalised
+     * the same way as saved state; only rows the document lists are included. Projects, rows and
+     * stash keys that match nothing loaded are left out and listed as unmatched. Model state is
+     * resolved for the projects the document has it for
+     * @param {Object} document - Progress document from parseDocument
+     * @returns {{projects: Object, models: Object, stash: Object|null, unmatched: Array<string>}} Resolved progress
+     */
+    resolveDocument(document) {
+        const quantities = this.dataLoader.getRequirementQuantities();
+        const aliases = this.dataLoader.getIdAliases();
+        const imported = this.stateManager.createProgressReader({ ...document.projects, stash: document.stash || {} });
+        const resolved = { projects: {}, models: {}, stash: null, unmatched: [] };
+        const owns = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+        for (const [projectName, rows] of Object.entries(document.projects)) {
+            if (!owns(quantities, projectName)) {
+                resolved.unmatched.push(`Project "${projectName}"`);
+                continue;
+            }
+
+            const projectQuantities = quantities[projectName];
+            const projectAliases = owns(aliases.projects, projectName) ? aliases.projects[projectName] : {};
+            resolved.projects[projectName] = {};
+            for (const itemId of Object.keys(rows)) {
+                const alias = owns(projectAliases, itemId) ? projectAliases[itemId] : null;
+                const targetId = owns(projectQuantities, itemId) ? itemId : (alias && owns(projectQuantities, alias) ? alias : null);
+                if (!targetId) {
+                    resolved.unmatched.push(`${projectName}: ${itemId}`);
+                    continue;
+                }
+                resolved.projects[projectName][targetId] = imported.getItemCount(projectName, itemId, projectQuantities[targetId]);
+            }
+        }
+
+        for (const [projectName, models] of Object.entries(document.models || {})) {
+            if (!owns(quantities, projectName)) {
+                if (!owns(document.projects, projectName)) resolved.unmatched.push(`Project "${projectName}"`);
+                continue;
+            }
+
+            const model = this.modelStateExchange.resolve(projectName, models);
+            if (!model) continue;
+            if (model.value !== undefined) resolved.models[projectName] = model.value;
+            resolved.unmatched.push(...model.unmatched);
+        }
+
+        if (document.stash) {
+            const itemNames = this.getItemNames();
+
+            resolved.stash = {};
+            for (const key of Object.keys(document.stash)) {
+                const targetKey = owns(aliases.stash, key) ? aliases.stash[key] : key;
+                if (!itemNames.has(targetKey)) {
+                    resolved.unmatched.push(`Stash: ${key}`);
+                    continue;
+                }
+                resolved.stash[targetKey] = Math.max(resolved.stash[targetKey] || 0, imported.getStashCount(key));
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Work out what importing a document would change, without changing anything
+     * Merge keeps the higher count of each row; replace takes the document's progress
+     * for every project it contains and leaves other projects alone. Model state is handled the
+     * same way, with merge keeping the furthest progress
+     * @param {Object} document - Progress document from parseDocument
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Import plan ({projects, models, stash, changes, stashChanges, changedTotal, unmatched, locked}), where
+     *     unmatched lists the entries that were skipped and locked the rows kept because their phase was delivered
+     */
+    planImport(document, mode) {
+        const quantities = this.dataLoader.getRequirementQuantities();
+        const resolved = this.resolveDocument(document);
+        const plan = { projects: {}, models: {}, stash: null, changes: {}, stashChanges: 0, changedTotal: 0, unmatched: resolved.unmatched, locked: [] };
+
+        for (const [projectName, importedCounts] of Object.entries(resolved.projects)) {
+            const current = this.stateManager.getProjectProgress(projectName);
+            const next = mode === 'merge' ? { ...current } : {};
+
+            for (const [itemId, quantity] of Object.entries(quantities[projectName])) {
+                const currentCount = this.stateManager.getItemCount(projectName, itemId, quantity);
+                const importedCount = importedCounts[itemId] || 0;
+                const nextCount = mode === 'merge' ? Math.max(currentCount, importedCount) : importedCount;
+
+                if (nextCount > 0 || itemId in next) next[itemId] = nextCount;
+            }
+            plan.locked.push(...this.keepLockedRows({ [projectName]: next }));
+
+            const nextReader = this.stateManager.createProgressReader({ [projectName]: next });
+            const changed = Object.entries(quantities[projectName]).filter(([itemId, quantity]) =>
+                nextReader.getItemCount(projectName, itemId, quantity) !== this.stateManager.getItemCount(projectName, itemId, quantity)).length;
+
+            plan.projects[projectName] = next;
+            plan.changes[projectName] = changed;
+            plan.changedTotal += changed;
+        }
+
+        for (const [projectName, importedModel] of Object.entries(resolved.models)) {
+            const current = this.modelStateExchange.read(projectName);
+            const next = mode === 'merge' ? this.modelStateExchange.combine(projectName, current, importedModel) : importedModel;
+            const changed = this.modelStateExchange.diff(projectName, current, next).length;
+            if (changed === 0) continue;
+
+            plan.models[projectName] = next;
+            plan.changes[projectName] = (plan.changes[projectName] || 0) + changed;
+            plan.changedTotal += changed;
+        }
+
+        if (resolved.stash) {
+            const current = this.stateManager.getStashCounts();
+            const next = mode === 'merge' ? { ...current } : {};
+
+            new Set([...Object.keys(current), ...Object.keys(resolved.stash)]).forEach(key => {
+                const currentCount = this.stateManager.getStashCount(key);
+                const importedCount = resolved.stash[key] || 0;
+                const nextCount = mode === 'merge' ? Math.max(currentCount, importedCount) : importedCount;
+
+                if (nextCount > 0) next[key] = nextCount;
+                else delete next[key];
+                if (nextCount !== currentCount) plan.stashChanges++;
+            });
+            plan.stash = next;
+        }
+
+        return plan;
+    }
+
+    /**
+     * Merge two documents exported from diverging copies of the same profile
+     * A row listed by only one document is taken from it; a row both list with different
+     * counts is a conflict. Saved state keeps cleared rows as 0, so a row one side cleared
+     * still conflicts with the other side's count rather than being silently dropped. Model state
+     * never conflicts: the two sides are combined, keeping the furthest progress. Rows of delivered
+     * phases are taken from the current progress on both sides, and listed as locked
+     * @param {Object} first - Progress document from parseDocument
+     * @param {Object} second - Progress document from parseDocument
+     * @returns {{projects: Object, models: Object, stash: Object|null, conflicts: Array<Object>, merged: number, unmatched: Array<string>, locked: Array<string>}} Merge
+     */
+    mergeDocuments(first, second) {
+        const a = this.resolveDocument(first);
+        const b = this.resolveDocument(second);
+        const locked = [...new Set([...this.keepLockedRows(a.projects, true), ...this.keepLockedRows(b.projects, true)])];
+        const labels = this.getRowLabels();
+        const itemNames = this.getItemNames();
+        const merge = {
+            projects: {},
+            models: {},
+            stash: a.stash || b.stash ? {} : null,
+            conflicts: [],
+            merged: 0,
+            unmatched: [...a.unmatched, ...b.unmatched],
+            locked
+        };
+
+        const mergeCounts = (countsA, countsB, target, describe) => {
+            new Set([...Object.keys(countsA), ...Object.keys(countsB)]).forEach(key => {
+                const inA = key in countsA;
+                const inB = key in countsB;
+                if (inA && inB && countsA[key] !== countsB[key]) {
+                    merge.conflicts.push({ ...describe(key), key, first: countsA[key], second: countsB[key] });
+                    return;
+                }
+                target[key] = inA ? countsA[key] : countsB[key];
+                merge.merged++;
+            });
+        };
+
+        new Set([...Object.keys(a.projects), ...Object.keys(b.projects)]).forEach(projectName => {
+            merge.projects[projectName] = {};
+            mergeCounts(a.projects[projectName] || {}, b.projects[projectName] || {}, merge.projects[projectName], itemId => ({
+                projectName,
+                itemName: labels[projectName][itemId].itemName,
+                requirement: labels[projectName][itemId].requirement
+            }));
+        });
+
+        new Set([...Object.keys(a.models), ...Object.keys(b.models)]).forEach(projectName => {
+            const inA = projectName in a.models;
+            const inB = projectName in b.models;
+            merge.models[projectName] = inA && inB
+                ? this.modelStateExchange.combine(projectName, a.models[projectName], b.models[projectName])
+                : (inA ? a.models[projectName] : b.models[projectName]);
+        });
+
+        if (merge.stash) {
+            // Only keys naming a loaded item are merged, so no name shown in the review comes from the files
+            const knownCounts = (counts) => Object.fromEntries(Object.entries(counts || {}).filter(([key]) => {
+                if (itemNames.has(key)) return true;
+                merge.unmatched.push(`Stash: ${key}`);
+                return false;
+            }));
+            mergeCounts(knownCounts(a.stash), knownCounts(b.stash), merge.stash, key => ({
+                projectName: null,
+                itemName: itemNames.get(key),
+                requirement: 'Stash'
+            }));
+        }
+
+        return merge;
+    }
+
+    /**
+     * Look up the name of every item a stash key can refer to
+     * @returns {Map<string, string>} Item names keyed by item key
+     */
+    getItemNames() {
+        const names = new Map();
+        this.dataLoader.getWikiItems().forEach(item => names.set(this.dataLoader.getItemKey(item.name), item.name));
+        Object.entries(this.dataLoader.getItemTotals()).forEach(([key, total]) => names.set(key, total.name));
+        return names;
+    }
+
+    /**
+     * Look up the item and requirement of every requirement row
+     * @returns {Object} Labels keyed by project name and row ID
+     */
+    getRowLabels() {
+        const labels = {};
+        for (const [projectName, items] of Object.entries(this.dataLoader.getProjects())) {
+            labels[projectName] = {};
+            items.forEach(item => {
+                item.requirement.split(',').map(req => req.trim()).forEach(requirement => {
+                    labels[projectName][this.dataLoader.generateItemId(item.name, requirement)] = { itemName: item.name, requirement };
+                });
+            });
+        }
+        return labels;
+    }
+
+    /**
+     * Keep the rows of delivered phases at their current counts, since a delivered phase's items are locked
+     * @param {Object} projects - Progress to write, keyed by project name and row ID; changed in place
+     * @param {boolean} listedOnly - Check only the rows the progress lists, rather than every row it would replace
+     * @returns {Array<string>} The rows that were kept, as "<project>: <item> (<phase> delivered)"
+     */
+    keepLockedRows(projects, listedOnly = false) {
+        const quantities = this.dataLoader.getRequirementQuantities();
+        const labels = this.getRowLabels();
+        const locked = [];
+
+        for (const [projectName, progress] of Object.entries(projects)) {
+            const current = this.stateManager.getProjectProgress(projectName);
+            const next = this.stateManager.createProgressReader({ [projectName]: progress });
+
+            for (const [itemId, quantity] of Object.entries(quantities[projectName] || {})) {
+                if (listedOnly && !(itemId in progress)) continue;
+                if (next.getItemCount(projectName, itemId, quantity) === this.stateManager.getItemCount(projectName, itemId, quantity)) continue;
+
+                const phase = this.phaseSequence.getLockingPhase(projectName, itemId);
+                if (!phase) continue;
+
+                if (itemId in current) {
+                    progress[itemId] = current[itemId];
+                } else {
+                    delete progress[itemId];
+                }
+                locked.push(`${projectName}: ${labels[projectName][itemId].itemName} (${phase} delivered)`);
+            }
+        }
+
+        return locked;
+    }
+
+    /**
+     * Complete a merge with a side chosen for every conflict
+     * @param {Object} merge - Merge from mergeDocuments
+     * @param {Array<string>} choices - 'first' or 'second' for each conflict, in order
+     * @returns {{projects: Object, models: Object, stash: Object|null, locked: Array<string>}} Plan for applyImport;
+     *     locked lists the rows kept because their phase was delivered, including those the merge already listed
+     */
+    resolveMerge(merge, choices) {
+        const projects = {};
+        for (const [projectName, counts] of Object.entries(merge.projects)) {
+            projects[projectName] = { ...counts };
+        }
+        const stash = merge.stash ? { ...merge.stash } : null;
+
+        merge.conflicts.forEach((conflict, index) => {
+            const value = choices[index] === 'second' ? conflict.second : conflict.first;
+            if (conflict.projectName) {
+                projects[conflict.projectName][conflict.key] = value;
+            } else {
+                stash[conflict.key] = value;
+            }
+        });
+
+        // The stash only keeps owned items
+        if (stash) {
+            Object.keys(stash).forEach(key => {
+                if (stash[key] <= 0) delete stash[key];
+            });
+        }
+
+        const locked = [...new Set([...merge.locked, ...this.keepLockedRows(projects)])];
+
+        return { projects, models: merge.models, stash, locked };
+    }
+
+    /**
+     * Apply an import or merge plan as a single undoable action
+     * Rows of delivered phases are never written, even if the plan changes them
+     * @param {Object} plan - Plan from planImport or resolveMerge
+     * @param {string} label - Undo history label
+     */
+    applyImport(plan, label = 'Import progress') {
+        this.keepLockedRows(plan.projects);
+        this.stateManager.runTransaction(label, () => {
+            for (const [projectName, progress] of Object.entries(plan.projects)) {
+                this.stateManager.setProjectProgress(projectName, progress);
+            }
+            for (const [projectName, model] of Object.entries(plan.models || {})) {
+                this.modelStateExchange.write(projectName, model);
+            }
+            if (plan.stash) {
+                this.stateManager.setStashCounts(plan.stash);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressExchange;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ProgressExchange = ProgressExchange;
+}
@@ -0,0 +1,128 @@
+/**
+ * Quest Chain Module
+ * Orders a quest project's groups by progression and works out which quests are locked, available or finished
+ *
+ * Quests come from the project's model file: a list of {name, trader, prerequisites} in progression order.
+ * A quest is finished once it has been marked complete, available when all of its prerequisites are
+ * finished, and locked otherwise. Groups missing from the model are treated as available side quests.
+ */
+
+class QuestChain {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Get a project's quests in progression order with their status
+     * Quests are ordered so that prerequisites come first; otherwise the model's order is kept
+     * @param {string} projectName - Project name
+     * @returns {Array<{name: string, trader: string|null, prerequisites: Array<string>, status: string, missing: Array<string>, items: Array}>} Quests
+     *     ('locked', 'available' or 'finished'); missing lists the unfinished prerequisites
+     */
+    getQuests(projectName) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        const finished = new Set(this.stateManager.getFinishedGroups(projectName));
+
+        const quests = new Map();
+        this.dataLoader.getProjectModel(projectName).forEach(entry => {
+            if (!entry || typeof entry.name !== 'string' || quests.has(entry.name)) return;
+            quests.set(entry.name, {
+                name: entry.name,
+                trader: typeof entry.trader === 'string' ? entry.trader : null,
+                prerequisites: Array.isArray(entry.prerequisites) ? entry.prerequisites.filter(name => typeof name === 'string') : []
+            });
+        });
+        Object.keys(groups).forEach(name => {
+            if (!quests.has(name)) quests.set(name, { name, trader: null, prerequisites: [] });
+        });
+
+        return this.sortByPrerequisites([...quests.values()]).map(quest => {
+            // Prerequisites that are not quests in this project cannot be finished, so they do not lock anything
+            const missing = quest.prerequisites.filter(name => quests.has(name) && !finished.has(name));
+            return {
+                ...quest,
+                status: finished.has(quest.name) ? 'finished' : (missing.length > 0 ? 'locked' : 'available'),
+                missing,
+                items: groups[quest.name] || []
+            };
+        });
+    }
+
+    /**
+     * Order quests so that every quest follows its prerequisites, keeping the given order where possible
+     * Quests caught in a prerequisite cycle are appended in their given order
+     * @param {Array<{name: string, prerequisites: Array<string>}>} quests - Quests in model order
+     * @returns {Array<Object>} Sorted quests
+     */
+    sortByPrerequisites(quests) {
+        const names = new Set(quests.map(quest => quest.name));
+        const placed = new Set();
+        const sorted = [];
+
+        let progressed = true;
+        while (progressed) {
+            progressed = false;
+            for (const quest of quests) {
+                if (placed.has(quest.name)) continue;
+                if (quest.prerequisites.every(name => placed.has(name) || !names.has(name))) {
+                    placed.add(quest.name);
+                    sorted.push(quest);
+                    progressed = true;
+                    // Restart so an earlier quest unlocked by this one keeps its place
+                    break;
+                }
+            }
+        }
+
+        return [...sorted, ...quests.filter(quest => !placed.has(quest.name))];
+    }
+
+    /**
+     * Mark a quest complete as one undoable action: every requirement row of the quest is checked off,
+     * including mission-only items
+     * @param {string} projectName - Project name
+     * @param {string} questName - Quest name
+     * @returns {Array<string>} Quests that became available
+     */
+    completeQuest(projectName, questName) {
+        const before = this.getAvailableNames(projectName);
+        const quest = this.getQuests(projectName).find(candidate => candidate.name === questName);
+
+        this.stateManager.runTransaction(`Complete ${questName}`, () => {
+            (quest ? quest.items : []).forEach(item => {
+                this.stateManager.setItemCompleted(projectName, item.id, true, this.dataLoader.getItemQuantity(item));
+            });
+            this.stateManager.setGroupFinished(projectName, questName, true);
+        });
+
+        return this.getAvailableNames(projectName).filter(name => !before.includes(name));
+    }
+
+    /**
+     * Mark a finished quest as not finished again; its collected items are left as they are
+     * @param {string} projectName - Project name
+     * @param {string} questName - Quest name
+     */
+    reopenQuest(projectName, questName) {
+        this.stateManager.setGroupFinished(projectName, questName, false);
+    }
+
+    /**
+     * @param {string} projectName - Project name
+     * @returns {Array<string>} Names of the available quests
+     */
+    getAvailableNames(projectName) {
+        return this.getQuests(projectName).filter(quest => quest.status === 'available').map(quest => quest.name);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestChain;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestChain = QuestChain;
+}
@@ -0,0 +1,108 @@
+/**
+ * Recipe Calculator Module
+ * Expands a crafting target into the tree of materials it is made from, net of what is owned in the stash
+ *
+ * Spare owned stock is used first at every step: owning some of an intermediate material means fewer crafts and
+ * fewer of its inputs. Copies of an item that projects still need are kept back, as the allocation engine assigns
+ * them. Stock is shared across the whole tree, so an item needed in several branches is only counted once. Items without a recipe, or that would be crafted from themselves, are raw materials.
+ * Recipe data is not complete yet: items made at a workbench but without a recipe are raw materials too,
+ * and are marked so the breakdown does not pass them off as found-only items.
+ */
+
+class RecipeCalculator {
+    constructor(stateManager, dataLoader, allocationEngine) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.allocationEngine = allocationEngine;
+    }
+
+    /**
+     * @param {string} itemName - Item name
+     * @returns {{yield: number, inputs: Array<{name: string, quantity: number}>}|null} Recipe, or null if the item is not craftable
+     */
+    getRecipe(itemName) {
+        const wikiItem = this.dataLoader.getWikiItem(itemName);
+        return wikiItem ? wikiItem.recipe : null;
+    }
+
+    /**
+     * Get every item that has a recipe
+     * @returns {Array<string>} Item names sorted alphabetically
+     */
+    getCraftableItems() {
+        return this.dataLoader.getWikiItems()
+            .filter(item => item.recipe)
+            .map(item => item.name)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Count how many of the items made at a workbench have a recipe in the data
+     * @returns {{withRecipe: number, craftable: number}} Items with a recipe, and items with a workbench or a recipe
+     */
+    getCoverage() {
+        const craftable = this.dataLoader.getWikiItems().filter(item => item.workbench || item.recipe);
+        return { withRecipe: craftable.filter(item => item.recipe).length, craftable: craftable.length };
+    }
+
+    /**
+     * Work out what is needed to end up with a number of an item
+     * @param {string} itemName - Target item name
+     * @param {number} count - How many of the target are wanted
+     * @returns {{tree: Object, raw: Array<{name: string, quantity: number}>}} The tree has a node per item:
+     *     {name, needed, owned, missing, crafts, workbench, recipeMissing, inputs}, where owned is the spare stock used, crafts
+     *     the number of times the recipe is made, recipeMissing marks a workbench item whose recipe is not in the data
+     *     and inputs the nodes of its ingredients; raw lists the missing raw materials
+     */
+    breakDown(itemName, count) {
+        const available = new Map();
+        const raw = new Map();
+
+        const takeOwned = (name, quantity) => {
+            const itemKey = this.dataLoader.getItemKey(name);
+            if (!available.has(itemKey)) {
+                const allocation = this.allocationEngine.allocateItem(itemKey);
+                available.set(itemKey, allocation ? allocation.spare : this.stateManager.getStashCount(itemKey));
+            }
+
+            const used = Math.min(available.get(itemKey), quantity);
+            available.set(itemKey, available.get(itemKey) - used);
+            return used;
+        };
+
+        const expand = (name, needed, path) => {
+            const owned = takeOwned(name, needed);
+            const node = { name, needed, owned, missing: needed - owned, crafts: 0, workbench: null, recipeMissing: false, inputs: [] };
+            if (node.missing === 0) return node;
+
+            const itemKey = this.dataLoader.getItemKey(name);
+            const wikiItem = this.dataLoader.getWikiItem(name);
+            const recipe = this.getRecipe(name);
+            if (recipe && !path.includes(itemKey)) {
+                node.crafts = Math.ceil(node.missing / recipe.yield);
+                node.workbench = wikiItem && wikiItem.workbench ? wikiItem.workbench : null;
+                node.inputs = recipe.inputs.map(input => expand(input.name, input.quantity * node.crafts, [...path, itemKey]));
+            } else {
+                node.recipeMissing = !recipe && Boolean(wikiItem && wikiItem.workbench);
+                raw.set(name, (raw.get(name) || 0) + node.missing);
+            }
+            return node;
+        };
+
+        const tree = expand(itemName, Math.max(0, Math.floor(Number(count) || 0)), []);
+        return {
+            tree,
+            raw: [...raw.entries()].map(([name, quantity]) => ({ name, quantity })).sort((a, b) => a.name.localeCompare(b.name))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeCalculator;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RecipeCalculator = RecipeCalculator;
+}
@@ -0,0 +1,113 @@
+/**
+ * Recycle Planner Module
+ * Suggests stash items to recycle or salvage to cover what projects still need of a material
+ *
+ * Recycling in Speranza yields an item's full outputs; salvaging topside yields its smaller salvage outputs.
+ * Only spare stock is suggested: copies of an item that projects still need are kept back, and such items
+ * are flagged so they can be left alone. Outputs are only known for some items, so an item without them is
+ * never suggested even if it does break down into the material.
+ */
+
+class RecyclePlanner {
+    constructor(stateManager, dataLoader, allocationEngine) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+        this.allocationEngine = allocationEngine;
+    }
+
+    /**
+     * @param {string} itemName - Item name
+     * @param {string} mode - 'recycle' or 'salvage'
+     * @returns {Array<{name: string, quantity: number}>} What one of the item breaks down into
+     */
+    getOutputs(itemName, mode) {
+        const wikiItem = this.dataLoader.getWikiItem(itemName);
+        if (!wikiItem) return [];
+        return mode === 'salvage' ? wikiItem.salvages_into : wikiItem.recycles_into;
+    }
+
+    /**
+     * Get every material some item recycles or salvages into
+     * @returns {Array<string>} Material names sorted alphabetically
+     */
+    getMaterials() {
+        const materials = new Set();
+        this.dataLoader.getWikiItems().forEach(item => {
+            [...item.recycles_into, ...item.salvages_into].forEach(output => materials.add(output.name));
+        });
+        return [...materials].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Count how many recyclable items have recycling or salvage outputs in the data
+     * @returns {{withOutputs: number, recyclable: number}} Items with outputs, and recyclable items or items with outputs
+     */
+    getCoverage() {
+        const hasOutputs = (item) => item.recycles_into.length > 0 || item.salvages_into.length > 0;
+        const recyclable = this.dataLoader.getWikiItems().filter(item => item.enums.item_type === 'recyclable' || hasOutputs(item));
+        return { withOutputs: recyclable.filter(hasOutputs).length, recyclable: recyclable.length };
+    }
+
+    /**
+     * Plan how to cover the remaining need for a material from the stash
+     * @param {string} materialName - Material to obtain
+     * @param {string} mode - 'recycle' or 'salvage'
+     * @param {string} rankBy - 'slot' for most material per stash slot, 'value' for least sell value lost per unit
+     * @returns {{needed: number, covered: number, candidates: Array<Object>}} needed is what projects still need after
+     *     the stash; each candidate is {name, owned, spare, neededBy, yieldEach, yieldPerSlot, valueLostPerUnit, suggested}
+     *     in rank order, where neededBy lists the projects still needing the item itself and suggested is how many to break down
+     */
+    plan(materialName, mode, rankBy) {
+        const materialAllocation = this.allocationEngine.allocateItem(this.dataLoader.getItemKey(materialName));
+        const needed = materialAllocation ? materialAllocation.stillNeeded : 0;
+
+        const candidates = this.dataLoader.getWikiItems()
+            .map(item => {
+                const output = this.getOutputs(item.name, mode).find(entry => entry.name.toLowerCase() === materialName.toLowerCase());
+                const itemKey = this.dataLoader.getItemKey(item.name);
+                const owned = this.stateManager.getStashCount(itemKey);
+                if (!output || owned === 0) return null;
+
+                const allocation = this.allocationEngine.allocateItem(itemKey);
+                const stackSize = item.stat_block && item.stat_block.stackSize > 0 ? item.stat_block.stackSize : 1;
+                const value = typeof item.value === 'number' ? item.value : 0;
+
+                return {
+                    name: item.name,
+                    owned,
+                    spare: allocation ? allocation.spare : owned,
+                    neededBy: allocation
+                        ? [...new Set(allocation.instances.filter(instance => instance.missing + instance.allocated > 0).map(instance => instance.projectName))]
+                        : [],
+                    yieldEach: output.quantity,
+                    yieldPerSlot: output.quantity * stackSize,
+                    valueLostPerUnit: value / output.quantity,
+                    suggested: 0
+                };
+            })
+            .filter(candidate => candidate !== null)
+            .sort(rankBy === 'value'
+                ? (a, b) => a.valueLostPerUnit - b.valueLostPerUnit || b.yieldPerSlot - a.yieldPerSlot
+                : (a, b) => b.yieldPerSlot - a.yieldPerSlot || a.valueLostPerUnit - b.valueLostPerUnit);
+
+        // Break down spare stock in rank order until the need is covered
+        let remaining = needed;
+        candidates.forEach(candidate => {
+            if (remaining <= 0) return;
+            candidate.suggested = Math.min(candidate.spare, Math.ceil(remaining / candidate.yieldEach));
+            remaining -= candidate.suggested * candidate.yieldEach;
+        });
+
+        return { needed, covered: needed - Math.max(0, remaining), candidates };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecyclePlanner;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RecyclePlanner = RecyclePlanner;
+}
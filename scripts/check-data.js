@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const DataLoader = require('../data-loader');
+const DataValidator = require('../data-validator');
+
+const ROOT = path.join(__dirname, '..');
+const ICON_DIRECTORY = 'item-icons';
+const ICON_PREFIX = `./${ICON_DIRECTORY}/`;
+
+// Wiki fields whose values are enumerations and should be spelled one way
+const ENUM_FIELDS = ['item_type', 'ammo_type', 'subcategory'];
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * Load the bundled data pack the same way the app does, without a browser
+ * @returns {DataLoader} Data loader with projects and wiki items loaded
+ */
+function loadData() {
+  const dataLoader = new DataLoader();
+  const manifestText = fs.readFileSync(path.join(ROOT, 'data-pack.json'), 'utf8');
+  const manifest = JSON.parse(manifestText);
+
+  const files = {};
+  dataLoader.getManifestFiles(manifest).forEach(file => {
+    try {
+      files[file] = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    } catch (error) {
+      // Reported by DataValidator as an unusable project file
+    }
+  });
+
+  dataLoader.applyDataPacks([{ directory: '', manifest: manifestText, files, bundled: true }]);
+  dataLoader.setWikiItems(readJson('all_items.json'));
+  return dataLoader;
+}
+
+/**
+ * Find icons referenced by items but missing on disk, and icon files no item references
+ * @param {Array<Object>} wikiItems - Items in the all_items.json format
+ * @returns {Array<Object>} Problems
+ */
+function checkIcons(wikiItems) {
+  const problems = [];
+  const iconFiles = new Set(fs.readdirSync(path.join(ROOT, ICON_DIRECTORY)));
+  const referenced = new Set();
+
+  wikiItems.forEach((item, index) => {
+    if (!item || !item.icon) return;
+
+    const file = item.icon.startsWith(ICON_PREFIX) ? item.icon.slice(ICON_PREFIX.length) : null;
+    if (!file || !iconFiles.has(file)) {
+      problems.push({
+        severity: 'error',
+        file: 'all_items.json',
+        row: index + 1,
+        message: `${item.name}: icon "${item.icon}" does not exist in ${ICON_DIRECTORY}/`
+      });
+      return;
+    }
+    referenced.add(file);
+  });
+
+  [...iconFiles].filter(file => !referenced.has(file)).sort().forEach(file => {
+    problems.push({ severity: 'error', file: `${ICON_DIRECTORY}/${file}`, row: null, message: 'Icon file is not used by any item' });
+  });
+
+  return problems;
+}
+
+/**
+ * Find enumeration values spelled more than one way or with surrounding whitespace
+ * @param {Array<Object>} wikiItems - Items in the all_items.json format
+ * @returns {Array<Object>} Problems
+ */
+function checkEnumSpelling(wikiItems) {
+  const problems = [];
+
+  ENUM_FIELDS.forEach(field => {
+    const spellings = {};
+    wikiItems.forEach((item, index) => {
+      const value = item && item[field];
+      if (typeof value !== 'string' || value === '') return;
+
+      const key = value.trim().toLowerCase();
+      spellings[key] = spellings[key] || {};
+      (spellings[key][value] = spellings[key][value] || []).push(index + 1);
+    });
+
+    Object.values(spellings).forEach(variants => {
+      const values = Object.keys(variants);
+      const untrimmed = values.filter(value => value !== value.trim());
+      if (values.length < 2 && untrimmed.length === 0) return;
+
+      const description = values.map(value => `${JSON.stringify(value)} (rows ${variants[value].join(', ')})`).join(', ');
+      problems.push({
+        severity: 'error',
+        file: 'all_items.json',
+        row: null,
+        message: `${field} is spelled ${values.length} ${values.length === 1 ? 'way' : 'ways'}: ${description}`
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Run every check
+ * @returns {Array<{severity: string, file: string, row: number|null, message: string}>} Problems
+ */
+function checkData() {
+  const dataLoader = loadData();
+  const wikiItems = dataLoader.getRawWikiItems();
+
+  return [
+    ...new DataValidator(dataLoader).validate(),
+    ...checkIcons(wikiItems),
+    ...checkEnumSpelling(wikiItems)
+  ];
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+
+  console.log('🔍 Checking item data...');
+  const problems = checkData();
+  const errors = problems.filter(problem => problem.severity === 'error');
+  const warnings = problems.filter(problem => problem.severity === 'warning');
+
+  [...errors, ...warnings].forEach(problem => {
+    const location = problem.row === null ? problem.file : `${problem.file}:${problem.row}`;
+    console.log(`${problem.severity === 'error' ? '❌' : '⚠️ '} ${location} - ${problem.message}`);
+  });
+
+  console.log(`\n📊 ${errors.length} errors, ${warnings.length} warnings`);
+
+  if (errors.length > 0 || (strict && warnings.length > 0)) {
+    console.error(strict && errors.length === 0 ? '❌ Data check failed (warnings are errors with --strict)' : '❌ Data check failed');
+    process.exit(1);
+  }
+  console.log('✅ Data check passed');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkData, checkIcons, checkEnumSpelling };
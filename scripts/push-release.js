@@ -104,10 +104,23 @@ function runLocalBuild() {
   }
 }
 
+function checkData() {
+  console.log('🔍 Checking item data before release...');
+  try {
+    execSync('node scripts/check-data.js', { stdio: 'inherit' });
+  } catch (error) {
+    console.error('❌ Item data has errors; fix them before releasing (run npm run check-data)');
+    process.exit(1);
+  }
+}
+
 function createAutomatedRelease() {
   try {
     console.log('🚀 Creating automated release...');
 
+    // Refuse to release broken item data
+    checkData();
+
     // Analyze commits for version bump
     const bumpType = analyzeCommits();
 
@@ -155,4 +168,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { analyzeCommits, runLocalBuild, createAutomatedRelease };
+module.exports = { analyzeCommits, checkData, runLocalBuild, createAutomatedRelease };
@@ -0,0 +1,141 @@
+/**
+ * Spreadsheet Export Module
+ * Builds CSV exports of the remaining shopping list and of each project's grouped view
+ */
+
+class SpreadsheetExporter {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Build the combined shopping list: one row per item with a remaining column per project
+     * @returns {string} CSV text
+     */
+    createRemainingCsv() {
+        const projectNames = Object.keys(this.dataLoader.getProjects());
+        const allItems = this.dataLoader.getAllItemsRemaining(this.stateManager);
+
+        const header = [
+            'Item Name', 'Rarity', 'Type', 'Remaining', 'Total',
+            ...projectNames.map(projectName => `${projectName} Remaining`),
+            'Value', 'Weight (kg)'
+        ];
+
+        const rows = Object.entries(allItems)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([itemName, data]) => {
+                const remainingByProject = {};
+                data.projects.forEach(project => {
+                    remainingByProject[project.projectName] = (remainingByProject[project.projectName] || 0) +
+                        Math.max(0, project.quantity - project.collected);
+                });
+
+                const [rarity, type, value, weight] = this.getItemDetails(itemName);
+                return [
+                    itemName,
+                    rarity,
+                    type,
+                    data.remainingQuantity,
+                    data.totalQuantity,
+                    ...projectNames.map(projectName => remainingByProject[projectName] || 0),
+                    value,
+                    weight
+                ];
+            });
+
+        return this.toCsv([header, ...rows]);
+    }
+
+    /**
+     * Build a project's grouped view, with the columns of its phase tables
+     * Mission-only items are included when the view shows them
+     * @param {string} projectName - Project name
+     * @returns {string} CSV text
+     */
+    createProjectCsv(projectName) {
+        const items = this.dataLoader.getProjects()[projectName] || [];
+        const groups = this.dataLoader.groupItemsByRequirement(
+            this.dataLoader.getShownItems(items, this.stateManager.getShowMissionItems())
+        );
+
+        const header = ['Group', 'Item Name', 'Rarity', 'Collected', 'Quantity', 'Requirement', 'Type', 'Value', 'Weight (kg)', 'Description'];
+        const rows = [];
+
+        for (const [groupName, groupItems] of Object.entries(groups)) {
+            groupItems.forEach(item => {
+                const quantity = this.dataLoader.getItemQuantity(item);
+                const [rarity, type, value, weight, description] = this.getItemDetails(item.name);
+
+                rows.push([
+                    groupName,
+                    item.name,
+                    rarity,
+                    this.stateManager.getItemCount(projectName, item.id, quantity),
+                    quantity,
+                    item.requirement,
+                    type,
+                    value,
+                    weight,
+                    description
+                ]);
+            });
+        }
+
+        return this.toCsv([header, ...rows]);
+    }
+
+    /**
+     * Look up the wiki columns for an item
+     * Weight is exported as a plain number so spreadsheets can sum it
+     * @param {string} itemName - Item name
+     * @returns {Array} Rarity, type, value, weight and description
+     */
+    getItemDetails(itemName) {
+        const wikiItem = this.dataLoader.getWikiItem(itemName);
+        if (!wikiItem) return ['', '', '', '', ''];
+
+        const rarity = wikiItem.rarity ? wikiItem.rarity.charAt(0).toUpperCase() + wikiItem.rarity.slice(1) : '';
+        const weight = wikiItem.stat_block && wikiItem.stat_block.weight ? wikiItem.stat_block.weight : '';
+
+        return [rarity, wikiItem.type || '', wikiItem.value ?? '', weight, wikiItem.description || ''];
+    }
+
+    /**
+     * Serialize rows as CSV
+     * A byte order mark and CRLF line endings make Excel read the file as UTF-8
+     * @param {Array<Array>} rows - Rows of cell values
+     * @returns {string} CSV text
+     */
+    toCsv(rows) {
+        return '\uFEFF' + rows.map(row => row.map(cell => this.escapeCell(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     * Text that a spreadsheet would evaluate as a formula is prefixed with an apostrophe
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpreadsheetExporter;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.SpreadsheetExporter = SpreadsheetExporter;
+}
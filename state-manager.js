@@ -1,20 +1,129 @@
 /**
  * State Manager Module
- * Handles application state management and localStorage operations
+ * Handles application state management and persistence
  */
 
+/**
+ * Schema migrations, applied in order to saved state older than their version
+ * A migration returns false when it cannot run yet (e.g. the data it needs is not loaded)
+ */
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Convert completion flags into collected counts',
+        migrate: (state, context) => {
+            if (!context) return false;
+
+            for (const [projectName, projectQuantities] of Object.entries(context.quantities)) {
+                const projectState = state[projectName];
+                if (!projectState || typeof projectState !== 'object') continue;
+
+                for (const [itemId, value] of Object.entries(projectState)) {
+                    if (typeof value === 'boolean' && itemId in projectQuantities) {
+                        projectState[itemId] = value ? projectQuantities[itemId] : 0;
+                    }
+                }
+            }
+            return true;
+        }
+    }
+];
+
+const STATE_SCHEMA_VERSION = STATE_MIGRATIONS[STATE_MIGRATIONS.length - 1].version;
+
+/**
+ * Convert a saved progress value into a collected count
+ * Legacy boolean entries count as fully collected or not collected at all
+ * @param {*} value - Saved value
+ * @param {number} quantity - Required quantity
+ * @returns {number} Collected count
+ */
+function toItemCount(value, quantity) {
+    if (typeof value === 'boolean') {
+        return value ? quantity : 0;
+    }
+
+    const count = Number(value);
+    if (!Number.isFinite(count) || count < 0) {
+        return 0;
+    }
+    return Math.min(Math.floor(count), quantity);
+}
+
+/**
+ * Convert a saved stash value into an owned count
+ * @param {*} value - Saved value
+ * @returns {number} Owned count
+ */
+function toStashCount(value) {
+    const count = Number(value);
+    return Number.isFinite(count) && count > 0 ? Math.floor(count) : 0;
+}
+
+/**
+ * Deep copy a JSON-compatible state value
+ * @param {*} value - Value to copy
+ * @returns {*} Copy of the value
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Top-level keys holding preferences rather than progress; undo leaves them alone
+const UNTRACKED_STATE_KEYS = ['collapsed', 'theme', 'showMissionItems', 'schemaVersion'];
+const HISTORY_LIMIT = 100;
+
+// Top-level keys holding model state that travels with a project's row progress, keyed by project name
+const MODEL_STATE_KEYS = ['finishedGroups', 'stationLevels', 'phaseDeliveries', 'tierLevels'];
+
+/**
+ * Get where state is persisted: the desktop app's file storage when available, otherwise localStorage
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} Storage backend
+ */
+function getDefaultStorage() {
+    if (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.storage) {
+        return window.electronAPI.storage;
+    }
+    return localStorage;
+}
+
+const STORAGE_KEY_PREFIX = 'arc-shopping-list';
+const STORAGE_IMPORT_KEY = 'arc-shopping-list-storage-import';
+const STATE_STORAGE_KEY = 'arc-shopping-list-state';
+const PROFILES_STORAGE_KEY = 'arc-shopping-list-profiles';
+const DEFAULT_PROFILE_ID = 'default';
+
 class StateManager {
     constructor() {
         this.state = {};
+        this.storage = getDefaultStorage();
         this.listeners = new Map();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.activeTransaction = null;
+        this.transactionDepth = 0;
+        this.savePending = false;
+        this.migrationReport = null;
+        this.migrationContext = null;
+        this.profiles = { activeProfileId: DEFAULT_PROFILE_ID, profiles: [] };
     }
 
     /**
-     * Initialize state from localStorage
+     * Initialize state of the active profile from storage
+     * @param {Object|null} context - Loaded data ({quantities, aliases}) used to migrate and reconcile saved progress
      */
-    loadState() {
+    loadState(context = null) {
+        this.importLocalStorage();
+        this.migrationContext = context;
+        this.profiles = this.loadProfiles();
+        this.state = {};
+
+        // History belongs to the state it was recorded against
+        this.undoStack = [];
+        this.redoStack = [];
+
         try {
-            const saved = localStorage.getItem('arc-shopping-list-state');
+            const saved = this.storage.getItem(this.getStorageKey(this.profiles.activeProfileId));
             if (saved) {
                 this.state = JSON.parse(saved);
             }
@@ -23,10 +132,413 @@ class StateManager {
             this.state = {};
         }
 
+        // Upgrade saved state to the current schema
+        this.migrateState(context);
+
         // Initialize state structure
         this.initializeStateStructure();
     }
 
+    /**
+     * Copy progress saved in localStorage into file storage the first time file storage is used
+     * Keys already present in file storage are left untouched; localStorage itself is kept as it was
+     */
+    importLocalStorage() {
+        if (typeof localStorage === 'undefined' || this.storage === localStorage) return;
+
+        try {
+            if (this.storage.getItem(STORAGE_IMPORT_KEY)) return;
+
+            const imported = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(STORAGE_KEY_PREFIX) || this.storage.getItem(key) !== null) continue;
+
+                this.storage.setItem(key, localStorage.getItem(key));
+                imported.push(key);
+            }
+
+            this.storage.setItem(STORAGE_IMPORT_KEY, JSON.stringify({ importedAt: new Date().toISOString(), keys: imported }));
+        } catch (error) {
+            console.warn('Could not import saved progress from localStorage:', error);
+        }
+    }
+
+    /**
+     * Load the profile registry, creating the default profile on first use
+     * @returns {{activeProfileId: string, profiles: Array<{id: string, name: string}>}} Profile registry
+     */
+    loadProfiles() {
+        let registry = null;
+        try {
+            const saved = this.storage.getItem(PROFILES_STORAGE_KEY);
+            if (saved) {
+                registry = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('Could not load profiles:', error);
+        }
+
+        const profiles = registry && Array.isArray(registry.profiles)
+            ? registry.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            : [];
+        if (profiles.length === 0) {
+            profiles.push({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+        }
+
+        const activeProfileId = registry && profiles.some(profile => profile.id === registry.activeProfileId)
+            ? registry.activeProfileId
+            : profiles[0].id;
+
+        return { activeProfileId, profiles };
+    }
+
+    /**
+     * Save the profile registry
+     */
+    saveProfiles() {
+        try {
+            this.storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.warn('Could not save profiles:', error);
+        }
+    }
+
+    /**
+     * Get the storage key holding a profile's state
+     * The default profile keeps the original key so existing progress stays where it was
+     * @param {string} profileId - Profile ID
+     * @returns {string} Storage key
+     */
+    getStorageKey(profileId) {
+        return profileId === DEFAULT_PROFILE_ID ? STATE_STORAGE_KEY : `${STATE_STORAGE_KEY}:${profileId}`;
+    }
+
+    /**
+     * Get all profiles in display order
+     * @returns {Array<{id: string, name: string}>} Profiles
+     */
+    getProfiles() {
+        return this.profiles.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Get the active profile
+     * @returns {{id: string, name: string}} Active profile
+     */
+    getActiveProfile() {
+        const profile = this.profiles.profiles.find(candidate => candidate.id === this.profiles.activeProfileId);
+        return { ...(profile || this.profiles.profiles[0]) };
+    }
+
+    /**
+     * Switch to another profile and load its state
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} False if the profile does not exist
+     */
+    switchProfile(profileId) {
+        if (!this.profiles.profiles.some(profile => profile.id === profileId)) return false;
+
+        this.profiles.activeProfileId = profileId;
+        this.saveProfiles();
+        this.loadState(this.migrationContext);
+        return true;
+    }
+
+    /**
+     * Create an empty profile
+     * @param {string} name - Profile name
+     * @returns {string} ID of the new profile
+     */
+    createProfile(name) {
+        const id = `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        this.profiles.profiles.push({ id, name: name.trim() });
+        this.saveProfiles();
+        return id;
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New name
+     * @returns {boolean} False if the profile does not exist
+     */
+    renameProfile(profileId, name) {
+        const profile = this.profiles.profiles.find(candidate => candidate.id === profileId);
+        if (!profile) return false;
+
+        profile.name = name.trim();
+        this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Create a profile holding a copy of another profile's state
+     * @param {string} profileId - Profile to copy
+     * @param {string} name - Name of the copy
+     * @returns {string|null} ID of the new profile, or null if the source does not exist
+     */
+    duplicateProfile(profileId, name) {
+        if (!this.profiles.profiles.some(profile => profile.id === profileId)) return null;
+
+        const saved = profileId === this.profiles.activeProfileId
+            ? JSON.stringify(this.state)
+            : this.storage.getItem(this.getStorageKey(profileId));
+        const id = this.createProfile(name);
+
+        if (saved) {
+            try {
+                this.storage.setItem(this.getStorageKey(id), saved);
+            } catch (error) {
+                console.warn('Could not copy profile state:', error);
+            }
+        }
+        return id;
+    }
+
+    /**
+     * Delete a profile and its state
+     * Deleting the active profile switches to the first remaining one
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} False if the profile does not exist or is the only one left
+     */
+    deleteProfile(profileId) {
+        const index = this.profiles.profiles.findIndex(profile => profile.id === profileId);
+        if (index === -1 || this.profiles.profiles.length === 1) return false;
+
+        this.profiles.profiles.splice(index, 1);
+        this.storage.removeItem(this.getStorageKey(profileId));
+
+        if (profileId === this.profiles.activeProfileId) {
+            this.switchProfile(this.profiles.profiles[0].id);
+        } else {
+            this.saveProfiles();
+        }
+        return true;
+    }
+
+    /**
+     * Get every stored entry belonging to the tracker: the profile registry, each profile's state and the theme
+     * @returns {Object<string, string>} Stored values keyed by storage key
+     */
+    exportSnapshot() {
+        const entries = {
+            [PROFILES_STORAGE_KEY]: JSON.stringify(this.profiles)
+        };
+
+        this.profiles.profiles.forEach(profile => {
+            const saved = profile.id === this.profiles.activeProfileId
+                ? JSON.stringify(this.state)
+                : this.storage.getItem(this.getStorageKey(profile.id));
+            if (saved) entries[this.getStorageKey(profile.id)] = saved;
+        });
+
+        const theme = this.storage.getItem('arc-shopping-list-theme');
+        if (theme) entries['arc-shopping-list-theme'] = theme;
+
+        return entries;
+    }
+
+    /**
+     * Read the profiles and their state out of a snapshot
+     * @param {Object<string, string>} entries - Snapshot from exportSnapshot
+     * @returns {Array<{id: string, name: string, state: Object}>} Profiles with their state
+     */
+    readSnapshotProfiles(entries) {
+        let registry = null;
+        try {
+            registry = entries[PROFILES_STORAGE_KEY] ? JSON.parse(entries[PROFILES_STORAGE_KEY]) : null;
+        } catch (error) {
+            console.warn('Could not read profiles from snapshot:', error);
+        }
+
+        // Snapshots taken before profiles existed only hold the default state
+        const profiles = registry && Array.isArray(registry.profiles)
+            ? registry.profiles
+            : [{ id: DEFAULT_PROFILE_ID, name: 'Default' }];
+
+        return profiles.map(profile => {
+            let state = {};
+            try {
+                const saved = entries[this.getStorageKey(profile.id)];
+                if (saved) state = JSON.parse(saved);
+            } catch (error) {
+                console.warn(`Could not read state of profile ${profile.name} from snapshot:`, error);
+            }
+            return { ...profile, state };
+        });
+    }
+
+    /**
+     * Replace every profile with the contents of a snapshot and reload the active one
+     * @param {Object<string, string>} entries - Snapshot from exportSnapshot
+     */
+    restoreSnapshot(entries) {
+        // Profiles missing from the snapshot would otherwise linger without a registry entry
+        this.profiles.profiles.forEach(profile => {
+            const key = this.getStorageKey(profile.id);
+            if (!(key in entries)) this.storage.removeItem(key);
+        });
+        if (!(PROFILES_STORAGE_KEY in entries)) {
+            this.storage.removeItem(PROFILES_STORAGE_KEY);
+        }
+
+        for (const [key, value] of Object.entries(entries)) {
+            this.storage.setItem(key, value);
+        }
+
+        this.loadState(this.migrationContext);
+    }
+
+    /**
+     * Run pending schema migrations and reconcile saved IDs with the loaded data
+     * @param {Object|null} context - Loaded data, or null if no data is available
+     */
+    migrateState(context) {
+        const fromVersion = typeof this.state.schemaVersion === 'number' ? this.state.schemaVersion : 0;
+        const applied = [];
+        let version = fromVersion;
+
+        if (fromVersion > STATE_SCHEMA_VERSION) {
+            console.warn(`Saved state has schema version ${fromVersion}, newer than supported version ${STATE_SCHEMA_VERSION}`);
+        }
+
+        // Match saved IDs to the loaded data first so migrations see current requirement rows
+        const reconciled = context ? this.reconcileIds(context) : { remapped: [], changed: false };
+
+        for (const migration of STATE_MIGRATIONS) {
+            if (migration.version <= version) continue;
+            if (!migration.migrate(this.state, context)) break;
+
+            version = migration.version;
+            applied.push(migration.description);
+        }
+        this.state.schemaVersion = version;
+        this.migrationReport = {
+            fromVersion,
+            toVersion: version,
+            applied,
+            remapped: reconciled.remapped,
+            orphaned: this.getOrphanedEntries()
+        };
+
+        if (applied.length > 0 || reconciled.changed) {
+            this.saveState();
+        }
+    }
+
+    /**
+     * Remap renamed requirement rows and stash items, and set aside entries that match nothing
+     * Orphaned entries are kept under 'orphaned' and restored if the data matches them again
+     * @param {Object} context - Loaded data
+     * @returns {{remapped: Array, changed: boolean}} Remapped IDs and whether state changed
+     */
+    reconcileIds(context) {
+        const remapped = [];
+        let changed = false;
+
+        if (!this.state.orphaned || typeof this.state.orphaned !== 'object') {
+            this.state.orphaned = {};
+        }
+
+        for (const [projectName, projectQuantities] of Object.entries(context.quantities)) {
+            const aliases = context.aliases.projects[projectName] || {};
+            const projectState = this.state[projectName] && typeof this.state[projectName] === 'object' ? this.state[projectName] : {};
+            const orphanedState = this.state.orphaned[projectName] || {};
+
+            const resolve = (itemId) => {
+                if (itemId in projectQuantities) return itemId;
+                const alias = aliases[itemId];
+                return alias && alias in projectQuantities ? alias : null;
+            };
+
+            // Restore orphans first so data that changes back picks its progress up again
+            for (const [itemId, value] of Object.entries(orphanedState)) {
+                const target = resolve(itemId);
+                if (!target || target in projectState) continue;
+
+                projectState[target] = value;
+                delete orphanedState[itemId];
+                if (target !== itemId) remapped.push({ projectName, from: itemId, to: target });
+                changed = true;
+            }
+
+            for (const [itemId, value] of Object.entries(projectState)) {
+                if (itemId in projectQuantities) continue;
+
+                const target = resolve(itemId);
+                if (target && !(target in projectState)) {
+                    projectState[target] = value;
+                    remapped.push({ projectName, from: itemId, to: target });
+                } else {
+                    orphanedState[itemId] = value;
+                }
+                delete projectState[itemId];
+                changed = true;
+            }
+
+            if (Object.keys(projectState).length > 0) this.state[projectName] = projectState;
+            if (Object.keys(orphanedState).length > 0) {
+                this.state.orphaned[projectName] = orphanedState;
+            } else {
+                delete this.state.orphaned[projectName];
+            }
+        }
+
+        // Stash entries follow renamed items
+        const stash = this.state.stash || {};
+        for (const [oldKey, newKey] of Object.entries(context.aliases.stash)) {
+            if (!(oldKey in stash) || oldKey === newKey) continue;
+
+            stash[newKey] = (Number(stash[newKey]) || 0) + (Number(stash[oldKey]) || 0);
+            delete stash[oldKey];
+            remapped.push({ projectName: 'stash', from: oldKey, to: newKey });
+            changed = true;
+        }
+
+        return { remapped, changed };
+    }
+
+    /**
+     * Get saved progress entries that match no requirement row in the loaded data
+     * @returns {Array<{projectName: string, itemId: string, value: *}>} Orphaned entries
+     */
+    getOrphanedEntries() {
+        const entries = [];
+        for (const [projectName, items] of Object.entries(this.state.orphaned || {})) {
+            for (const [itemId, value] of Object.entries(items)) {
+                entries.push({ projectName, itemId, value });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Permanently discard orphaned progress entries
+     */
+    discardOrphanedEntries() {
+        this.runTransaction('Discard orphaned progress', () => this.set('orphaned', {}));
+        if (this.migrationReport) {
+            this.migrationReport.orphaned = [];
+        }
+    }
+
+    /**
+     * Get the state schema version written by this build
+     * @returns {number} Schema version
+     */
+    getSchemaVersion() {
+        return STATE_SCHEMA_VERSION;
+    }
+
+    /**
+     * Get the outcome of the last state migration
+     * @returns {Object|null} Migration report
+     */
+    getMigrationReport() {
+        return this.migrationReport;
+    }
+
     /**
      * Ensure state has proper structure
      */
@@ -36,18 +548,23 @@ class StateManager {
             this.state.collapsed = {};
         }
 
+        // Initialize stash inventory
+        if (!this.state.stash) {
+            this.state.stash = {};
+        }
+
         // Initialize theme preference
         if (!this.state.theme) {
-            this.state.theme = localStorage.getItem('arc-shopping-list-theme') || 'light';
+            this.state.theme = this.storage.getItem('arc-shopping-list-theme') || 'light';
         }
     }
 
     /**
-     * Save current state to localStorage
+     * Save current state to storage
      */
     saveState() {
         try {
-            localStorage.setItem('arc-shopping-list-state', JSON.stringify(this.state));
+            this.storage.setItem(this.getStorageKey(this.profiles.activeProfileId), JSON.stringify(this.state));
         } catch (error) {
             console.warn('Could not save state:', error);
         }
@@ -82,6 +599,9 @@ class StateManager {
         const keys = path.split('.');
         let current = this.state;
 
+        this.beginTransaction('Edit');
+        this.trackChange(keys[0]);
+
         // Navigate to the parent object
         for (let i = 0; i < keys.length - 1; i++) {
             const key = keys[i];
@@ -95,8 +615,138 @@ class StateManager {
         const finalKey = keys[keys.length - 1];
         current[finalKey] = value;
 
-        this.saveState();
+        // Written once when the outermost transaction closes
+        this.savePending = true;
         this.notifyListeners(path, value);
+        this.endTransaction();
+    }
+
+    /**
+     * Group state changes into one undoable action
+     * Nested transactions join the outermost one
+     * @param {string} label - Description of the action
+     * @param {Function} callback - Function making the changes
+     * @returns {*} Return value of the callback
+     */
+    runTransaction(label, callback) {
+        this.beginTransaction(label);
+        try {
+            return callback();
+        } finally {
+            this.endTransaction();
+        }
+    }
+
+    /**
+     * Open a transaction, or join the one already open
+     * @param {string} label - Description of the action
+     */
+    beginTransaction(label) {
+        if (this.transactionDepth++ === 0) {
+            this.activeTransaction = { label, before: {}, after: {} };
+        }
+    }
+
+    /**
+     * Close a transaction, save the state once and record it in the undo history if it changed anything
+     */
+    endTransaction() {
+        if (--this.transactionDepth > 0) return;
+
+        if (this.savePending) {
+            this.savePending = false;
+            this.saveState();
+        }
+        if (!this.activeTransaction) return;
+
+        const entry = this.activeTransaction;
+        this.activeTransaction = null;
+
+        for (const key of Object.keys(entry.before)) {
+            entry.after[key] = cloneValue(this.state[key]);
+            if (JSON.stringify(entry.after[key]) === JSON.stringify(entry.before[key])) {
+                delete entry.before[key];
+                delete entry.after[key];
+            }
+        }
+        if (Object.keys(entry.before).length === 0) return;
+
+        this.undoStack.push(entry);
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyListeners('history', this.getHistoryStatus());
+    }
+
+    /**
+     * Remember the value of a top-level key before the open transaction first changes it
+     * @param {string} key - Top-level state key
+     */
+    trackChange(key) {
+        const entry = this.activeTransaction;
+        if (!entry || UNTRACKED_STATE_KEYS.includes(key) || key in entry.before) return;
+
+        entry.before[key] = cloneValue(this.state[key]);
+    }
+
+    /**
+     * Undo the last recorded action
+     * @returns {string|null} Label of the undone action, or null if there is nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.applyHistoryValues(entry.before);
+        this.redoStack.push(entry);
+        this.notifyListeners('history', this.getHistoryStatus());
+        return entry.label;
+    }
+
+    /**
+     * Redo the last undone action
+     * @returns {string|null} Label of the redone action, or null if there is nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.applyHistoryValues(entry.after);
+        this.undoStack.push(entry);
+        this.notifyListeners('history', this.getHistoryStatus());
+        return entry.label;
+    }
+
+    /**
+     * Restore recorded top-level values
+     * @param {Object} values - Values keyed by top-level state key (undefined removes the key)
+     */
+    applyHistoryValues(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined) {
+                delete this.state[key];
+            } else {
+                this.state[key] = cloneValue(value);
+            }
+            this.notifyListeners(key, this.state[key]);
+        }
+        this.saveState();
+    }
+
+    /**
+     * Get whether undo and redo are available, with the labels of the affected actions
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}} History status
+     */
+    getHistoryStatus() {
+        const undoEntry = this.undoStack[this.undoStack.length - 1];
+        const redoEntry = this.redoStack[this.redoStack.length - 1];
+        return {
+            canUndo: !!undoEntry,
+            canRedo: !!redoEntry,
+            undoLabel: undoEntry ? undoEntry.label : null,
+            redoLabel: redoEntry ? redoEntry.label : null
+        };
     }
 
     /**
@@ -108,13 +758,38 @@ class StateManager {
         this.set(path, !currentValue);
     }
 
+    /**
+     * Get collected count of a requirement row
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Item ID
+     * @param {number} quantity - Required quantity
+     * @returns {number} Collected count
+     */
+    getItemCount(projectName, itemId, quantity) {
+        return toItemCount(this.get(`${projectName}.${itemId}`, 0), quantity);
+    }
+
+    /**
+     * Set collected count of a requirement row
+     * @param {string} projectName - Project name
+     * @param {string} itemId - Item ID
+     * @param {number} count - Collected count (clamped to 0..quantity)
+     * @param {number} quantity - Required quantity
+     */
+    setItemCount(projectName, itemId, count, quantity) {
+        const clamped = Math.max(0, Math.min(Math.floor(Number(count) || 0), quantity));
+        this.runTransaction('Change collected count', () => this.set(`${projectName}.${itemId}`, clamped));
+    }
+
     /**
      * Check if item is completed
      * @param {string} projectName - Project name
      * @param {string} itemId - Item ID
+     * @param {number} quantity - Required quantity
+     * @returns {boolean} Completion state
      */
-    isItemCompleted(projectName, itemId) {
-        return this.get(`${projectName}.${itemId}`, false);
+    isItemCompleted(projectName, itemId, quantity) {
+        return this.getItemCount(projectName, itemId, quantity) >= quantity;
     }
 
     /**
@@ -122,18 +797,341 @@ class StateManager {
      * @param {string} projectName - Project name
      * @param {string} itemId - Item ID
      * @param {boolean} completed - Completion state
+     * @param {number} quantity - Required quantity
      */
-    setItemCompleted(projectName, itemId, completed) {
-        this.set(`${projectName}.${itemId}`, completed);
+    setItemCompleted(projectName, itemId, completed, quantity) {
+        this.setItemCount(projectName, itemId, completed ? quantity : 0, quantity);
     }
 
     /**
      * Toggle item completion state
      * @param {string} projectName - Project name
      * @param {string} itemId - Item ID
+     * @param {number} quantity - Required quantity
+     */
+    toggleItem(projectName, itemId, quantity) {
+        this.runTransaction('Toggle item', () => {
+            this.setItemCompleted(projectName, itemId, !this.isItemCompleted(projectName, itemId, quantity), quantity);
+        });
+    }
+
+    /**
+     * Get how many of an item are owned in the stash
+     * @param {string} itemKey - Item key
+     * @returns {number} Owned count
+     */
+    getStashCount(itemKey) {
+        return toStashCount(this.get(`stash.${itemKey}`, 0));
+    }
+
+    /**
+     * Set how many of an item are owned in the stash
+     * @param {string} itemKey - Item key
+     * @param {number} count - Owned count (negative values are stored as 0)
+     */
+    setStashCount(itemKey, count) {
+        this.runTransaction('Change stash count', () => this.set(`stash.${itemKey}`, Math.max(0, Math.floor(Number(count) || 0))));
+    }
+
+    /**
+     * Get a copy of the saved progress of a project
+     * @param {string} projectName - Project name
+     * @returns {Object} Collected counts keyed by requirement row ID
+     */
+    getProjectProgress(projectName) {
+        const progress = this.get(projectName, {});
+        return progress && typeof progress === 'object' ? { ...progress } : {};
+    }
+
+    /**
+     * Replace the saved progress of a project in one write
+     * @param {string} projectName - Project name
+     * @param {Object} progress - Collected counts keyed by requirement row ID
+     */
+    setProjectProgress(projectName, progress) {
+        this.runTransaction('Replace project progress', () => this.set(projectName, { ...progress }));
+    }
+
+    /**
+     * Get a copy of the stash inventory
+     * @returns {Object} Owned counts keyed by item key
+     */
+    getStashCounts() {
+        return { ...this.get('stash', {}) };
+    }
+
+    /**
+     * Replace the stash inventory in one write
+     * @param {Object} stash - Owned counts keyed by item key
+     */
+    setStashCounts(stash) {
+        this.runTransaction('Replace stash', () => this.set('stash', { ...stash }));
+    }
+
+    /**
+     * Get the saved allocation priority order
+     * @returns {Array<{projectName: string, groups: Array<string>}>} Saved priorities
+     */
+    getAllocationPriorities() {
+        const priorities = this.get('allocation.priorities', []);
+        return Array.isArray(priorities) ? priorities : [];
+    }
+
+    /**
+     * Save the allocation priority order
+     * @param {Array<{projectName: string, groups: Array<string>}>} priorities - Projects in priority order, each with its groups in priority order
+     */
+    setAllocationPriorities(priorities) {
+        this.runTransaction('Reorder priorities', () => this.set('allocation.priorities', priorities));
+    }
+
+    /**
+     * Get the groups of a project that have been marked finished, such as handed-in quests
+     * @param {string} projectName - Project name
+     * @returns {Array<string>} Group names
+     */
+    getFinishedGroups(projectName) {
+        const finished = this.get('finishedGroups', {})[projectName];
+        return Array.isArray(finished) ? [...finished] : [];
+    }
+
+    /**
+     * Mark a group of a project finished or not finished
+     * @param {string} projectName - Project name
+     * @param {string} groupName - Group name
+     * @param {boolean} finished - Finished state
+     */
+    setGroupFinished(projectName, groupName, finished) {
+        const groups = this.getFinishedGroups(projectName).filter(name => name !== groupName);
+        if (finished) groups.push(groupName);
+
+        this.runTransaction(`${finished ? 'Finish' : 'Reopen'} ${groupName}`, () => {
+            this.set('finishedGroups', { ...this.get('finishedGroups', {}), [projectName]: groups });
+        });
+    }
+
+    /**
+     * Get the level a station of a project has been built to
+     * @param {string} projectName - Project name
+     * @param {string} stationName - Station name
+     * @returns {number} Built level (0 when not built)
+     */
+    getStationLevel(projectName, stationName) {
+        const level = Number((this.get('stationLevels', {})[projectName] || {})[stationName]);
+        return Number.isInteger(level) && level > 0 ? level : 0;
+    }
+
+    /**
+     * Set the level a station of a project has been built to
+     * @param {string} projectName - Project name
+     * @param {string} stationName - Station name
+     * @param {number} level - Built level (0 when not built)
+     */
+    setStationLevel(projectName, stationName, level) {
+        const levels = this.get('stationLevels', {});
+        const projectLevels = { ...(levels[projectName] || {}), [stationName]: Math.max(0, Math.floor(Number(level) || 0)) };
+
+        this.runTransaction(`Set ${stationName} to level ${projectLevels[stationName]}`, () => {
+            this.set('stationLevels', { ...levels, [projectName]: projectLevels });
+        });
+    }
+
+    /**
+     * Get the level a tiered project has reached
+     * @param {string} projectName - Project name
+     * @returns {number} Reached level (0 when none has been recorded)
+     */
+    getTierLevel(projectName) {
+        const level = Number(this.get('tierLevels', {})[projectName]);
+        return Number.isInteger(level) && level > 0 ? level : 0;
+    }
+
+    /**
+     * Set the level a tiered project has reached
+     * @param {string} projectName - Project name
+     * @param {number} level - Reached level
+     */
+    setTierLevel(projectName, level) {
+        const tierLevel = Math.max(0, Math.floor(Number(level) || 0));
+
+        this.runTransaction(`Set ${projectName} to level ${tierLevel}`, () => {
+            this.set('tierLevels', { ...this.get('tierLevels', {}), [projectName]: tierLevel });
+        });
+    }
+
+    /**
+     * Get the delivery log of a project's phases, oldest first
+     * @param {string} projectName - Project name
+     * @returns {Array<{phase: string, deliveredAt: string, items: Array<{name: string, quantity: number}>}>} Deliveries
      */
-    toggleItem(projectName, itemId) {
-        this.toggle(`${projectName}.${itemId}`);
+    getPhaseDeliveries(projectName) {
+        const deliveries = this.get('phaseDeliveries', {})[projectName];
+        return Array.isArray(deliveries) ? deliveries.map(delivery => ({ ...delivery, items: [...(delivery.items || [])] })) : [];
+    }
+
+    /**
+     * Record that a phase of a project was delivered
+     * @param {string} projectName - Project name
+     * @param {{phase: string, deliveredAt: string, items: Array<{name: string, quantity: number}>}} delivery - Delivery
+     */
+    addPhaseDelivery(projectName, delivery) {
+        const deliveries = [...this.getPhaseDeliveries(projectName).filter(entry => entry.phase !== delivery.phase), delivery];
+
+        this.runTransaction(`Deliver ${delivery.phase}`, () => {
+            this.set('phaseDeliveries', { ...this.get('phaseDeliveries', {}), [projectName]: deliveries });
+        });
+    }
+
+    /**
+     * Remove a phase's delivery from a project's log, unlocking the phase again
+     * @param {string} projectName - Project name
+     * @param {string} phaseName - Phase name
+     */
+    removePhaseDelivery(projectName, phaseName) {
+        const deliveries = this.getPhaseDeliveries(projectName).filter(entry => entry.phase !== phaseName);
+
+        this.runTransaction(`Reopen ${phaseName}`, () => {
+            this.set('phaseDeliveries', { ...this.get('phaseDeliveries', {}), [projectName]: deliveries });
+        });
+    }
+
+    /**
+     * Get a project's entry under a model state key, such as its finished quests
+     * @param {string} key - Model state key (one of MODEL_STATE_KEYS)
+     * @param {string} projectName - Project name
+     * @returns {*} Copy of the entry, or undefined if the project has none
+     */
+    getModelState(key, projectName) {
+        return cloneValue(this.get(key, {})[projectName]);
+    }
+
+    /**
+     * Replace a project's entry under a model state key
+     * @param {string} key - Model state key (one of MODEL_STATE_KEYS)
+     * @param {string} projectName - Project name
+     * @param {*} value - New entry (undefined removes it)
+     */
+    setModelState(key, projectName, value) {
+        const entries = { ...this.get(key, {}) };
+        if (value === undefined) {
+            delete entries[projectName];
+        } else {
+            entries[projectName] = cloneValue(value);
+        }
+        this.runTransaction('Replace model state', () => this.set(key, entries));
+    }
+
+    /**
+     * Archive the current cycle and reset the selected projects for a new one
+     * @param {string} label - Cycle label
+     * @param {Array<string>} projectNames - Projects to archive
+     * @param {Array<string>} resetProjects - Projects whose progress is cleared after archiving
+     * @param {boolean} resetStash - Whether the stash inventory is cleared as well
+     * @returns {Object} The archived cycle
+     */
+    startNewCycle(label, projectNames, resetProjects, resetStash = false) {
+        const copy = (value) => JSON.parse(JSON.stringify(value || {}));
+        const cycle = {
+            id: `cycle-${Date.now().toString(36)}`,
+            label: label.trim(),
+            archivedAt: new Date().toISOString(),
+            resetProjects: [...resetProjects],
+            progress: {},
+            orphaned: {},
+            stash: copy(this.state.stash),
+            models: {}
+        };
+
+        projectNames.forEach(projectName => {
+            cycle.progress[projectName] = copy(this.state[projectName]);
+            if (this.state.orphaned && this.state.orphaned[projectName]) {
+                cycle.orphaned[projectName] = copy(this.state.orphaned[projectName]);
+            }
+            MODEL_STATE_KEYS.forEach(key => {
+                const value = this.getModelState(key, projectName);
+                if (value !== undefined) {
+                    cycle.models[key] = { ...(cycle.models[key] || {}), [projectName]: value };
+                }
+            });
+        });
+
+        this.runTransaction('Start new cycle', () => {
+            [...resetProjects, 'orphaned', 'stash', 'finishedGroups', 'stationLevels', 'phaseDeliveries', 'tierLevels'].forEach(key => this.trackChange(key));
+
+            resetProjects.forEach(projectName => {
+                delete this.state[projectName];
+                if (this.state.orphaned) {
+                    delete this.state.orphaned[projectName];
+                }
+                if (this.state.finishedGroups) {
+                    delete this.state.finishedGroups[projectName];
+                }
+                if (this.state.stationLevels) {
+                    delete this.state.stationLevels[projectName];
+                }
+                if (this.state.phaseDeliveries) {
+                    delete this.state.phaseDeliveries[projectName];
+                }
+                if (this.state.tierLevels) {
+                    delete this.state.tierLevels[projectName];
+                }
+            });
+            if (resetStash) {
+                this.state.stash = {};
+            }
+
+            this.set('cycles', [...this.getCycles(), cycle]);
+        });
+        return cycle;
+    }
+
+    /**
+     * Get archived cycles, oldest first
+     * @returns {Array<Object>} Archived cycles
+     */
+    getCycles() {
+        const cycles = this.get('cycles', []);
+        return Array.isArray(cycles) ? cycles : [];
+    }
+
+    /**
+     * Get a read-only view of an archived cycle's progress
+     * The reader has the same counting methods as the state manager, so it can be passed to DataLoader helpers
+     * @param {string} cycleId - Cycle ID
+     * @returns {{getItemCount: Function, getStashCount: Function, getModelState: Function}|null} Progress reader, or null if the cycle does not exist
+     */
+    getCycleReader(cycleId) {
+        const cycle = this.getCycles().find(candidate => candidate.id === cycleId);
+        if (!cycle) return null;
+
+        return this.createProgressReader({ ...cycle.progress, ...(cycle.models || {}), stash: cycle.stash });
+    }
+
+    /**
+     * Create a read-only view of a saved state object
+     * The reader has the same counting methods as the state manager, so it can be passed to DataLoader helpers
+     * @param {Object} state - State object (project progress keyed by project name, plus 'stash' and model state keys)
+     * @returns {{getItemCount: Function, getStashCount: Function, getModelState: Function}} Progress reader
+     */
+    createProgressReader(state) {
+        return {
+            getItemCount: (projectName, itemId, quantity) => toItemCount((state[projectName] || {})[itemId], quantity),
+            getStashCount: (itemKey) => toStashCount((state.stash || {})[itemKey]),
+                getModelState: (key, projectName) => cloneValue((state[key] || {})[projectName])
+        };
+    }
+
+    /**
+     * Delete an archived cycle
+     * @param {string} cycleId - Cycle ID
+     * @returns {boolean} False if the cycle does not exist
+     */
+    deleteCycle(cycleId) {
+        const cycles = this.getCycles();
+        if (!cycles.some(cycle => cycle.id === cycleId)) return false;
+
+        this.runTransaction('Delete archived cycle', () => this.set('cycles', cycles.filter(cycle => cycle.id !== cycleId)));
+        return true;
     }
 
     /**
@@ -174,7 +1172,22 @@ class StateManager {
      */
     setTheme(theme) {
         this.set('theme', theme);
-        localStorage.setItem('arc-shopping-list-theme', theme);
+        this.storage.setItem('arc-shopping-list-theme', theme);
+    }
+
+    /**
+     * Check whether mission-only items are shown in the project tabs and the combined view
+     */
+    getShowMissionItems() {
+        return this.get('showMissionItems', false);
+    }
+
+    /**
+     * Show or hide mission-only items
+     * @param {boolean} show - Show mission items
+     */
+    setShowMissionItems(show) {
+        this.set('showMissionItems', show);
     }
 
     /**
@@ -225,13 +1238,16 @@ class StateManager {
     }
 
     /**
-     * Clear all state
+     * Clear all state of the active profile
      */
     clearState() {
-        this.state = {};
-        this.initializeStateStructure();
-        localStorage.removeItem('arc-shopping-list-state');
-        localStorage.removeItem('arc-shopping-list-theme');
+        this.runTransaction('Reset progress', () => {
+            Object.keys(this.state).forEach(key => this.trackChange(key));
+            this.state = { schemaVersion: STATE_SCHEMA_VERSION };
+            this.initializeStateStructure();
+        });
+        this.storage.removeItem(this.getStorageKey(this.profiles.activeProfileId));
+        this.storage.removeItem('arc-shopping-list-theme');
     }
 }
 
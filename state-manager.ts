@@ -1,6 +1,6 @@
 /**
  * State Manager Module
- * Handles application state management and localStorage operations
+ * Handles application state management and persistence
  */
 
 interface StateListener {
@@ -11,16 +11,207 @@ interface StateObject {
   [key: string]: any;
 }
 
+interface RequirementQuantities {
+  [projectName: string]: { [itemId: string]: number };
+}
+
+interface IdAliases {
+  projects: { [projectName: string]: { [oldId: string]: string } };
+  stash: { [oldKey: string]: string };
+}
+
+interface MigrationContext {
+  quantities: RequirementQuantities;
+  aliases: IdAliases;
+}
+
+interface StateMigration {
+  version: number;
+  description: string;
+  migrate(state: StateObject, context: MigrationContext | null): boolean;
+}
+
+interface OrphanedEntry {
+  projectName: string;
+  itemId: string;
+  value: any;
+}
+
+interface Profile {
+  id: string;
+  name: string;
+}
+
+interface ProfileRegistry {
+  activeProfileId: string;
+  profiles: Profile[];
+}
+
+interface ArchivedCycle {
+  id: string;
+  label: string;
+  archivedAt: string;
+  resetProjects: string[];
+  progress: { [projectName: string]: StateObject };
+  orphaned: { [projectName: string]: StateObject };
+  stash: StateObject;
+  models?: { [key: string]: StateObject };
+}
+
+interface PhaseDelivery {
+  phase: string;
+  deliveredAt: string;
+  items: Array<{ name: string, quantity: number }>;
+}
+
+interface ProgressReader {
+  getItemCount(projectName: string, itemId: string, quantity: number): number;
+  getStashCount(itemKey: string): number;
+  getModelState(key: string, projectName: string): any;
+}
+
+interface HistoryEntry {
+  label: string;
+  before: StateObject;
+  after: StateObject;
+}
+
+interface HistoryStatus {
+  canUndo: boolean;
+  canRedo: boolean;
+  undoLabel: string | null;
+  redoLabel: string | null;
+}
+
+interface StorageBackend {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+interface MigrationReport {
+  fromVersion: number;
+  toVersion: number;
+  applied: string[];
+  remapped: Array<{ projectName: string, from: string, to: string }>;
+  orphaned: OrphanedEntry[];
+}
+
+/**
+ * Schema migrations, applied in order to saved state older than their version
+ * A migration returns false when it cannot run yet (e.g. the data it needs is not loaded)
+ */
+const STATE_MIGRATIONS: StateMigration[] = [
+  {
+    version: 1,
+    description: 'Convert completion flags into collected counts',
+    migrate: (state, context) => {
+      if (!context) return false;
+
+      for (const [projectName, projectQuantities] of Object.entries(context.quantities)) {
+        const projectState = state[projectName];
+        if (!projectState || typeof projectState !== 'object') continue;
+
+        for (const [itemId, value] of Object.entries(projectState)) {
+          if (typeof value === 'boolean' && itemId in projectQuantities) {
+            projectState[itemId] = value ? projectQuantities[itemId] : 0;
+          }
+        }
+      }
+      return true;
+    }
+  }
+];
+
+const STATE_SCHEMA_VERSION = STATE_MIGRATIONS[STATE_MIGRATIONS.length - 1].version;
+
+/**
+ * Convert a saved progress value into a collected count
+ * Legacy boolean entries count as fully collected or not collected at all
+ * @param value - Saved value
+ * @param quantity - Required quantity
+ */
+function toItemCount(value: any, quantity: number): number {
+  if (typeof value === 'boolean') {
+    return value ? quantity : 0;
+  }
+
+  const count = Number(value);
+  if (!Number.isFinite(count) || count < 0) {
+    return 0;
+  }
+  return Math.min(Math.floor(count), quantity);
+}
+
+/**
+ * Convert a saved stash value into an owned count
+ * @param value - Saved value
+ */
+function toStashCount(value: any): number {
+  const count = Number(value);
+  return Number.isFinite(count) && count > 0 ? Math.floor(count) : 0;
+}
+
+/**
+ * Deep copy a JSON-compatible state value
+ * @param value - Value to copy
+ */
+function cloneValue(value: any): any {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Top-level keys holding preferences rather than progress; undo leaves them alone
+const UNTRACKED_STATE_KEYS = ['collapsed', 'theme', 'showMissionItems', 'schemaVersion'];
+const HISTORY_LIMIT = 100;
+
+// Top-level keys holding model state that travels with a project's row progress, keyed by project name
+const MODEL_STATE_KEYS = ['finishedGroups', 'stationLevels', 'phaseDeliveries', 'tierLevels'];
+
+/**
+ * Get where state is persisted: the desktop app's file storage when available, otherwise localStorage
+ */
+function getDefaultStorage(): StorageBackend {
+  if (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.storage) {
+    return window.electronAPI.storage;
+  }
+  return localStorage;
+}
+
+const STORAGE_KEY_PREFIX = 'arc-shopping-list';
+const STORAGE_IMPORT_KEY = 'arc-shopping-list-storage-import';
+const STATE_STORAGE_KEY = 'arc-shopping-list-state';
+const PROFILES_STORAGE_KEY = 'arc-shopping-list-profiles';
+const DEFAULT_PROFILE_ID = 'default';
+
 class StateManager {
   private state: StateObject = {};
+  private storage: StorageBackend = getDefaultStorage();
   private listeners: Map<string, Set<StateListener>> = new Map();
+  private undoStack: HistoryEntry[] = [];
+  private redoStack: HistoryEntry[] = [];
+  private activeTransaction: HistoryEntry | null = null;
+  private transactionDepth: number = 0;
+  private savePending: boolean = false;
+  private migrationReport: MigrationReport | null = null;
+  private migrationContext: MigrationContext | null = null;
+  private profiles: ProfileRegistry = { activeProfileId: DEFAULT_PROFILE_ID, profiles: [] };
 
   /**
-   * Initialize state from localStorage
+   * Initialize state of the active profile from storage
+   * @param context - Loaded data used to migrate and reconcile saved progress
    */
-  loadState(): void {
+  loadState(context: MigrationContext | null = null): void {
+    this.importLocalStorage();
+    this.migrationContext = context;
+    this.profiles = this.loadProfiles();
+    this.state = {};
+
+    // History belongs to the state it was recorded against
+    this.undoStack = [];
+    this.redoStack = [];
+
     try {
-      const saved = localStorage.getItem('arc-shopping-list-state');
+      const saved = this.storage.getItem(this.getStorageKey(this.profiles.activeProfileId));
       if (saved) {
         this.state = JSON.parse(saved);
       }
@@ -29,10 +220,404 @@ class StateManager {
       this.state = {};
     }
 
+    // Upgrade saved state to the current schema
+    this.migrateState(context);
+
     // Initialize state structure
     this.initializeStateStructure();
   }
 
+  /**
+   * Copy progress saved in localStorage into file storage the first time file storage is used
+   * Keys already present in file storage are left untouched; localStorage itself is kept as it was
+   */
+  private importLocalStorage(): void {
+    if (typeof localStorage === 'undefined' || this.storage === localStorage) return;
+
+    try {
+      if (this.storage.getItem(STORAGE_IMPORT_KEY)) return;
+
+      const imported: string[] = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(STORAGE_KEY_PREFIX) || this.storage.getItem(key) !== null) continue;
+
+        this.storage.setItem(key, localStorage.getItem(key)!);
+        imported.push(key);
+      }
+
+      this.storage.setItem(STORAGE_IMPORT_KEY, JSON.stringify({ importedAt: new Date().toISOString(), keys: imported }));
+    } catch (error) {
+      console.warn('Could not import saved progress from localStorage:', error);
+    }
+  }
+
+  /**
+   * Load the profile registry, creating the default profile on first use
+   */
+  private loadProfiles(): ProfileRegistry {
+    let registry: ProfileRegistry | null = null;
+    try {
+      const saved = this.storage.getItem(PROFILES_STORAGE_KEY);
+      if (saved) {
+        registry = JSON.parse(saved);
+      }
+    } catch (error) {
+      console.warn('Could not load profiles:', error);
+    }
+
+    const profiles = registry && Array.isArray(registry.profiles)
+      ? registry.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+      : [];
+    if (profiles.length === 0) {
+      profiles.push({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+    }
+
+    const activeProfileId = registry && profiles.some(profile => profile.id === registry!.activeProfileId)
+      ? registry.activeProfileId
+      : profiles[0].id;
+
+    return { activeProfileId, profiles };
+  }
+
+  /**
+   * Save the profile registry
+   */
+  private saveProfiles(): void {
+    try {
+      this.storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.profiles));
+    } catch (error) {
+      console.warn('Could not save profiles:', error);
+    }
+  }
+
+  /**
+   * Get the storage key holding a profile's state
+   * The default profile keeps the original key so existing progress stays where it was
+   * @param profileId - Profile ID
+   */
+  private getStorageKey(profileId: string): string {
+    return profileId === DEFAULT_PROFILE_ID ? STATE_STORAGE_KEY : `${STATE_STORAGE_KEY}:${profileId}`;
+  }
+
+  /**
+   * Get all profiles in display order
+   */
+  getProfiles(): Profile[] {
+    return this.profiles.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Get the active profile
+   */
+  getActiveProfile(): Profile {
+    const profile = this.profiles.profiles.find(candidate => candidate.id === this.profiles.activeProfileId);
+    return { ...(profile || this.profiles.profiles[0]) };
+  }
+
+  /**
+   * Switch to another profile and load its state
+   * @param profileId - Profile ID
+   * @returns False if the profile does not exist
+   */
+  switchProfile(profileId: string): boolean {
+    if (!this.profiles.profiles.some(profile => profile.id === profileId)) return false;
+
+    this.profiles.activeProfileId = profileId;
+    this.saveProfiles();
+    this.loadState(this.migrationContext);
+    return true;
+  }
+
+  /**
+   * Create an empty profile
+   * @param name - Profile name
+   * @returns ID of the new profile
+   */
+  createProfile(name: string): string {
+    const id = `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    this.profiles.profiles.push({ id, name: name.trim() });
+    this.saveProfiles();
+    return id;
+  }
+
+  /**
+   * Rename a profile
+   * @param profileId - Profile ID
+   * @param name - New name
+   * @returns False if the profile does not exist
+   */
+  renameProfile(profileId: string, name: string): boolean {
+    const profile = this.profiles.profiles.find(candidate => candidate.id === profileId);
+    if (!profile) return false;
+
+    profile.name = name.trim();
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * Create a profile holding a copy of another profile's state
+   * @param profileId - Profile to copy
+   * @param name - Name of the copy
+   * @returns ID of the new profile, or null if the source does not exist
+   */
+  duplicateProfile(profileId: string, name: string): string | null {
+    if (!this.profiles.profiles.some(profile => profile.id === profileId)) return null;
+
+    const saved = profileId === this.profiles.activeProfileId
+      ? JSON.stringify(this.state)
+      : this.storage.getItem(this.getStorageKey(profileId));
+    const id = this.createProfile(name);
+
+    if (saved) {
+      try {
+        this.storage.setItem(this.getStorageKey(id), saved);
+      } catch (error) {
+        console.warn('Could not copy profile state:', error);
+      }
+    }
+    return id;
+  }
+
+  /**
+   * Delete a profile and its state
+   * Deleting the active profile switches to the first remaining one
+   * @param profileId - Profile ID
+   * @returns False if the profile does not exist or is the only one left
+   */
+  deleteProfile(profileId: string): boolean {
+    const index = this.profiles.profiles.findIndex(profile => profile.id === profileId);
+    if (index === -1 || this.profiles.profiles.length === 1) return false;
+
+    this.profiles.profiles.splice(index, 1);
+    this.storage.removeItem(this.getStorageKey(profileId));
+
+    if (profileId === this.profiles.activeProfileId) {
+      this.switchProfile(this.profiles.profiles[0].id);
+    } else {
+      this.saveProfiles();
+    }
+    return true;
+  }
+
+  /**
+   * Get every stored entry belonging to the tracker: the profile registry, each profile's state and the theme
+   * @returns Stored values keyed by storage key
+   */
+  exportSnapshot(): { [key: string]: string } {
+    const entries: { [key: string]: string } = {
+      [PROFILES_STORAGE_KEY]: JSON.stringify(this.profiles)
+    };
+
+    this.profiles.profiles.forEach(profile => {
+      const saved = profile.id === this.profiles.activeProfileId
+        ? JSON.stringify(this.state)
+        : this.storage.getItem(this.getStorageKey(profile.id));
+      if (saved) entries[this.getStorageKey(profile.id)] = saved;
+    });
+
+    const theme = this.storage.getItem('arc-shopping-list-theme');
+    if (theme) entries['arc-shopping-list-theme'] = theme;
+
+    return entries;
+  }
+
+  /**
+   * Read the profiles and their state out of a snapshot
+   * @param entries - Snapshot from exportSnapshot
+   */
+  readSnapshotProfiles(entries: { [key: string]: string }): Array<Profile & { state: StateObject }> {
+    let registry: ProfileRegistry | null = null;
+    try {
+      registry = entries[PROFILES_STORAGE_KEY] ? JSON.parse(entries[PROFILES_STORAGE_KEY]) : null;
+    } catch (error) {
+      console.warn('Could not read profiles from snapshot:', error);
+    }
+
+    // Snapshots taken before profiles existed only hold the default state
+    const profiles: Profile[] = registry && Array.isArray(registry.profiles)
+      ? registry.profiles
+      : [{ id: DEFAULT_PROFILE_ID, name: 'Default' }];
+
+    return profiles.map(profile => {
+      let state: StateObject = {};
+      try {
+        const saved = entries[this.getStorageKey(profile.id)];
+        if (saved) state = JSON.parse(saved);
+      } catch (error) {
+        console.warn(`Could not read state of profile ${profile.name} from snapshot:`, error);
+      }
+      return { ...profile, state };
+    });
+  }
+
+  /**
+   * Replace every profile with the contents of a snapshot and reload the active one
+   * @param entries - Snapshot from exportSnapshot
+   */
+  restoreSnapshot(entries: { [key: string]: string }): void {
+    // Profiles missing from the snapshot would otherwise linger without a registry entry
+    this.profiles.profiles.forEach(profile => {
+      const key = this.getStorageKey(profile.id);
+      if (!(key in entries)) this.storage.removeItem(key);
+    });
+    if (!(PROFILES_STORAGE_KEY in entries)) {
+      this.storage.removeItem(PROFILES_STORAGE_KEY);
+    }
+
+    for (const [key, value] of Object.entries(entries)) {
+      this.storage.setItem(key, value);
+    }
+
+    this.loadState(this.migrationContext);
+  }
+
+  /**
+   * Run pending schema migrations and reconcile saved IDs with the loaded data
+   * @param context - Loaded data, or null if no data is available
+   */
+  private migrateState(context: MigrationContext | null): void {
+    const fromVersion = typeof this.state.schemaVersion === 'number' ? this.state.schemaVersion : 0;
+    const applied: string[] = [];
+    let version = fromVersion;
+
+    if (fromVersion > STATE_SCHEMA_VERSION) {
+      console.warn(`Saved state has schema version ${fromVersion}, newer than supported version ${STATE_SCHEMA_VERSION}`);
+    }
+
+    // Match saved IDs to the loaded data first so migrations see current requirement rows
+    const reconciled = context ? this.reconcileIds(context) : { remapped: [], changed: false };
+
+    for (const migration of STATE_MIGRATIONS) {
+      if (migration.version <= version) continue;
+      if (!migration.migrate(this.state, context)) break;
+
+      version = migration.version;
+      applied.push(migration.description);
+    }
+    this.state.schemaVersion = version;
+    this.migrationReport = {
+      fromVersion,
+      toVersion: version,
+      applied,
+      remapped: reconciled.remapped,
+      orphaned: this.getOrphanedEntries()
+    };
+
+    if (applied.length > 0 || reconciled.changed) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Remap renamed requirement rows and stash items, and set aside entries that match nothing
+   * Orphaned entries are kept under 'orphaned' and restored if the data matches them again
+   * @param context - Loaded data
+   */
+  private reconcileIds(context: MigrationContext): { remapped: MigrationReport['remapped'], changed: boolean } {
+    const remapped: MigrationReport['remapped'] = [];
+    let changed = false;
+
+    if (!this.state.orphaned || typeof this.state.orphaned !== 'object') {
+      this.state.orphaned = {};
+    }
+
+    for (const [projectName, projectQuantities] of Object.entries(context.quantities)) {
+      const aliases = context.aliases.projects[projectName] || {};
+      const projectState: StateObject = this.state[projectName] && typeof this.state[projectName] === 'object' ? this.state[projectName] : {};
+      const orphanedState: StateObject = this.state.orphaned[projectName] || {};
+
+      const resolve = (itemId: string): string | null => {
+        if (itemId in projectQuantities) return itemId;
+        const alias = aliases[itemId];
+        return alias && alias in projectQuantities ? alias : null;
+      };
+
+      // Restore orphans first so data that changes back picks its progress up again
+      for (const [itemId, value] of Object.entries(orphanedState)) {
+        const target = resolve(itemId);
+        if (!target || target in projectState) continue;
+
+        projectState[target] = value;
+        delete orphanedState[itemId];
+        if (target !== itemId) remapped.push({ projectName, from: itemId, to: target });
+        changed = true;
+      }
+
+      for (const [itemId, value] of Object.entries(projectState)) {
+        if (itemId in projectQuantities) continue;
+
+        const target = resolve(itemId);
+        if (target && !(target in projectState)) {
+          projectState[target] = value;
+          remapped.push({ projectName, from: itemId, to: target });
+        } else {
+          orphanedState[itemId] = value;
+        }
+        delete projectState[itemId];
+        changed = true;
+      }
+
+      if (Object.keys(projectState).length > 0) this.state[projectName] = projectState;
+      if (Object.keys(orphanedState).length > 0) {
+        this.state.orphaned[projectName] = orphanedState;
+      } else {
+        delete this.state.orphaned[projectName];
+      }
+    }
+
+    // Stash entries follow renamed items
+    const stash: StateObject = this.state.stash || {};
+    for (const [oldKey, newKey] of Object.entries(context.aliases.stash)) {
+      if (!(oldKey in stash) || oldKey === newKey) continue;
+
+      stash[newKey] = (Number(stash[newKey]) || 0) + (Number(stash[oldKey]) || 0);
+      delete stash[oldKey];
+      remapped.push({ projectName: 'stash', from: oldKey, to: newKey });
+      changed = true;
+    }
+
+    return { remapped, changed };
+  }
+
+  /**
+   * Get saved progress entries that match no requirement row in the loaded data
+   */
+  getOrphanedEntries(): OrphanedEntry[] {
+    const entries: OrphanedEntry[] = [];
+    for (const [projectName, items] of Object.entries(this.state.orphaned || {})) {
+      for (const [itemId, value] of Object.entries(items as StateObject)) {
+        entries.push({ projectName, itemId, value });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Permanently discard orphaned progress entries
+   */
+  discardOrphanedEntries(): void {
+    this.runTransaction('Discard orphaned progress', () => this.set('orphaned', {}));
+    if (this.migrationReport) {
+      this.migrationReport.orphaned = [];
+    }
+  }
+
+  /**
+   * Get the state schema version written by this build
+   */
+  getSchemaVersion(): number {
+    return STATE_SCHEMA_VERSION;
+  }
+
+  /**
+   * Get the outcome of the last state migration
+   */
+  getMigrationReport(): MigrationReport | null {
+    return this.migrationReport;
+  }
+
   /**
    * Ensure state has proper structure
    */
@@ -42,18 +627,23 @@ class StateManager {
       this.state.collapsed = {};
     }
 
+    // Initialize stash inventory
+    if (!this.state.stash) {
+      this.state.stash = {};
+    }
+
     // Initialize theme preference
     if (!this.state.theme) {
-      this.state.theme = localStorage.getItem('arc-shopping-list-theme') || 'light';
+      this.state.theme = this.storage.getItem('arc-shopping-list-theme') || 'light';
     }
   }
 
   /**
-   * Save current state to localStorage
+   * Save current state to storage
    */
   private saveState(): void {
     try {
-      localStorage.setItem('arc-shopping-list-state', JSON.stringify(this.state));
+      this.storage.setItem(this.getStorageKey(this.profiles.activeProfileId), JSON.stringify(this.state));
     } catch (error) {
       console.warn('Could not save state:', error);
     }
@@ -88,6 +678,9 @@ class StateManager {
     const keys = path.split('.');
     let current: any = this.state;
 
+    this.beginTransaction('Edit');
+    this.trackChange(keys[0]);
+
     // Navigate to the parent object
     for (let i = 0; i < keys.length - 1; i++) {
       const key = keys[i];
@@ -101,8 +694,136 @@ class StateManager {
     const finalKey = keys[keys.length - 1];
     current[finalKey] = value;
 
-    this.saveState();
+    // Written once when the outermost transaction closes
+    this.savePending = true;
     this.notifyListeners(path, value);
+    this.endTransaction();
+  }
+
+  /**
+   * Group state changes into one undoable action
+   * Nested transactions join the outermost one
+   * @param label - Description of the action
+   * @param callback - Function making the changes
+   */
+  runTransaction<T>(label: string, callback: () => T): T {
+    this.beginTransaction(label);
+    try {
+      return callback();
+    } finally {
+      this.endTransaction();
+    }
+  }
+
+  /**
+   * Open a transaction, or join the one already open
+   * @param label - Description of the action
+   */
+  private beginTransaction(label: string): void {
+    if (this.transactionDepth++ === 0) {
+      this.activeTransaction = { label, before: {}, after: {} };
+    }
+  }
+
+  /**
+   * Close a transaction, save the state once and record it in the undo history if it changed anything
+   */
+  private endTransaction(): void {
+    if (--this.transactionDepth > 0) return;
+
+    if (this.savePending) {
+      this.savePending = false;
+      this.saveState();
+    }
+    if (!this.activeTransaction) return;
+
+    const entry = this.activeTransaction;
+    this.activeTransaction = null;
+
+    for (const key of Object.keys(entry.before)) {
+      entry.after[key] = cloneValue(this.state[key]);
+      if (JSON.stringify(entry.after[key]) === JSON.stringify(entry.before[key])) {
+        delete entry.before[key];
+        delete entry.after[key];
+      }
+    }
+    if (Object.keys(entry.before).length === 0) return;
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notifyListeners('history', this.getHistoryStatus());
+  }
+
+  /**
+   * Remember the value of a top-level key before the open transaction first changes it
+   * @param key - Top-level state key
+   */
+  private trackChange(key: string): void {
+    const entry = this.activeTransaction;
+    if (!entry || UNTRACKED_STATE_KEYS.includes(key) || key in entry.before) return;
+
+    entry.before[key] = cloneValue(this.state[key]);
+  }
+
+  /**
+   * Undo the last recorded action
+   * @returns Label of the undone action, or null if there is nothing to undo
+   */
+  undo(): string | null {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.applyHistoryValues(entry.before);
+    this.redoStack.push(entry);
+    this.notifyListeners('history', this.getHistoryStatus());
+    return entry.label;
+  }
+
+  /**
+   * Redo the last undone action
+   * @returns Label of the redone action, or null if there is nothing to redo
+   */
+  redo(): string | null {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.applyHistoryValues(entry.after);
+    this.undoStack.push(entry);
+    this.notifyListeners('history', this.getHistoryStatus());
+    return entry.label;
+  }
+
+  /**
+   * Restore recorded top-level values
+   * @param values - Values keyed by top-level state key (undefined removes the key)
+   */
+  private applyHistoryValues(values: StateObject): void {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete this.state[key];
+      } else {
+        this.state[key] = cloneValue(value);
+      }
+      this.notifyListeners(key, this.state[key]);
+    }
+    this.saveState();
+  }
+
+  /**
+   * Get whether undo and redo are available, with the labels of the affected actions
+   */
+  getHistoryStatus(): HistoryStatus {
+    const undoEntry = this.undoStack[this.undoStack.length - 1];
+    const redoEntry = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: !!undoEntry,
+      canRedo: !!redoEntry,
+      undoLabel: undoEntry ? undoEntry.label : null,
+      redoLabel: redoEntry ? redoEntry.label : null
+    };
   }
 
   /**
@@ -114,13 +835,36 @@ class StateManager {
     this.set(path, !currentValue);
   }
 
+  /**
+   * Get collected count of a requirement row
+   * @param projectName - Project name
+   * @param itemId - Item ID
+   * @param quantity - Required quantity
+   */
+  getItemCount(projectName: string, itemId: string, quantity: number): number {
+    return toItemCount(this.get(`${projectName}.${itemId}`, 0), quantity);
+  }
+
+  /**
+   * Set collected count of a requirement row
+   * @param projectName - Project name
+   * @param itemId - Item ID
+   * @param count - Collected count (clamped to 0..quantity)
+   * @param quantity - Required quantity
+   */
+  setItemCount(projectName: string, itemId: string, count: number, quantity: number): void {
+    const clamped = Math.max(0, Math.min(Math.floor(Number(count) || 0), quantity));
+    this.runTransaction('Change collected count', () => this.set(`${projectName}.${itemId}`, clamped));
+  }
+
   /**
    * Check if item is completed
    * @param projectName - Project name
    * @param itemId - Item ID
+   * @param quantity - Required quantity
    */
-  isItemCompleted(projectName: string, itemId: string): boolean {
-    return this.get(`${projectName}.${itemId}`, false);
+  isItemCompleted(projectName: string, itemId: string, quantity: number): boolean {
+    return this.getItemCount(projectName, itemId, quantity) >= quantity;
   }
 
   /**
@@ -128,18 +872,330 @@ class StateManager {
    * @param projectName - Project name
    * @param itemId - Item ID
    * @param completed - Completion state
+   * @param quantity - Required quantity
    */
-  setItemCompleted(projectName: string, itemId: string, completed: boolean): void {
-    this.set(`${projectName}.${itemId}`, completed);
+  setItemCompleted(projectName: string, itemId: string, completed: boolean, quantity: number): void {
+    this.setItemCount(projectName, itemId, completed ? quantity : 0, quantity);
   }
 
   /**
    * Toggle item completion state
    * @param projectName - Project name
    * @param itemId - Item ID
+   * @param quantity - Required quantity
+   */
+  toggleItem(projectName: string, itemId: string, quantity: number): void {
+    this.runTransaction('Toggle item', () => {
+      this.setItemCompleted(projectName, itemId, !this.isItemCompleted(projectName, itemId, quantity), quantity);
+    });
+  }
+
+  /**
+   * Get how many of an item are owned in the stash
+   * @param itemKey - Item key
+   */
+  getStashCount(itemKey: string): number {
+    return toStashCount(this.get(`stash.${itemKey}`, 0));
+  }
+
+  /**
+   * Set how many of an item are owned in the stash
+   * @param itemKey - Item key
+   * @param count - Owned count (negative values are stored as 0)
+   */
+  setStashCount(itemKey: string, count: number): void {
+    this.runTransaction('Change stash count', () => this.set(`stash.${itemKey}`, Math.max(0, Math.floor(Number(count) || 0))));
+  }
+
+  /**
+   * Get a copy of the saved progress of a project
+   * @param projectName - Project name
+   */
+  getProjectProgress(projectName: string): StateObject {
+    const progress = this.get(projectName, {});
+    return progress && typeof progress === 'object' ? { ...progress } : {};
+  }
+
+  /**
+   * Replace the saved progress of a project in one write
+   * @param projectName - Project name
+   * @param progress - Collected counts keyed by requirement row ID
+   */
+  setProjectProgress(projectName: string, progress: StateObject): void {
+    this.runTransaction('Replace project progress', () => this.set(projectName, { ...progress }));
+  }
+
+  /**
+   * Get a copy of the stash inventory
+   */
+  getStashCounts(): StateObject {
+    return { ...this.get('stash', {}) };
+  }
+
+  /**
+   * Replace the stash inventory in one write
+   * @param stash - Owned counts keyed by item key
+   */
+  setStashCounts(stash: StateObject): void {
+    this.runTransaction('Replace stash', () => this.set('stash', { ...stash }));
+  }
+
+  /**
+   * Get the saved allocation priority order
+   */
+  getAllocationPriorities(): Array<{ projectName: string, groups: string[] }> {
+    const priorities = this.get('allocation.priorities', []);
+    return Array.isArray(priorities) ? priorities : [];
+  }
+
+  /**
+   * Save the allocation priority order
+   * @param priorities - Projects in priority order, each with its groups in priority order
+   */
+  setAllocationPriorities(priorities: Array<{ projectName: string, groups: string[] }>): void {
+    this.runTransaction('Reorder priorities', () => this.set('allocation.priorities', priorities));
+  }
+
+  /**
+   * Get the groups of a project that have been marked finished, such as handed-in quests
+   * @param projectName - Project name
+   */
+  getFinishedGroups(projectName: string): string[] {
+    const finished = this.get('finishedGroups', {})[projectName];
+    return Array.isArray(finished) ? [...finished] : [];
+  }
+
+  /**
+   * Mark a group of a project finished or not finished
+   * @param projectName - Project name
+   * @param groupName - Group name
+   * @param finished - Finished state
+   */
+  setGroupFinished(projectName: string, groupName: string, finished: boolean): void {
+    const groups = this.getFinishedGroups(projectName).filter(name => name !== groupName);
+    if (finished) groups.push(groupName);
+
+    this.runTransaction(`${finished ? 'Finish' : 'Reopen'} ${groupName}`, () => {
+      this.set('finishedGroups', { ...this.get('finishedGroups', {}), [projectName]: groups });
+    });
+  }
+
+  /**
+   * Get the level a station of a project has been built to (0 when not built)
+   * @param projectName - Project name
+   * @param stationName - Station name
+   */
+  getStationLevel(projectName: string, stationName: string): number {
+    const level = Number((this.get('stationLevels', {})[projectName] || {})[stationName]);
+    return Number.isInteger(level) && level > 0 ? level : 0;
+  }
+
+  /**
+   * Set the level a station of a project has been built to
+   * @param projectName - Project name
+   * @param stationName - Station name
+   * @param level - Built level (0 when not built)
+   */
+  setStationLevel(projectName: string, stationName: string, level: number): void {
+    const levels = this.get('stationLevels', {});
+    const projectLevels = { ...(levels[projectName] || {}), [stationName]: Math.max(0, Math.floor(Number(level) || 0)) };
+
+    this.runTransaction(`Set ${stationName} to level ${projectLevels[stationName]}`, () => {
+      this.set('stationLevels', { ...levels, [projectName]: projectLevels });
+    });
+  }
+
+  /**
+   * Get the level a tiered project has reached (0 when none has been recorded)
+   * @param projectName - Project name
+   */
+  getTierLevel(projectName: string): number {
+    const level = Number(this.get('tierLevels', {})[projectName]);
+    return Number.isInteger(level) && level > 0 ? level : 0;
+  }
+
+  /**
+   * Set the level a tiered project has reached
+   * @param projectName - Project name
+   * @param level - Reached level
+   */
+  setTierLevel(projectName: string, level: number): void {
+    const tierLevel = Math.max(0, Math.floor(Number(level) || 0));
+
+    this.runTransaction(`Set ${projectName} to level ${tierLevel}`, () => {
+      this.set('tierLevels', { ...this.get('tierLevels', {}), [projectName]: tierLevel });
+    });
+  }
+
+  /**
+   * Get the delivery log of a project's phases, oldest first
+   * @param projectName - Project name
+   */
+  getPhaseDeliveries(projectName: string): PhaseDelivery[] {
+    const deliveries = this.get('phaseDeliveries', {})[projectName];
+    return Array.isArray(deliveries) ? deliveries.map((delivery: PhaseDelivery) => ({ ...delivery, items: [...(delivery.items || [])] })) : [];
+  }
+
+  /**
+   * Record that a phase of a project was delivered
+   * @param projectName - Project name
+   * @param delivery - Delivery
+   */
+  addPhaseDelivery(projectName: string, delivery: PhaseDelivery): void {
+    const deliveries = [...this.getPhaseDeliveries(projectName).filter(entry => entry.phase !== delivery.phase), delivery];
+
+    this.runTransaction(`Deliver ${delivery.phase}`, () => {
+      this.set('phaseDeliveries', { ...this.get('phaseDeliveries', {}), [projectName]: deliveries });
+    });
+  }
+
+  /**
+   * Remove a phase's delivery from a project's log, unlocking the phase again
+   * @param projectName - Project name
+   * @param phaseName - Phase name
+   */
+  removePhaseDelivery(projectName: string, phaseName: string): void {
+    const deliveries = this.getPhaseDeliveries(projectName).filter(entry => entry.phase !== phaseName);
+
+    this.runTransaction(`Reopen ${phaseName}`, () => {
+      this.set('phaseDeliveries', { ...this.get('phaseDeliveries', {}), [projectName]: deliveries });
+    });
+  }
+
+  /**
+   * Get a project's entry under a model state key, such as its finished quests
+   * @param key - Model state key (one of MODEL_STATE_KEYS)
+   * @param projectName - Project name
+   * @returns Copy of the entry, or undefined if the project has none
    */
-  toggleItem(projectName: string, itemId: string): void {
-    this.toggle(`${projectName}.${itemId}`);
+  getModelState(key: string, projectName: string): any {
+    return cloneValue(this.get(key, {})[projectName]);
+  }
+
+  /**
+   * Replace a project's entry under a model state key
+   * @param key - Model state key (one of MODEL_STATE_KEYS)
+   * @param projectName - Project name
+   * @param value - New entry (undefined removes it)
+   */
+  setModelState(key: string, projectName: string, value: any): void {
+    const entries = { ...this.get(key, {}) };
+    if (value === undefined) {
+      delete entries[projectName];
+    } else {
+      entries[projectName] = cloneValue(value);
+    }
+    this.runTransaction('Replace model state', () => this.set(key, entries));
+  }
+
+  /**
+   * Archive the current cycle and reset the selected projects for a new one
+   * @param label - Cycle label
+   * @param projectNames - Projects to archive
+   * @param resetProjects - Projects whose progress is cleared after archiving
+   * @param resetStash - Whether the stash inventory is cleared as well
+   * @returns The archived cycle
+   */
+  startNewCycle(label: string, projectNames: string[], resetProjects: string[], resetStash: boolean = false): ArchivedCycle {
+    const copy = (value: any): StateObject => JSON.parse(JSON.stringify(value || {}));
+    const cycle: ArchivedCycle = {
+      id: `cycle-${Date.now().toString(36)}`,
+      label: label.trim(),
+      archivedAt: new Date().toISOString(),
+      resetProjects: [...resetProjects],
+      progress: {},
+      orphaned: {},
+      stash: copy(this.state.stash),
+      models: {}
+    };
+
+    projectNames.forEach(projectName => {
+      cycle.progress[projectName] = copy(this.state[projectName]);
+      if (this.state.orphaned && this.state.orphaned[projectName]) {
+        cycle.orphaned[projectName] = copy(this.state.orphaned[projectName]);
+      }
+      MODEL_STATE_KEYS.forEach(key => {
+        const value = this.getModelState(key, projectName);
+        if (value !== undefined) {
+          cycle.models![key] = { ...(cycle.models![key] || {}), [projectName]: value };
+        }
+      });
+    });
+
+    this.runTransaction('Start new cycle', () => {
+      [...resetProjects, 'orphaned', 'stash', 'finishedGroups', 'stationLevels', 'phaseDeliveries', 'tierLevels'].forEach(key => this.trackChange(key));
+
+      resetProjects.forEach(projectName => {
+        delete this.state[projectName];
+        if (this.state.orphaned) {
+          delete this.state.orphaned[projectName];
+        }
+        if (this.state.finishedGroups) {
+          delete this.state.finishedGroups[projectName];
+        }
+        if (this.state.stationLevels) {
+          delete this.state.stationLevels[projectName];
+        }
+        if (this.state.phaseDeliveries) {
+          delete this.state.phaseDeliveries[projectName];
+        }
+        if (this.state.tierLevels) {
+          delete this.state.tierLevels[projectName];
+        }
+      });
+      if (resetStash) {
+        this.state.stash = {};
+      }
+
+      this.set('cycles', [...this.getCycles(), cycle]);
+    });
+    return cycle;
+  }
+
+  /**
+   * Get archived cycles, oldest first
+   */
+  getCycles(): ArchivedCycle[] {
+    const cycles = this.get('cycles', []);
+    return Array.isArray(cycles) ? cycles : [];
+  }
+
+  /**
+   * Get a read-only view of an archived cycle's progress
+   * The reader has the same counting methods as the state manager, so it can be passed to DataLoader helpers
+   * @param cycleId - Cycle ID
+   */
+  getCycleReader(cycleId: string): ProgressReader | null {
+    const cycle = this.getCycles().find(candidate => candidate.id === cycleId);
+    if (!cycle) return null;
+
+    return this.createProgressReader({ ...cycle.progress, ...(cycle.models || {}), stash: cycle.stash });
+  }
+
+  /**
+   * Create a read-only view of a saved state object
+   * The reader has the same counting methods as the state manager, so it can be passed to DataLoader helpers
+   * @param state - State object (project progress keyed by project name, plus 'stash' and model state keys)
+   */
+  createProgressReader(state: StateObject): ProgressReader {
+    return {
+      getItemCount: (projectName, itemId, quantity) => toItemCount((state[projectName] || {})[itemId], quantity),
+      getStashCount: (itemKey) => toStashCount((state.stash || {})[itemKey]),
+        getModelState: (key, projectName) => cloneValue((state[key] || {})[projectName])
+    };
+  }
+
+  /**
+   * Delete an archived cycle
+   * @param cycleId - Cycle ID
+   * @returns False if the cycle does not exist
+   */
+  deleteCycle(cycleId: string): boolean {
+    const cycles = this.getCycles();
+    if (!cycles.some(cycle => cycle.id === cycleId)) return false;
+
+    this.runTransaction('Delete archived cycle', () => this.set('cycles', cycles.filter(cycle => cycle.id !== cycleId)));
+    return true;
   }
 
   /**
@@ -180,7 +1236,22 @@ class StateManager {
    */
   setTheme(theme: string): void {
     this.set('theme', theme);
-    localStorage.setItem('arc-shopping-list-theme', theme);
+    this.storage.setItem('arc-shopping-list-theme', theme);
+  }
+
+  /**
+   * Check whether mission-only items are shown in the project tabs and the combined view
+   */
+  getShowMissionItems(): boolean {
+    return this.get('showMissionItems', false);
+  }
+
+  /**
+   * Show or hide mission-only items
+   * @param show - Show mission items
+   */
+  setShowMissionItems(show: boolean): void {
+    this.set('showMissionItems', show);
   }
 
   /**
@@ -231,13 +1302,16 @@ class StateManager {
   }
 
   /**
-   * Clear all state
+   * Clear all state of the active profile
    */
   clearState(): void {
-    this.state = {};
-    this.initializeStateStructure();
-    localStorage.removeItem('arc-shopping-list-state');
-    localStorage.removeItem('arc-shopping-list-theme');
+    this.runTransaction('Reset progress', () => {
+      Object.keys(this.state).forEach(key => this.trackChange(key));
+      this.state = { schemaVersion: STATE_SCHEMA_VERSION };
+      this.initializeStateStructure();
+    });
+    this.storage.removeItem(this.getStorageKey(this.profiles.activeProfileId));
+    this.storage.removeItem('arc-shopping-list-theme');
   }
 }
 
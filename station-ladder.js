@@ -0,0 +1,95 @@
+/**
+ * Station Ladder Module
+ * Models a stations project's groups as upgrade levels of each station, using the built level stored in state
+ *
+ * Stations come from the project's model file: a list of {name, levels} where levels lists the
+ * requirement group of each level in order, so level 3 follows level 2. Each level is:
+ *   built  - at or below the station's level, with every item collected
+ *   open   - at or below the station's level, but with items still unchecked
+ *   next   - the level after the station's level
+ *   future - any later level
+ */
+
+class StationLadder {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Get a project's stations with the status of each level
+     * @param {string} projectName - Project name
+     * @returns {Array<{name: string, level: number, maxLevel: number, levels: Array<{level: number, requirement: string, status: string, items: Array}>}>} Stations
+     */
+    getStations(projectName) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        const entries = [];
+        this.dataLoader.getProjectModel(projectName).forEach(entry => {
+            if (!entry || typeof entry.name !== 'string' || !Array.isArray(entry.levels)) return;
+            if (entries.some(existing => existing.name === entry.name)) return;
+            entries.push(entry);
+        });
+
+        return entries.map(entry => {
+            const maxLevel = entry.levels.length;
+            const level = Math.min(this.stateManager.getStationLevel(projectName, entry.name), maxLevel);
+
+            const levels = entry.levels.map((requirement, index) => {
+                const items = groups[requirement] || [];
+                let status;
+                if (index + 1 <= level) {
+                    const { collected, total } = this.dataLoader.getProgress(projectName, items, this.stateManager);
+                    status = collected >= total ? 'built' : 'open';
+                } else {
+                    status = index === level ? 'next' : 'future';
+                }
+                return { level: index + 1, requirement, status, items };
+            });
+
+            return { name: entry.name, level, maxLevel, levels };
+        });
+    }
+
+    /**
+     * Get requirement groups of a project that no station level refers to
+     * @param {string} projectName - Project name
+     * @returns {Object} Grouped items, as from DataLoader.groupItemsByRequirement
+     */
+    getUnassignedGroups(projectName) {
+        const groups = this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+        const assigned = new Set(this.dataLoader.getProjectModel(projectName)
+            .flatMap(entry => (entry && Array.isArray(entry.levels) ? entry.levels : [])));
+
+        return Object.fromEntries(Object.entries(groups).filter(([groupName]) => !assigned.has(groupName)));
+    }
+
+    /**
+     * Build a station's next level as one undoable action: its items are checked off and the level is raised
+     * @param {string} projectName - Project name
+     * @param {string} stationName - Station name
+     * @returns {number|null} New level, or null if the station is already at its highest level
+     */
+    upgrade(projectName, stationName) {
+        const station = this.getStations(projectName).find(candidate => candidate.name === stationName);
+        if (!station || station.level >= station.maxLevel) return null;
+
+        const next = station.levels[station.level];
+        this.stateManager.runTransaction(`Upgrade ${stationName} to level ${next.level}`, () => {
+            next.items.forEach(item => {
+                this.stateManager.setItemCompleted(projectName, item.id, true, this.dataLoader.getItemQuantity(item));
+            });
+            this.stateManager.setStationLevel(projectName, stationName, next.level);
+        });
+        return next.level;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StationLadder;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.StationLadder = StationLadder;
+}
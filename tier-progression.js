@@ -0,0 +1,124 @@
+/**
+ * Tier Progression Module
+ * Orders a tiers project's groups by the level number in their requirement, using the reached level stored in state
+ *
+ * Requirements such as "Level three" or "level 3" are read as numeric tiers, so differently written
+ * requirements for the same level share one tier. Each tier is:
+ *   reached - at or below the project's level
+ *   next    - the first tier above the project's level
+ *   future  - any later tier
+ * Requirements that are not a level are kept apart as unparsed groups.
+ */
+
+class TierProgression {
+    constructor(stateManager, dataLoader) {
+        this.stateManager = stateManager;
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Get a project's tiers in level order with their status
+     * @param {string} projectName - Project name
+     * @returns {Array<{level: number, label: string, status: string, items: Array}>} Tiers that have items
+     */
+    getTiers(projectName) {
+        const current = this.stateManager.getTierLevel(projectName);
+        const tiers = new Map();
+
+        Object.entries(this.getGroups(projectName)).forEach(([requirement, items]) => {
+            const level = this.dataLoader.parseTierLevel(requirement);
+            if (level === null) return;
+
+            if (!tiers.has(level)) tiers.set(level, []);
+            tiers.get(level).push(...items);
+        });
+
+        let nextFound = false;
+        return [...tiers.keys()].sort((a, b) => a - b).map(level => {
+            let status = 'reached';
+            if (level > current) {
+                status = nextFound ? 'future' : 'next';
+                nextFound = true;
+            }
+            return { level, label: `Level ${level}`, status, items: tiers.get(level) };
+        });
+    }
+
+    /**
+     * Get requirement groups of a project that are not a level
+     * @param {string} projectName - Project name
+     * @returns {Object} Grouped items, as from DataLoader.groupItemsByRequirement
+     */
+    getUnparsedGroups(projectName) {
+        return Object.fromEntries(Object.entries(this.getGroups(projectName))
+            .filter(([requirement]) => this.dataLoader.parseTierLevel(requirement) === null));
+    }
+
+    /**
+     * Add up what is still needed to go from the reached level to a target level
+     * Items needed by several tiers are combined into one entry
+     * @param {string} projectName - Project name
+     * @param {number} targetLevel - Level to reach
+     * @param {boolean} includeMissionItems - Whether mission-only items are counted
+     * @returns {Array<{name: string, needed: number, remaining: number, levels: Array<number>}>} Items by name,
+     *     with the total quantity of the tiers in range and how much of it is not yet collected
+     */
+    getCumulativeNeeds(projectName, targetLevel, includeMissionItems = false) {
+        const current = this.stateManager.getTierLevel(projectName);
+        const needs = new Map();
+
+        this.getTiers(projectName)
+            .filter(tier => tier.level > current && tier.level <= targetLevel)
+            .forEach(tier => {
+                this.dataLoader.getShownItems(tier.items, includeMissionItems).forEach(item => {
+                    const quantity = this.dataLoader.getItemQuantity(item);
+                    const collected = this.stateManager.getItemCount(projectName, item.id, quantity);
+                    const key = this.dataLoader.getItemKey(item.name);
+
+                    if (!needs.has(key)) needs.set(key, { name: item.name, needed: 0, remaining: 0, levels: [] });
+                    const need = needs.get(key);
+                    need.needed += quantity;
+                    need.remaining += Math.max(0, quantity - collected);
+                    if (!need.levels.includes(tier.level)) need.levels.push(tier.level);
+                });
+            });
+
+        return [...needs.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Reach the next tier as one undoable action: its items are checked off and the level is raised
+     * @param {string} projectName - Project name
+     * @returns {number|null} New level, or null if every tier is already reached
+     */
+    levelUp(projectName) {
+        const next = this.getTiers(projectName).find(tier => tier.status === 'next');
+        if (!next) return null;
+
+        this.stateManager.runTransaction(`Reach level ${next.level} of ${projectName}`, () => {
+            next.items.forEach(item => {
+                this.stateManager.setItemCompleted(projectName, item.id, true, this.dataLoader.getItemQuantity(item));
+            });
+            this.stateManager.setTierLevel(projectName, next.level);
+        });
+        return next.level;
+    }
+
+    /**
+     * @param {string} projectName - Project name
+     * @returns {Object} Requirement groups of the project
+     */
+    getGroups(projectName) {
+        return this.dataLoader.groupItemsByRequirement(this.dataLoader.getProjects()[projectName] || []);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TierProgression;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.TierProgression = TierProgression;
+}
@@ -5,8 +5,24 @@ declare global {
     appConfig: any;
     StateManager: any;
     DataLoader: any;
+    DataValidator: any;
+    AllocationEngine: any;
+    QuestChain: any;
+    StationLadder: any;
+    PhaseSequence: any;
+    TierProgression: any;
+    RecipeCalculator: any;
+    RecyclePlanner: any;
+    ItemAdvisor: any;
     UIRenderer: any;
+    DialogManager: any;
+    BackupManager: any;
+    ModelStateExchange: any;
+    ProgressExchange: any;
+    SpreadsheetExporter: any;
+    ProgressCode: any;
     app: any;
+    electronAPI?: any;
   }
 }
 
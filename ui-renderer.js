@@ -4,10 +4,27 @@
  */
 
 class UIRenderer {
-    constructor(stateManager, dataLoader) {
+    constructor(stateManager, dataLoader, allocationEngine, questChain, stationLadder, phaseSequence, tierProgression, recipeCalculator, recyclePlanner, itemAdvisor) {
         this.stateManager = stateManager;
         this.dataLoader = dataLoader;
+        this.allocationEngine = allocationEngine;
+        this.questChain = questChain;
+        this.stationLadder = stationLadder;
+        this.phaseSequence = phaseSequence;
+        this.tierProgression = tierProgression;
+        this.recipeCalculator = recipeCalculator;
+        this.recyclePlanner = recyclePlanner;
+        this.itemAdvisor = itemAdvisor;
+        // Stations whose later levels the user has unfolded, kept across re-renders
+        this.expandedStations = new Set();
+        // Target level of each tiers project's cumulative totals
+        this.tierTargets = new Map();
+        // Item and count shown in the crafting calculator
+        this.craftingTarget = { name: '', count: 1 };
+        // Material, mode and ranking shown in the recycling planner
+        this.recyclingPlan = { material: 'Metal Parts', mode: 'recycle', rankBy: 'slot' };
         this.eventListeners = new Map();
+        this.toastTimer = null;
     }
 
     /**
@@ -93,6 +110,476 @@ class UIRenderer {
         }
     }
 
+    /**
+     * Show a short-lived status message
+     * @param {string} message - Message text
+     */
+    showToast(message) {
+        let toast = document.getElementById('toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'toast';
+            toast.className = 'toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+
+        toast.textContent = message;
+        toast.classList.add('visible');
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.remove('visible'), 2500);
+    }
+
+    /**
+     * Show the outcome of the saved state migration
+     * @param {Object|null} report - Migration report from StateManager.getMigrationReport
+     * @param {Function} discardCallback - Callback to discard orphaned entries
+     */
+    renderStateNotice(report, discardCallback) {
+        const container = document.getElementById('state-notice');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!report || (report.orphaned.length === 0 && report.remapped.length === 0)) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'state-notice';
+
+        const remappedHtml = report.remapped.length > 0
+            ? `<p>Moved saved progress for ${report.remapped.length} renamed ${report.remapped.length === 1 ? 'entry' : 'entries'} to the current item names.</p>`
+            : '';
+        const orphanedHtml = report.orphaned.length > 0 ? `
+            <p><strong>${report.orphaned.length} saved progress ${report.orphaned.length === 1 ? 'entry no longer matches' : 'entries no longer match'} any item.</strong> They are kept aside and restored automatically if the item data matches them again.</p>
+            <details>
+                <summary>Show entries</summary>
+                <ul class="state-notice-list">
+                    ${report.orphaned.map(entry => `<li>${this.escapeHtml(entry.projectName)}: ${this.escapeHtml(entry.itemId)} (${this.escapeHtml(entry.value)})</li>`).join('')}
+                </ul>
+            </details>
+        ` : '';
+
+        notice.innerHTML = `
+            ${remappedHtml}
+            ${orphanedHtml}
+            <div class="state-notice-actions">
+                <button class="notice-button" data-action="dismiss">Dismiss</button>
+                ${report.orphaned.length > 0 ? '<button class="notice-button danger" data-action="discard">Discard orphaned entries</button>' : ''}
+            </div>
+        `;
+
+        this.addEventListener(notice.querySelector('[data-action="dismiss"]'), 'click', () => {
+            container.innerHTML = '';
+        });
+        this.addEventListener(notice.querySelector('[data-action="discard"]'), 'click', () => {
+            discardCallback();
+        });
+
+        container.appendChild(notice);
+    }
+
+    /**
+     * Render the list of problems found in the item data
+     * The list starts collapsed; it is highlighted when it contains errors
+     * @param {Array<{severity: string, file: string, row: number|null, message: string}>} problems - Data problems
+     */
+    renderDataProblems(problems) {
+        const container = document.getElementById('data-problems');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (problems.length === 0) return;
+
+        const errors = problems.filter(problem => problem.severity === 'error').length;
+        const warnings = problems.length - errors;
+        const counts = [
+            errors > 0 ? `${errors} ${errors === 1 ? 'error' : 'errors'}` : '',
+            warnings > 0 ? `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}` : ''
+        ].filter(Boolean).join(', ');
+
+        const panel = document.createElement('details');
+        panel.className = `data-problems ${errors > 0 ? 'has-errors' : ''}`;
+        panel.innerHTML = `
+            <summary>Data problems (${counts})</summary>
+            <div class="data-problems-table-container">
+                <table class="all-items-table data-problems-table">
+                    <thead>
+                        <tr><th>Severity</th><th>File</th><th>Row</th><th>Problem</th></tr>
+                    </thead>
+                    <tbody>
+                        ${problems.map(problem => `
+                            <tr class="data-problem ${problem.severity}">
+                                <td>${problem.severity === 'error' ? 'Error' : 'Warning'}</td>
+                                <td>${this.escapeHtml(problem.file)}</td>
+                                <td>${problem.row === null ? '-' : problem.row}</td>
+                                <td>${this.escapeHtml(problem.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.appendChild(panel);
+    }
+
+    /**
+     * Render the profile switcher in the header
+     * @param {Array<{id: string, name: string}>} profiles - Profiles in display order
+     * @param {string} activeProfileId - Active profile ID
+     * @param {Function} profileActionCallback - Called with (action, profileId); action is 'switch', 'create', 'rename', 'duplicate' or 'delete'
+     */
+    renderProfileSwitcher(profiles, activeProfileId, profileActionCallback) {
+        const container = document.getElementById('profile-switcher');
+        if (!container) return;
+
+        container.innerHTML = `
+            <label class="profile-label" for="profile-select">Profile</label>
+            <select id="profile-select" class="profile-select"></select>
+            <button class="profile-button" data-action="create" title="New profile">＋</button>
+            <button class="profile-button" data-action="rename" title="Rename profile">✎</button>
+            <button class="profile-button" data-action="duplicate" title="Duplicate profile">⧉</button>
+            <button class="profile-button" data-action="delete" title="Delete profile" ${profiles.length > 1 ? '' : 'disabled'}>🗑</button>
+        `;
+
+        // Profile names are user input, so they are set as text rather than HTML
+        const select = container.querySelector('#profile-select');
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeProfileId;
+            select.appendChild(option);
+        });
+
+        this.addEventListener(select, 'change', () => {
+            profileActionCallback('switch', select.value);
+        });
+
+        container.querySelectorAll('.profile-button').forEach(button => {
+            this.addEventListener(button, 'click', () => {
+                profileActionCallback(button.dataset.action, activeProfileId);
+            }, `profile-${button.dataset.action}-click`);
+        });
+    }
+
+    /**
+     * Render the archived cycle history, comparing a selected cycle with the current one
+     * @param {Array<Object>} cycles - Archived cycles, oldest first
+     * @param {string|null} selectedCycleId - Cycle to show
+     * @param {Function} historyActionCallback - Called with (action, cycleId); action is 'start', 'select' or 'delete'
+     */
+    renderHistory(cycles, selectedCycleId, historyActionCallback) {
+        const container = document.getElementById('history-container');
+        if (!container) return;
+
+        const selectedCycle = cycles.find(cycle => cycle.id === selectedCycleId) || null;
+        const cycleOptions = [...cycles].reverse().map(cycle => `
+            <option value="${cycle.id}" ${cycle === selectedCycle ? 'selected' : ''}>${this.escapeHtml(cycle.label)} (${new Date(cycle.archivedAt).toLocaleDateString()})</option>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="history-toolbar">
+                <button class="notice-button" data-action="start">Start New Cycle</button>
+                ${cycles.length > 0 ? `
+                    <select class="history-select" aria-label="Archived cycle">
+                        <option value="">Select an archived cycle…</option>
+                        ${cycleOptions}
+                    </select>
+                    <button class="notice-button danger" data-action="delete" ${selectedCycle ? '' : 'disabled'}>Delete Archive</button>
+                ` : ''}
+            </div>
+            ${cycles.length === 0 ? `
+                <div class="empty-state">
+                    <h3>No archived cycles</h3>
+                    <p>Start a new cycle when an expedition completes or a season wipes progress. The current progress is archived here and the selected projects are reset.</p>
+                </div>
+            ` : ''}
+            ${selectedCycle ? this.createCycleComparisonHtml(selectedCycle) : ''}
+        `;
+
+        this.addEventListener(container.querySelector('[data-action="start"]'), 'click', () => {
+            historyActionCallback('start', null);
+        }, 'history-start-click');
+        this.addEventListener(container.querySelector('[data-action="delete"]'), 'click', () => {
+            historyActionCallback('delete', selectedCycle ? selectedCycle.id : null);
+        }, 'history-delete-click');
+
+        const select = container.querySelector('.history-select');
+        this.addEventListener(select, 'change', () => {
+            historyActionCallback('select', select.value || null);
+        }, 'history-select-change');
+    }
+
+    /**
+     * Create the body of the restore dialog: a backup picker with a preview of the selected backup
+     * @param {Array<{id: string, createdAt: string, reason: string}>} backups - Backups, newest first
+     * @param {Function} previewCallback - Async callback returning a backup summary for an ID (see BackupManager.summarizeBackup)
+     * @returns {HTMLElement} Dialog body; the selected backup is the value of its .backup-select
+     */
+    createBackupRestoreBody(backups, previewCallback) {
+        const reasons = {
+            'launch': 'On launch',
+            'before-reset': 'Before reset',
+            'before-restore': 'Before restore',
+            'before-import': 'Before import',
+            'before-apply-code': 'Before applying a progress code',
+            'before-merge': 'Before merging progress files',
+            'before-delete-profile': 'Before deleting a profile'
+        };
+
+        const body = document.createElement('div');
+        body.innerHTML = `
+            <p>Restoring replaces the progress of every profile with the backup. The current progress is backed up first.</p>
+            <select class="search-input backup-select" aria-label="Backup">
+                ${backups.map(backup => `
+                    <option value="${backup.id}">${new Date(backup.createdAt).toLocaleString()} · ${reasons[backup.reason] || backup.reason}</option>
+                `).join('')}
+            </select>
+            <div class="backup-preview"></div>
+        `;
+
+        const select = body.querySelector('.backup-select');
+        const preview = body.querySelector('.backup-preview');
+
+        const showPreview = async () => {
+            const id = select.value;
+            preview.innerHTML = '<p>Loading…</p>';
+
+            const summary = await previewCallback(id);
+            // Ignore previews that finish after another backup was selected
+            if (select.value !== id) return;
+
+            if (!summary) {
+                preview.innerHTML = '<p>This backup could not be read.</p>';
+                return;
+            }
+
+            preview.innerHTML = summary.map(profile => `
+                <div class="backup-profile">
+                    <h4>${this.escapeHtml(profile.name)}</h4>
+                    <table class="all-items-table backup-table">
+                        <tbody>
+                            ${profile.projects.map(({ projectName, collected, total }) => `
+                                <tr>
+                                    <td>${this.escapeHtml(projectName)}</td>
+                                    <td>${collected}/${total} (${total > 0 ? Math.round((collected / total) * 100) : 0}%)</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `).join('');
+        };
+
+        select.addEventListener('change', showPreview);
+        showPreview();
+        return body;
+    }
+
+    /**
+     * Create the body of the progress code dialog
+     * @param {string} code - Progress code for the active profile
+     * @returns {HTMLElement} Dialog body
+     */
+    createShareCodeBody(code) {
+        const body = document.createElement('div');
+        body.innerHTML = `
+            <p>Copy this code and apply it on another computer or send it to a teammate. It contains collected counts only, not the stash or settings.</p>
+            <textarea class="search-input dialog-input progress-code" readonly rows="4" aria-label="Progress code"></textarea>
+        `;
+        body.querySelector('.progress-code').value = code;
+        return body;
+    }
+
+    /**
+     * Create the body of the apply-code dialog
+     * @returns {HTMLElement} Dialog body
+     */
+    createApplyCodeBody() {
+        const body = document.createElement('div');
+        body.innerHTML = `
+            <p>Paste a progress code. You will see what changes before anything is applied.</p>
+            <textarea class="search-input dialog-input progress-code" rows="4" aria-label="Progress code" placeholder="ARC1-..."></textarea>
+        `;
+        return body;
+    }
+
+    /**
+     * Create a list of the changes applying a progress code would make
+     * @param {{changes: Array<Object>, unmatched: number, locked: Array<string>, dataMismatch: boolean}} plan - Plan from ProgressCode.planApply
+     * @returns {string} HTML string
+     */
+    createProgressCodeDiffHtml(plan) {
+        const warnings = [];
+        if (plan.dataMismatch) {
+            warnings.push('This code was made with a different version of the item data. Rows that changed between versions may not match.');
+        }
+        if (plan.unmatched > 0) {
+            warnings.push(`${plan.unmatched} ${plan.unmatched === 1 ? 'entry does' : 'entries do'} not match any current item and will be skipped.`);
+        }
+        if (plan.locked.length > 0) {
+            warnings.push(`${plan.locked.length} ${plan.locked.length === 1 ? 'entry belongs' : 'entries belong'} to a delivered phase and will be kept as they are: ${this.escapeHtml(plan.locked.join(', '))}.`);
+        }
+
+        const rows = plan.changes.map(change => `
+            <tr>
+                <td>${this.escapeHtml(change.projectName)}</td>
+                <td>${this.escapeHtml(change.itemName)}</td>
+                <td>${this.escapeHtml(change.requirement)}</td>
+                <td class="code-diff-count">${this.escapeHtml(String(change.from))} → ${this.escapeHtml(String(change.to))}</td>
+            </tr>
+        `).join('');
+
+        return `
+            ${warnings.map(warning => `<p class="code-diff-warning">${warning}</p>`).join('')}
+            <p>${plan.changes.length === 0 ? 'This code matches your current progress.' : `${plan.changes.length} item${plan.changes.length === 1 ? '' : 's'} will change:`}</p>
+            ${plan.changes.length > 0 ? `
+                <div class="code-diff-container">
+                    <table class="all-items-table code-diff-table">
+                        <thead>
+                            <tr><th>Project</th><th>Item</th><th>Requirement</th><th>Change</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Create the conflict review for merging two progress files
+     * Each conflict gets a choice of side, and each project can switch all of its conflicts at once
+     * @param {Object} merge - Merge from ProgressExchange.mergeDocuments
+     * @param {string} firstLabel - Description of the first file
+     * @param {string} secondLabel - Description of the second file
+     * @returns {HTMLElement} Dialog body; checked radios hold the chosen side of each conflict
+     */
+    createMergeConflictBody(merge, firstLabel, secondLabel) {
+        const sections = {};
+        merge.conflicts.forEach((conflict, index) => {
+            const section = conflict.projectName || 'Stash';
+            (sections[section] = sections[section] || []).push({ conflict, index });
+        });
+
+        const body = document.createElement('div');
+        body.innerHTML = `
+            <p>${merge.merged} entries will be merged automatically.${merge.unmatched.length > 0 ? ` ${merge.unmatched.length} entries did not match any current item and will be skipped: ${this.escapeHtml(merge.unmatched.join(', '))}.` : ''}${merge.locked.length > 0 ? ` ${merge.locked.length} entries belong to a delivered phase and will be kept as they are: ${this.escapeHtml(merge.locked.join(', '))}.` : ''}
+            ${merge.conflicts.length} ${merge.conflicts.length === 1 ? 'entry differs' : 'entries differ'} between the files; choose which count to keep.</p>
+            <p>First: ${this.escapeHtml(firstLabel)}<br>Second: ${this.escapeHtml(secondLabel)}</p>
+            <div class="code-diff-container">
+                ${Object.entries(sections).map(([section, entries]) => `
+                    <div class="merge-section">
+                        <div class="merge-section-header">
+                            <h4>${this.escapeHtml(section)}</h4>
+                            <button class="dialog-button merge-side-all" data-side="first">All first</button>
+                            <button class="dialog-button merge-side-all" data-side="second">All second</button>
+                        </div>
+                        <table class="all-items-table merge-table">
+                            <thead>
+                                <tr><th>Item</th><th>Requirement</th><th>First</th><th>Second</th></tr>
+                            </thead>
+                            <tbody>
+                                ${entries.map(({ conflict, index }) => `
+                                    <tr>
+                                        <td>${this.escapeHtml(conflict.itemName)}</td>
+                                        <td>${this.escapeHtml(conflict.requirement)}</td>
+                                        <td><label><input type="radio" name="merge-conflict-${index}" data-index="${index}" value="first" checked> ${conflict.first}</label></td>
+                                        <td><label><input type="radio" name="merge-conflict-${index}" data-index="${index}" value="second"> ${conflict.second}</label></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        body.querySelectorAll('.merge-section').forEach(section => {
+            section.querySelectorAll('.merge-side-all').forEach(button => {
+                button.addEventListener('click', () => {
+                    section.querySelectorAll(`input[value="${button.dataset.side}"]`).forEach(radio => {
+                        radio.checked = true;
+                    });
+                });
+            });
+        });
+
+        return body;
+    }
+
+    /**
+     * Create a read-only comparison of an archived cycle with the current progress
+     * @param {Object} cycle - Archived cycle
+     * @returns {string} HTML string
+     */
+    createCycleComparisonHtml(cycle) {
+        const archived = this.stateManager.getCycleReader(cycle.id);
+        const projects = this.dataLoader.getProjects();
+
+        const formatProgress = ({ collected, total }) => {
+            const percentage = total > 0 ? Math.round((collected / total) * 100) : 0;
+            return `${collected}/${total} (${percentage}%)`;
+        };
+
+        const projectSections = Object.entries(projects).map(([projectName, items]) => {
+            const archivedProgress = this.dataLoader.getProgress(projectName, items, archived);
+            const currentProgress = this.dataLoader.getProgress(projectName, items, this.stateManager);
+
+            const rows = [];
+            for (const [groupName, groupItems] of Object.entries(this.dataLoader.groupItemsByRequirement(items))) {
+                groupItems.forEach(item => {
+                    const quantity = this.dataLoader.getItemQuantity(item);
+                    const archivedCount = archived.getItemCount(projectName, item.id, quantity);
+                    const currentCount = this.stateManager.getItemCount(projectName, item.id, quantity);
+                    if (archivedCount === 0 && currentCount === 0) return;
+
+                    const change = currentCount - archivedCount;
+                    rows.push(`
+                        <tr>
+                            <td>${this.escapeHtml(groupName)}</td>
+                            <td>${this.escapeHtml(item.name)}</td>
+                            <td>${archivedCount} / ${quantity}</td>
+                            <td>${currentCount} / ${quantity}</td>
+                            <td class="history-change ${change > 0 ? 'ahead' : change < 0 ? 'behind' : ''}">${change > 0 ? '+' : ''}${change}</td>
+                        </tr>
+                    `);
+                });
+            }
+
+            return `
+                <details class="history-project">
+                    <summary>
+                        <span class="history-project-name">${this.escapeHtml(projectName)}${cycle.resetProjects.includes(projectName) ? ' <span class="history-reset-badge">Reset</span>' : ''}</span>
+                        <span class="history-project-progress">Archived ${formatProgress(archivedProgress)} · Current ${formatProgress(currentProgress)}</span>
+                    </summary>
+                    ${rows.length > 0 ? `
+                        <table class="all-items-table history-table">
+                            <thead>
+                                <tr>
+                                    <th>Group</th>
+                                    <th>Item Name</th>
+                                    <th>Archived</th>
+                                    <th>Current</th>
+                                    <th>Change</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows.join('')}</tbody>
+                        </table>
+                    ` : '<p class="history-empty">No progress in either cycle.</p>'}
+                </details>
+            `;
+        }).join('');
+
+        return `
+            <div class="history-cycle">
+                <h3 class="history-cycle-title">${this.escapeHtml(cycle.label)}</h3>
+                <p class="history-cycle-meta">Archived ${new Date(cycle.archivedAt).toLocaleString()}. Archived progress is read-only; rows without progress in either cycle are hidden.</p>
+                ${projectSections}
+            </div>
+        `;
+    }
+
     /**
      * Setup tab event listeners
      * @param {Function} switchTabCallback - Callback for tab switching
@@ -106,6 +593,47 @@ class UIRenderer {
         });
     }
 
+    /**
+     * Create a tab button and panel for every project, between the All Items and History tabs
+     * @param {Array<{name: string, tab: string, label: string}>} definitions - Project definitions in tab order
+     */
+    renderProjectTabs(definitions) {
+        const historyButton = document.querySelector('.tab-button[data-tab="history"]');
+        const historyPanel = document.getElementById('history-tab');
+
+        definitions.forEach(({ name, tab, label }) => {
+            const button = document.createElement('button');
+            button.className = 'tab-button';
+            button.dataset.tab = tab;
+            button.textContent = label;
+            historyButton.before(button);
+
+            const panel = document.createElement('div');
+            panel.id = `${tab}-tab`;
+            panel.className = 'tab-content';
+            panel.innerHTML = `
+                <div class="project-card">
+                    <div class="project-header">
+                        <h2 class="project-title"></h2>
+                        <div class="project-progress">
+                            <div class="progress-bar">
+                                <div class="progress-fill" id="${tab}-progress-fill"></div>
+                            </div>
+                            <span class="progress-text" id="${tab}-progress-text">0/0 (0%)</span>
+                            <button class="export-csv-button" title="Export this list as a CSV spreadsheet">Export CSV</button>
+                        </div>
+                    </div>
+                    <div class="project-content">
+                        <div id="${tab}-container" class="grouped-items"></div>
+                    </div>
+                </div>
+            `;
+            panel.querySelector('.project-title').textContent = label;
+            panel.querySelector('.export-csv-button').dataset.project = name;
+            historyPanel.before(panel);
+        });
+    }
+
     /**
      * Switch to a specific tab
      * @param {string} tabName - Tab name to switch to
@@ -129,22 +657,42 @@ class UIRenderer {
 
     /**
      * Render all items overview
+     * @param {Function} setStashCountCallback - Callback for owned stash count changes
+     * @param {Function} movePriorityCallback - Callback for allocation priority reordering
+     * @param {Function} toggleMissionItemsCallback - Callback receiving whether to show mission-only items
      */
-    renderAllItems() {
+    renderAllItems(setStashCountCallback, movePriorityCallback, toggleMissionItemsCallback) {
         const container = document.getElementById('all-items-container');
-        const allItems = this.dataLoader.getAllItemsRemaining(this.stateManager);
+        const showMissionItems = this.stateManager.getShowMissionItems();
+        const allItems = this.dataLoader.getAllItemsRemaining(this.stateManager, showMissionItems);
+        const priorityOrder = this.allocationEngine.getPriorityOrder();
+        const stashAllocation = this.allocationEngine.allocateAll();
+        const verdicts = this.itemAdvisor.getVerdicts();
+
+        // Keep the priority, crafting and recycling panels open across re-renders
+        const priorityPanelOpen = container.querySelector('.priority-panel')?.open || false;
+        const craftingPanelOpen = container.querySelector('.crafting-panel')?.open || false;
+        const recyclingPanelOpen = container.querySelector('.recycling-panel')?.open || false;
 
         // Clean up existing event listeners
         this.cleanupEventListeners('all-items-search');
 
         container.innerHTML = '';
 
+        const priorityPanel = this.createPriorityPanel(priorityOrder, priorityPanelOpen, movePriorityCallback);
+        const craftingPanel = this.createCraftingPanel(craftingPanelOpen);
+        const recyclingPanel = this.createRecyclingPanel(recyclingPanelOpen);
+
         // Create search input
         const searchContainer = document.createElement('div');
         searchContainer.className = 'search-container';
         searchContainer.innerHTML = `
             <input type="text" id="all-items-search" placeholder="Search items..." class="search-input">
         `;
+        const hasMissionItems = Object.values(this.dataLoader.getProjects()).some(items => items.some(item => !this.dataLoader.isKeepable(item)));
+        if (hasMissionItems) {
+            searchContainer.appendChild(this.createMissionToggle(showMissionItems, toggleMissionItemsCallback));
+        }
 
         // Create table container
         const tableContainer = document.createElement('div');
@@ -156,8 +704,15 @@ class UIRenderer {
         // Create table HTML
         const tableRows = sortedItems.map(([itemName, data]) => {
             const isComplete = data.remainingQuantity === 0;
-            const projectInfo = data.projects.map(p => `${p.projectName} (${p.quantity})`).join(', ');
+            const itemKey = this.dataLoader.getItemKey(itemName);
+            const stash = stashAllocation[itemKey];
+            const projectInfo = stash && !data.missionOnly ? this.createProjectAllocationHtml(stash) : data.projects.map(p => `${this.escapeHtml(p.projectName)} (${p.quantity})`).join(', ');
             const quantityDisplay = isComplete ? 'Complete' : `${data.remainingQuantity}/${data.totalQuantity}`;
+            const stillNeeded = stash ? stash.stillNeeded : data.remainingQuantity;
+            const missionBadge = data.missionOnly ? ` ${this.createMissionBadgeHtml()}` : '';
+            const craftButton = !isComplete && !data.missionOnly && stillNeeded > 0 && this.recipeCalculator.getRecipe(itemName)
+                ? ` <button class="craft-button" data-item-name="${this.escapeHtml(itemName)}" data-count="${stillNeeded}" title="Work out what crafting ${stillNeeded} needs">Craft</button>`
+                : '';
 
             const iconHtml = this.createItemIconHtml(itemName);
 
@@ -166,16 +721,19 @@ class UIRenderer {
 
             // Create rarity badge if rarity exists
             const rarity = wikiItem?.rarity || this.dataLoader.getItemRarity(itemName);
-            const rarityBadge = rarity ? `<span class="rarity ${rarity}">${rarity.charAt(0).toUpperCase() + rarity.slice(1)}</span>` : '';
+            const rarityBadge = rarity ? `<span class="rarity ${this.escapeHtml(rarity)}">${this.escapeHtml(rarity.charAt(0).toUpperCase() + rarity.slice(1))}</span>` : '';
 
             return `
-                <tr class="all-items-entry ${isComplete ? 'completed' : ''}" data-item-name="${itemName.toLowerCase()}" data-projects="${data.projects.map(p => p.projectName).join(',')}">
+                <tr class="all-items-entry ${isComplete ? 'completed' : ''} ${!isComplete && !data.missionOnly && stillNeeded === 0 ? 'covered' : ''} ${data.missionOnly ? 'mission-item' : ''}" data-item-name="${this.escapeHtml(itemName.toLowerCase())}" data-projects="${this.escapeHtml(data.projects.map(p => p.projectName).join(','))}">
                     <td>${iconHtml}</td>
-                    <td>${itemName}</td>
+                    <td>${this.escapeHtml(itemName)}${missionBadge}${craftButton}</td>
                     <td>${rarityBadge}</td>
                     <td>${quantityDisplay}</td>
+                    <td><input type="number" class="quantity-input stash-input" min="0" value="${stash ? stash.owned : 0}" data-item-key="${itemKey}" aria-label="Owned ${this.escapeHtml(itemName)}"></td>
+                    <td>${isComplete || data.missionOnly ? '-' : stillNeeded}</td>
                     <td>${projectInfo}</td>
-                    <td>${wikiItem?.type || '-'}</td>
+                    <td>${this.escapeHtml(wikiItem?.type || '-')}</td>
+                    <td>${this.createVerdictHtml(verdicts.get(itemKey))}</td>
                 </tr>
             `;
         }).join('');
@@ -188,8 +746,11 @@ class UIRenderer {
                         <th>Item Name</th>
                         <th>Rarity</th>
                         <th>Quantity</th>
+                        <th>Owned</th>
+                        <th>Still Needed</th>
                         <th>Projects</th>
                         <th>Type</th>
+                        <th>Advice</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -198,6 +759,9 @@ class UIRenderer {
             </table>
         `;
 
+        container.appendChild(priorityPanel);
+        container.appendChild(craftingPanel);
+        container.appendChild(recyclingPanel);
         container.appendChild(searchContainer);
         container.appendChild(tableContainer);
 
@@ -207,19 +771,301 @@ class UIRenderer {
             this.filterAllItems(e.target.value);
         });
 
+        // Craft buttons load the item's shortfall into the crafting calculator
+        tableContainer.querySelectorAll('.craft-button').forEach(button => {
+            this.addEventListener(button, 'click', () => {
+                this.craftingTarget = { name: button.dataset.itemName, count: parseInt(button.dataset.count, 10) };
+                const panel = this.createCraftingPanel(true);
+                container.querySelector('.crafting-panel').replaceWith(panel);
+                panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        });
+
+        // Add stash inventory inputs
+        tableContainer.querySelectorAll('.stash-input').forEach(input => {
+            this.addEventListener(input, 'change', () => {
+                setStashCountCallback(input.dataset.itemKey, parseInt(input.value, 10) || 0);
+            });
+        });
+
         this.updateAllItemsProgress();
     }
 
+    /**
+     * Create per-project allocated versus missing quantities for an item
+     * @param {Object} allocation - Allocation summary from AllocationEngine.allocateItem
+     * @returns {string} HTML list of projects in priority order
+     */
+    createProjectAllocationHtml(allocation) {
+        return this.allocationEngine.getProjectBreakdown(allocation).map(project => {
+            let status;
+            if (project.complete) {
+                status = 'complete';
+            } else if (project.missing === 0) {
+                status = `${project.allocated}/${project.needed} allocated ✓`;
+            } else {
+                status = `${project.allocated}/${project.needed} allocated, ${project.missing} missing`;
+            }
+
+            const stateClass = project.complete ? 'complete' : (project.missing === 0 ? 'covered' : 'missing');
+            return `<div class="project-instance ${stateClass}">${this.escapeHtml(project.projectName)}: ${status}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Create the crafting calculator panel for the current crafting target
+     * @param {boolean} isOpen - Whether the panel starts expanded
+     * @returns {HTMLElement} Crafting panel element
+     */
+    createCraftingPanel(isOpen) {
+        const panel = document.createElement('details');
+        panel.className = 'crafting-panel';
+        panel.open = isOpen;
+
+        const craftable = this.recipeCalculator.getCraftableItems();
+        const coverage = this.recipeCalculator.getCoverage();
+        if (!craftable.includes(this.craftingTarget.name)) {
+            this.craftingTarget = { name: craftable[0] || '', count: this.craftingTarget.count };
+        }
+
+        panel.innerHTML = `
+            <summary>Crafting Calculator</summary>
+            <p class="crafting-help">Pick an item to see everything it is crafted from. Spare items in the stash are used first, at every step; copies your projects still need are kept back.</p>
+            ${coverage.withRecipe < coverage.craftable ? `
+                <p class="crafting-coverage">Recipe data is partial: only ${coverage.withRecipe} of ${coverage.craftable} workbench items have a recipe, so only those can be picked here. Other crafted items are counted as raw materials to find when they are an input.</p>
+            ` : ''}
+            <div class="crafting-controls">
+                <input type="number" class="quantity-input crafting-count" min="1" value="${this.craftingTarget.count}" aria-label="Number to craft">
+                <select class="crafting-item" aria-label="Item to craft">
+                    ${craftable.map(name => `
+                        <option value="${this.escapeHtml(name)}" ${name === this.craftingTarget.name ? 'selected' : ''}>${this.escapeHtml(name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="crafting-result"></div>
+        `;
+
+        const countInput = panel.querySelector('.crafting-count');
+        const itemSelect = panel.querySelector('.crafting-item');
+        const result = panel.querySelector('.crafting-result');
+
+        const describe = (node) => {
+            const parts = [];
+            if (node.owned > 0) parts.push(`${node.owned} spare in stash`);
+            if (node.crafts > 0) {
+                parts.push(`craft ${node.crafts}×${node.workbench ? ` at ${this.escapeHtml(node.workbench)}` : ''}`);
+            } else if (node.missing > 0) {
+                parts.push(`${node.missing} to find${node.recipeMissing ? ' (crafted, but its recipe is not in the data)' : ''}`);
+            }
+            return parts.join(', ');
+        };
+        const renderNode = (node) => `
+            <li class="crafting-node ${node.missing === 0 ? 'owned' : ''}">
+                ${this.createItemIconHtml(node.name)}
+                <span class="crafting-node-name">${node.needed}× ${this.escapeHtml(node.name)}</span>
+                <span class="crafting-node-detail">${describe(node)}</span>
+                ${node.inputs.length > 0 ? `<ul>${node.inputs.map(renderNode).join('')}</ul>` : ''}
+            </li>
+        `;
+
+        const renderResult = () => {
+            if (!this.craftingTarget.name) {
+                result.innerHTML = '<p class="crafting-empty">No items have recipes.</p>';
+                return;
+            }
+
+            const { tree, raw } = this.recipeCalculator.breakDown(this.craftingTarget.name, this.craftingTarget.count);
+            result.innerHTML = `
+                <ul class="crafting-tree">${renderNode(tree)}</ul>
+                <h4>Raw materials to find</h4>
+                ${raw.length > 0 ? `
+                    <ul class="crafting-raw">
+                        ${raw.map(material => `<li>${this.createItemIconHtml(material.name)} ${material.quantity}× ${this.escapeHtml(material.name)}</li>`).join('')}
+                    </ul>
+                ` : '<p class="crafting-empty">Nothing; your stash covers it.</p>'}
+            `;
+        };
+        renderResult();
+
+        this.addEventListener(countInput, 'change', () => {
+            this.craftingTarget.count = Math.max(1, parseInt(countInput.value, 10) || 1);
+            countInput.value = this.craftingTarget.count;
+            renderResult();
+        });
+        this.addEventListener(itemSelect, 'change', () => {
+            this.craftingTarget.name = itemSelect.value;
+            renderResult();
+        });
+
+        return panel;
+    }
+
+    /**
+     * Create the recycling planner panel for the current material
+     * @param {boolean} isOpen - Whether the panel starts expanded
+     * @returns {HTMLElement} Recycling panel element
+     */
+    createRecyclingPanel(isOpen) {
+        const panel = document.createElement('details');
+        panel.className = 'recycling-panel';
+        panel.open = isOpen;
+
+        const materials = this.recyclePlanner.getMaterials();
+        const coverage = this.recyclePlanner.getCoverage();
+        if (!materials.includes(this.recyclingPlan.material)) {
+            this.recyclingPlan.material = materials[0] || '';
+        }
+
+        const options = (values, selected) => values.map(([value, label]) => `
+            <option value="${this.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `).join('');
+
+        panel.innerHTML = `
+            <summary>Recycling Planner</summary>
+            <p class="recycling-help">Find stash items to break down for a material projects still need. Copies of an item that a project still needs are never suggested.</p>
+            ${coverage.withOutputs < coverage.recyclable ? `
+                <p class="recycling-coverage">Recycling data is partial: only ${coverage.withOutputs} of ${coverage.recyclable} recyclable items list what they break down into. Only those are considered here; other stash items may also yield the material but are not listed.</p>
+            ` : ''}
+            <div class="recycling-controls">
+                <select class="recycling-material" aria-label="Material">
+                    ${options(materials.map(name => [name, name]), this.recyclingPlan.material)}
+                </select>
+                <select class="recycling-mode" aria-label="Where to break items down">
+                    ${options([['recycle', 'Recycle in Speranza'], ['salvage', 'Salvage topside']], this.recyclingPlan.mode)}
+                </select>
+                <select class="recycling-rank" aria-label="Rank by">
+                    ${options([['slot', 'Most per stash slot'], ['value', 'Least sell value lost']], this.recyclingPlan.rankBy)}
+                </select>
+            </div>
+            <div class="recycling-result"></div>
+        `;
+
+        const result = panel.querySelector('.recycling-result');
+        const renderResult = () => {
+            const { material, mode, rankBy } = this.recyclingPlan;
+            if (!material) {
+                result.innerHTML = '<p class="recycling-help">No items have recycling outputs.</p>';
+                return;
+            }
+
+            const { needed, covered, candidates } = this.recyclePlanner.plan(material, mode, rankBy);
+            const summary = needed === 0
+                ? `Your stash already covers what projects need of ${this.escapeHtml(material)}.`
+                : `Projects still need ${needed} ${this.escapeHtml(material)} after your stash; the suggestion below covers ${covered}.`;
+
+            result.innerHTML = `
+                <p class="recycling-summary">${summary}</p>
+                ${candidates.length > 0 ? `
+                    <table class="recycling-table">
+                        <thead>
+                            <tr>
+                                <th>Item Name</th>
+                                <th>Owned</th>
+                                <th>Spare</th>
+                                <th>Each</th>
+                                <th>Per Slot</th>
+                                <th>Value Lost / Unit</th>
+                                <th>Break Down</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${candidates.map(candidate => `
+                                <tr class="${candidate.neededBy.length > 0 ? 'still-needed' : ''}">
+                                    <td>
+                                        ${this.createItemIconHtml(candidate.name)} ${this.escapeHtml(candidate.name)}
+                                        ${candidate.neededBy.length > 0 ? `<span class="recycling-needed-badge">Needed by ${candidate.neededBy.map(name => this.escapeHtml(name)).join(', ')}</span>` : ''}
+                                    </td>
+                                    <td>${candidate.owned}</td>
+                                    <td>${candidate.spare}</td>
+                                    <td>${candidate.yieldEach}</td>
+                                    <td>${candidate.yieldPerSlot}</td>
+                                    <td>${Math.round(candidate.valueLostPerUnit)}</td>
+                                    <td>${candidate.suggested || '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `<p class="recycling-help">Nothing in your stash ${mode === 'salvage' ? 'salvages' : 'recycles'} into ${this.escapeHtml(material)}. Enter owned counts in the Owned column below.</p>`}
+            `;
+        };
+        renderResult();
+
+        [['.recycling-material', 'material'], ['.recycling-mode', 'mode'], ['.recycling-rank', 'rankBy']].forEach(([selector, field]) => {
+            const select = panel.querySelector(selector);
+            this.addEventListener(select, 'change', () => {
+                this.recyclingPlan[field] = select.value;
+                renderResult();
+            });
+        });
+
+        return panel;
+    }
+
+    /**
+     * Create the allocation priority panel
+     * @param {Array} priorityOrder - Priority order from AllocationEngine.getPriorityOrder
+     * @param {boolean} isOpen - Whether the panel starts expanded
+     * @param {Function} movePriorityCallback - Callback receiving (projectName, groupName, offset)
+     * @returns {HTMLElement} Priority panel element
+     */
+    createPriorityPanel(priorityOrder, isOpen, movePriorityCallback) {
+        const panel = document.createElement('details');
+        panel.className = 'priority-panel';
+        panel.open = isOpen;
+
+        const moveButtons = (projectName, groupName, index, count) => `
+            <button class="priority-move" data-project="${this.escapeHtml(projectName)}" data-group="${this.escapeHtml(groupName)}" data-offset="-1" aria-label="Raise priority" ${index === 0 ? 'disabled' : ''}>▲</button>
+            <button class="priority-move" data-project="${this.escapeHtml(projectName)}" data-group="${this.escapeHtml(groupName)}" data-offset="1" aria-label="Lower priority" ${index === count - 1 ? 'disabled' : ''}>▼</button>
+        `;
+
+        panel.innerHTML = `
+            <summary>Allocation Priority</summary>
+            <p class="priority-help">Owned stash stock is allocated to projects from top to bottom, and to groups within a project in the order listed.</p>
+            <ol class="priority-list">
+                ${priorityOrder.map((project, projectIndex) => `
+                    <li class="priority-project">
+                        <div class="priority-entry">
+                            <span class="priority-name">${this.escapeHtml(project.projectName)}</span>
+                            ${moveButtons(project.projectName, '', projectIndex, priorityOrder.length)}
+                        </div>
+                        <ol class="priority-groups">
+                            ${project.groups.map((groupName, groupIndex) => `
+                                <li class="priority-entry">
+                                    <span class="priority-name">${this.escapeHtml(groupName)}</span>
+                                    ${moveButtons(project.projectName, groupName, groupIndex, project.groups.length)}
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        panel.querySelectorAll('.priority-move').forEach(button => {
+            this.addEventListener(button, 'click', () => {
+                movePriorityCallback(button.dataset.project, button.dataset.group || null, parseInt(button.dataset.offset, 10));
+            });
+        });
+
+        return panel;
+    }
+
     /**
      * Render a single project
      * @param {string} projectName - Project name
      * @param {string} containerId - Container ID
      * @param {Function} toggleItemCallback - Callback for item toggling
      * @param {Function} toggleGroupCallback - Callback for group toggling
+     * @param {Function} setItemCountCallback - Callback for collected count changes
+     * @param {Function} setGroupCompletedCallback - Callback for marking a whole group collected or not collected
+     * @param {Function} toggleMissionItemsCallback - Callback receiving whether to show mission-only items
+     * @param {Object} modelCallbacks - Callbacks for modelled projects: setQuestFinished(projectName, questName, finished)
+     *     for quests, setStationLevel(projectName, stationName, level, upgrade) for stations,
+     *     setPhaseDelivered(projectName, phaseName, delivered) for phases and setTierLevel(projectName, level, levelUp) for tiers
      */
-    renderSingleProject(projectName, containerId, toggleItemCallback, toggleGroupCallback) {
+    renderSingleProject(projectName, containerId, toggleItemCallback, toggleGroupCallback, setItemCountCallback, setGroupCompletedCallback, toggleMissionItemsCallback, modelCallbacks) {
         const container = document.getElementById(containerId);
-        const items = this.dataLoader.getProjects()[projectName];
+        const projectItems = this.dataLoader.getProjects()[projectName];
 
         // Clean up existing event listeners
         this.cleanupEventListeners(`${containerId}-search`);
@@ -227,7 +1073,7 @@ class UIRenderer {
         // Clear the container first
         container.innerHTML = '';
 
-        if (!items) {
+        if (!projectItems) {
             const emptyState = document.createElement('div');
             emptyState.className = 'empty-state';
             emptyState.innerHTML = '<h3>Project Not Found</h3>';
@@ -239,27 +1085,51 @@ class UIRenderer {
         const searchContainer = document.createElement('div');
         searchContainer.className = 'search-container';
         searchContainer.innerHTML = `
-            <input type="text" id="${containerId}-search" placeholder="Search items in ${projectName}..." class="search-input">
+            <input type="text" id="${containerId}-search" placeholder="Search items in ${this.escapeHtml(projectName)}..." class="search-input">
         `;
 
+        // Progress and groups cover the rows that are shown
+        const showMissionItems = this.stateManager.getShowMissionItems();
+        const items = this.dataLoader.getShownItems(projectItems, showMissionItems);
+        if (projectItems.some(item => !this.dataLoader.isKeepable(item))) {
+            searchContainer.appendChild(this.createMissionToggle(showMissionItems, toggleMissionItemsCallback));
+        }
+
         container.appendChild(searchContainer);
 
-        const groupedItems = this.dataLoader.groupItemsByRequirement(items, projectName);
-        const completed = this.dataLoader.getCompletedCount(projectName, items, this.stateManager);
-        const total = items.length;
-        const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+        const groupedItems = this.dataLoader.groupItemsByRequirement(items);
+        const { collected, total } = this.dataLoader.getProgress(projectName, items, this.stateManager);
+        const percentage = total > 0 ? Math.round((collected / total) * 100) : 0;
 
         // Update progress bar and text
         const progressFill = document.getElementById(`${containerId.replace('-container', '')}-progress-fill`);
         const progressText = document.getElementById(`${containerId.replace('-container', '')}-progress-text`);
 
         if (progressFill) progressFill.style.width = `${percentage}%`;
-        if (progressText) progressText.textContent = `${completed}/${total} (${percentage}%)`;
-
-        // Populate the container with phase groups
-        for (const [groupName, groupItems] of Object.entries(groupedItems)) {
-            const groupElement = this.createPhaseGroup(groupName, groupItems, projectName, toggleItemCallback, toggleGroupCallback);
-            container.appendChild(groupElement);
+        if (progressText) progressText.textContent = `${collected}/${total} (${percentage}%)`;
+
+        const createGroup = (groupName, groupItems) => this.createPhaseGroup(groupName, groupItems, projectName,
+            toggleItemCallback, toggleGroupCallback, setItemCountCallback, setGroupCompletedCallback);
+
+        // Populate the container with phase groups; modelled projects follow their model rather than data order
+        const kind = this.dataLoader.getProjectKind(projectName);
+        if (kind === 'quests') {
+            this.questChain.getQuests(projectName).forEach(quest => {
+                const questItems = this.dataLoader.getShownItems(quest.items, showMissionItems);
+                const groupElement = createGroup(quest.name, questItems);
+                this.decorateQuestGroup(groupElement, quest, projectName, questItems.length, modelCallbacks.setQuestFinished);
+                container.appendChild(groupElement);
+            });
+        } else if (kind === 'stations') {
+            this.renderStationLadders(container, projectName, showMissionItems, createGroup, modelCallbacks.setStationLevel);
+        } else if (kind === 'phases') {
+            this.renderPhaseStages(container, projectName, showMissionItems, createGroup, modelCallbacks.setPhaseDelivered);
+        } else if (kind === 'tiers') {
+            this.renderTierProgression(container, projectName, showMissionItems, createGroup, modelCallbacks.setTierLevel);
+        } else {
+            for (const [groupName, groupItems] of Object.entries(groupedItems)) {
+                container.appendChild(createGroup(groupName, groupItems));
+            }
         }
 
         // Add source attribution
@@ -279,9 +1149,11 @@ class UIRenderer {
      * @param {string} projectName - Project name
      * @param {Function} toggleItemCallback - Item toggle callback
      * @param {Function} toggleGroupCallback - Group toggle callback
+     * @param {Function} setItemCountCallback - Collected count callback
+     * @param {Function} setGroupCompletedCallback - Bulk group completion callback
      * @returns {HTMLElement} Phase group element
      */
-    createPhaseGroup(groupName, items, projectName, toggleItemCallback, toggleGroupCallback) {
+    createPhaseGroup(groupName, items, projectName, toggleItemCallback, toggleGroupCallback, setItemCountCallback, setGroupCompletedCallback) {
         const groupDiv = document.createElement('div');
         const groupId = this.dataLoader.generateGroupId(groupName);
         const isCollapsed = this.stateManager.isGroupCollapsed(groupId);
@@ -289,15 +1161,15 @@ class UIRenderer {
         groupDiv.className = `phase-group ${isCollapsed ? 'collapsed' : ''}`;
         groupDiv.dataset.groupId = groupId;
 
-        const completed = this.dataLoader.getCompletedCount(projectName, items, this.stateManager);
-        const total = items.length;
-        const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+        const { collected, total } = this.dataLoader.getProgress(projectName, items, this.stateManager);
+        const percentage = total > 0 ? Math.round((collected / total) * 100) : 0;
         const toggleIcon = isCollapsed ? '▶' : '▼';
 
         groupDiv.innerHTML = `
             <div class="phase-header">
-                <button class="phase-toggle" aria-label="${isCollapsed ? 'Expand' : 'Collapse'} ${groupName}">${toggleIcon}</button>
-                ${groupName} <span class="phase-progress">(${completed}/${total} - ${percentage}%)</span>
+                <button class="phase-toggle" aria-label="${isCollapsed ? 'Expand' : 'Collapse'} ${this.escapeHtml(groupName)}">${toggleIcon}</button>
+                ${this.escapeHtml(groupName)} <span class="phase-progress">(${collected}/${total} - ${percentage}%)</span>
+                <button class="phase-bulk-button" data-complete="${collected < total}">${collected < total ? 'Mark all collected' : 'Clear all'}</button>
             </div>
             <div class="phase-table-container">
                 <table class="phase-items-table">
@@ -328,6 +1200,12 @@ class UIRenderer {
             toggleGroupCallback(groupId);
         });
 
+        // Add event listener to bulk button
+        const bulkBtn = groupDiv.querySelector('.phase-bulk-button');
+        this.addEventListener(bulkBtn, 'click', () => {
+            setGroupCompletedCallback(projectName, groupName, items, bulkBtn.dataset.complete === 'true');
+        });
+
         // Add event listeners to checkboxes
         const checkboxes = groupDiv.querySelectorAll('.item-checkbox');
         checkboxes.forEach(checkbox => {
@@ -345,6 +1223,25 @@ class UIRenderer {
             });
         });
 
+        // Add event listeners to quantity steppers
+        const steppers = groupDiv.querySelectorAll('.quantity-stepper');
+        steppers.forEach(stepper => {
+            const actualProjectName = stepper.dataset.project || projectName;
+            const itemId = stepper.dataset.itemId;
+            const input = stepper.querySelector('.quantity-input');
+
+            stepper.querySelectorAll('.stepper-button').forEach(button => {
+                this.addEventListener(button, 'click', () => {
+                    const current = parseInt(input.value, 10) || 0;
+                    setItemCountCallback(actualProjectName, itemId, current + parseInt(button.dataset.step, 10));
+                });
+            });
+
+            this.addEventListener(input, 'change', () => {
+                setItemCountCallback(actualProjectName, itemId, parseInt(input.value, 10) || 0);
+            });
+        });
+
         return groupDiv;
     }
 
@@ -357,8 +1254,11 @@ class UIRenderer {
     createItemTableRow(projectName, item) {
         // For combined view, use the item's project name
         const actualProjectName = item.projectName || projectName;
-        const isCompleted = this.stateManager.isItemCompleted(actualProjectName, item.id);
-        const completedClass = isCompleted ? 'completed' : '';
+        const quantity = this.dataLoader.getItemQuantity(item);
+        const collected = this.stateManager.getItemCount(actualProjectName, item.id, quantity);
+        const isCompleted = collected >= quantity;
+        const isCovered = !isCompleted && this.allocationEngine.isRequirementCovered(actualProjectName, item);
+        const completedClass = isCompleted ? 'completed' : (isCovered ? 'covered' : '');
         const checkedClass = isCompleted ? 'checked' : '';
 
         // Get comprehensive item data from all_items.json
@@ -368,16 +1268,27 @@ class UIRenderer {
 
         // Create rarity badge if rarity exists
         const rarity = wikiItem?.rarity || this.dataLoader.getItemRarity(item.name);
-        const rarityBadge = rarity ? `<span class="rarity ${rarity}">${rarity.charAt(0).toUpperCase() + rarity.slice(1)}</span>` : '';
+        const rarityBadge = rarity ? `<span class="rarity ${this.escapeHtml(rarity)}">${this.escapeHtml(rarity.charAt(0).toUpperCase() + rarity.slice(1))}</span>` : '';
 
         // Show shared item totals for combined view
-        let quantityDisplay = `${item.quantity}`;
-        if (item.projectName && this.dataLoader.getItemTotals()[item.id]) {
-            const remainingTotal = this.dataLoader.getRemainingTotal(item.id, this.stateManager);
-            const originalTotal = this.dataLoader.getItemTotals()[item.id].totalNeeded;
-            quantityDisplay = `${item.quantity} (${remainingTotal}/${originalTotal})`;
+        let sharedTotalDisplay = '';
+        const itemKey = this.dataLoader.getItemKey(item.name);
+        if (item.projectName && this.dataLoader.getItemTotals()[itemKey]) {
+            const remainingTotal = this.dataLoader.getRemainingTotal(itemKey, this.stateManager);
+            const originalTotal = this.dataLoader.getItemTotals()[itemKey].totalNeeded;
+            sharedTotalDisplay = ` <span class="quantity-shared">(${remainingTotal}/${originalTotal})</span>`;
         }
 
+        const quantityDisplay = `
+            <div class="quantity-stepper" data-item-id="${item.id}" data-project="${this.escapeHtml(actualProjectName)}">
+                <button class="stepper-button" data-step="-1" aria-label="Decrease ${this.escapeHtml(item.name)}" ${collected <= 0 ? 'disabled' : ''}>−</button>
+                <input type="number" class="quantity-input" min="0" max="${quantity}" value="${collected}" aria-label="Collected ${this.escapeHtml(item.name)}">
+                <span class="quantity-total">/ ${quantity}</span>
+                <button class="stepper-button" data-step="1" aria-label="Increase ${this.escapeHtml(item.name)}" ${isCompleted ? 'disabled' : ''}>+</button>
+            </div>${sharedTotalDisplay}${isCovered ? ' <span class="stash-badge" title="Enough of this item is in your stash">In stash</span>' : ''}
+        `;
+        const missionBadge = this.dataLoader.isKeepable(item) ? '' : ` ${this.createMissionBadgeHtml()}`;
+
         // Add additional item details from all_items.json
         const itemValue = wikiItem?.value || '-';
         const itemWeight = wikiItem?.weight || '-';
@@ -385,21 +1296,409 @@ class UIRenderer {
         const itemDescription = wikiItem?.description || '-';
 
         return `
-            <tr class="item-table-row ${completedClass}" data-item-id="${item.id}" data-project="${actualProjectName}">
-                <td><div class="item-checkbox ${checkedClass}" data-item-id="${item.id}" data-project="${actualProjectName}" tabindex="0" role="checkbox" aria-checked="${isCompleted}"></div></td>
+            <tr class="item-table-row ${completedClass}" data-item-id="${item.id}" data-project="${this.escapeHtml(actualProjectName)}">
+                <td><div class="item-checkbox ${checkedClass}" data-item-id="${item.id}" data-project="${this.escapeHtml(actualProjectName)}" tabindex="0" role="checkbox" aria-checked="${isCompleted}"></div></td>
                 <td>${iconHtml}</td>
-                <td>${item.name}</td>
+                <td>${this.escapeHtml(item.name)}${missionBadge}</td>
                 <td>${rarityBadge}</td>
                 <td>${quantityDisplay}</td>
-                <td>${item.requirement}</td>
-                <td>${itemType}</td>
-                <td>${itemValue}</td>
-                <td>${itemWeight}</td>
-                <td>${itemDescription}</td>
+                <td>${this.escapeHtml(item.requirement)}</td>
+                <td>${this.escapeHtml(itemType)}</td>
+                <td>${this.escapeHtml(itemValue)}</td>
+                <td>${this.escapeHtml(itemWeight)}</td>
+                <td>${this.escapeHtml(itemDescription)}</td>
             </tr>
         `;
     }
 
+    /**
+     * Render a stations project as one upgrade ladder per station
+     * Built levels are summarised, open and next levels are listed, and later levels stay folded away until asked for
+     * @param {HTMLElement} container - Project container
+     * @param {string} projectName - Project name
+     * @param {boolean} showMissionItems - Whether mission-only items are shown
+     * @param {Function} createGroup - Creates a phase group element from (groupName, items)
+     * @param {Function} setStationLevelCallback - Callback receiving (projectName, stationName, level, upgrade)
+     */
+    renderStationLadders(container, projectName, showMissionItems, createGroup, setStationLevelCallback) {
+        const statusLabels = { open: 'Built, items unchecked', next: 'Next upgrade', future: 'Later' };
+
+        const createLevelGroup = (station, level) => {
+            const groupElement = createGroup(level.requirement, this.dataLoader.getShownItems(level.items, showMissionItems));
+            groupElement.classList.add('station-level-group', `station-${level.status}`);
+
+            const badge = document.createElement('span');
+            badge.className = `station-status ${level.status}`;
+            badge.textContent = statusLabels[level.status];
+            groupElement.querySelector('.phase-bulk-button').before(badge);
+
+            if (level.status === 'next') {
+                const upgradeButton = document.createElement('button');
+                upgradeButton.className = 'phase-bulk-button station-upgrade';
+                upgradeButton.textContent = `Upgrade to level ${level.level}`;
+                groupElement.querySelector('.phase-header').appendChild(upgradeButton);
+                this.addEventListener(upgradeButton, 'click', () => {
+                    setStationLevelCallback(projectName, station.name, level.level, true);
+                });
+            }
+            return groupElement;
+        };
+
+        this.stationLadder.getStations(projectName).forEach(station => {
+            const ladder = document.createElement('div');
+            ladder.className = 'station-ladder';
+            ladder.innerHTML = `
+                <div class="station-header">
+                    <h3 class="station-name"></h3>
+                    <label class="station-level-select">Built level
+                        <select>
+                            ${Array.from({ length: station.maxLevel + 1 }, (_, level) => `
+                                <option value="${level}" ${level === station.level ? 'selected' : ''}>${level === 0 ? 'Not built' : `Level ${level}`}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                </div>
+            `;
+            ladder.querySelector('.station-name').textContent = station.name;
+
+            const select = ladder.querySelector('select');
+            this.addEventListener(select, 'change', () => {
+                setStationLevelCallback(projectName, station.name, parseInt(select.value, 10), false);
+            });
+
+            const built = station.levels.filter(level => level.status === 'built').map(level => level.level);
+            const summary = [];
+            if (built.length > 0) {
+                summary.push(`Level${built.length === 1 ? '' : 's'} ${built.join(', ')} built.`);
+            }
+            if (station.level === station.maxLevel && built.length === station.maxLevel) {
+                summary.push('Fully upgraded.');
+            }
+            if (summary.length > 0) {
+                const summaryElement = document.createElement('p');
+                summaryElement.className = 'station-summary';
+                summaryElement.textContent = summary.join(' ');
+                ladder.appendChild(summaryElement);
+            }
+
+            station.levels
+                .filter(level => level.status === 'open' || level.status === 'next')
+                .forEach(level => ladder.appendChild(createLevelGroup(station, level)));
+
+            const future = station.levels.filter(level => level.status === 'future');
+            if (future.length > 0) {
+                const stationKey = `${projectName}\u0000${station.name}`;
+                const details = document.createElement('details');
+                details.className = 'station-future';
+                details.open = this.expandedStations.has(stationKey);
+                details.innerHTML = `<summary>${future.length} later level${future.length === 1 ? '' : 's'}</summary>`;
+                future.forEach(level => details.appendChild(createLevelGroup(station, level)));
+
+                this.addEventListener(details, 'toggle', () => {
+                    if (details.open) {
+                        this.expandedStations.add(stationKey);
+                    } else {
+                        this.expandedStations.delete(stationKey);
+                    }
+                });
+                ladder.appendChild(details);
+            }
+
+            container.appendChild(ladder);
+        });
+
+        // Groups no station refers to are listed as they are
+        for (const [groupName, groupItems] of Object.entries(this.stationLadder.getUnassignedGroups(projectName))) {
+            container.appendChild(createGroup(groupName, this.dataLoader.getShownItems(groupItems, showMissionItems)));
+        }
+    }
+
+    /**
+     * Render a phases project as stages in delivery order, followed by its delivery log
+     * Delivered phases are locked, the current phase is highlighted and can be delivered once every item is collected
+     * @param {HTMLElement} container - Project container
+     * @param {string} projectName - Project name
+     * @param {boolean} showMissionItems - Whether mission-only items are shown
+     * @param {Function} createGroup - Creates a phase group element from (groupName, items)
+     * @param {Function} setPhaseDeliveredCallback - Callback receiving (projectName, phaseName, delivered)
+     */
+    renderPhaseStages(container, projectName, showMissionItems, createGroup, setPhaseDeliveredCallback) {
+        const phases = this.phaseSequence.getPhases(projectName);
+        const deliveries = this.stateManager.getPhaseDeliveries(projectName);
+        const lastDelivered = deliveries.length > 0 ? deliveries[deliveries.length - 1].phase : null;
+
+        phases.forEach(phase => {
+            const groupElement = createGroup(phase.name, this.dataLoader.getShownItems(phase.items, showMissionItems));
+            groupElement.classList.add('stage-group', `stage-${phase.status}`);
+            const header = groupElement.querySelector('.phase-header');
+            const bulkButton = header.querySelector('.phase-bulk-button');
+
+            const badge = document.createElement('span');
+            badge.className = `stage-status ${phase.status}`;
+            badge.textContent = phase.status === 'delivered'
+                ? `Delivered ${new Date(phase.delivery.deliveredAt).toLocaleDateString()}`
+                : (phase.status === 'current' ? 'Current phase' : 'Upcoming');
+            bulkButton.before(badge);
+
+            let action = null;
+            if (phase.status === 'delivered') {
+                // Delivered items were handed in, so their counts can no longer change
+                bulkButton.remove();
+                groupElement.querySelectorAll('.stepper-button, .quantity-input').forEach(control => {
+                    control.disabled = true;
+                });
+                groupElement.querySelectorAll('.item-checkbox').forEach(checkbox => {
+                    checkbox.setAttribute('aria-disabled', 'true');
+                    checkbox.tabIndex = -1;
+                });
+
+                if (phase.name === lastDelivered) {
+                    action = document.createElement('button');
+                    action.textContent = 'Reopen phase';
+                }
+            } else if (phase.status === 'current') {
+                action = document.createElement('button');
+                action.textContent = 'Deliver phase';
+                action.disabled = !phase.ready;
+                if (!phase.ready) action.title = 'Collect every item in this phase first';
+            }
+
+            if (action) {
+                action.className = 'phase-bulk-button stage-action';
+                header.appendChild(action);
+                this.addEventListener(action, 'click', () => {
+                    setPhaseDeliveredCallback(projectName, phase.name, phase.status !== 'delivered');
+                });
+            }
+
+            container.appendChild(groupElement);
+        });
+
+        if (deliveries.length > 0) {
+            const log = document.createElement('section');
+            log.className = 'delivery-log';
+            log.innerHTML = `
+                <h3>Delivery log</h3>
+                <ol>
+                    ${deliveries.slice().reverse().map(delivery => `
+                        <li>
+                            <time datetime="${this.escapeHtml(delivery.deliveredAt)}">${new Date(delivery.deliveredAt).toLocaleString()}</time>
+                            <strong>${this.escapeHtml(delivery.phase)}</strong>:
+                            ${delivery.items.map(item => `${item.quantity}× ${this.escapeHtml(item.name)}`).join(', ') || 'nothing to hand in'}
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+            container.appendChild(log);
+        }
+    }
+
+    /**
+     * Render a tiers project as its levels in order, with what is still needed to reach a chosen level
+     * @param {HTMLElement} container - Project container
+     * @param {string} projectName - Project name
+     * @param {boolean} showMissionItems - Whether mission-only items are shown
+     * @param {Function} createGroup - Creates a phase group element from (groupName, items)
+     * @param {Function} setTierLevelCallback - Callback receiving (projectName, level, levelUp)
+     */
+    renderTierProgression(container, projectName, showMissionItems, createGroup, setTierLevelCallback) {
+        const tiers = this.tierProgression.getTiers(projectName);
+        const current = this.stateManager.getTierLevel(projectName);
+        const maxLevel = tiers.length > 0 ? tiers[tiers.length - 1].level : 0;
+        const statusLabels = { reached: 'Reached', next: 'Next level', future: 'Later' };
+
+        const header = document.createElement('div');
+        header.className = 'tier-header';
+        header.innerHTML = `
+            <label class="tier-level-select">Current level
+                <select>
+                    ${Array.from({ length: Math.max(maxLevel, current) + 1 }, (_, level) => `
+                        <option value="${level}" ${level === current ? 'selected' : ''}>${level === 0 ? 'Not set' : `Level ${level}`}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+        const levelSelect = header.querySelector('select');
+        this.addEventListener(levelSelect, 'change', () => {
+            setTierLevelCallback(projectName, parseInt(levelSelect.value, 10), false);
+        });
+        container.appendChild(header);
+
+        // Cumulative totals for every level between the current one and the chosen target
+        const upcoming = tiers.filter(tier => tier.level > current);
+        if (upcoming.length > 0) {
+            const savedTarget = this.tierTargets.get(projectName);
+            const target = upcoming.some(tier => tier.level === savedTarget) ? savedTarget : maxLevel;
+
+            const totals = document.createElement('div');
+            totals.className = 'tier-totals';
+            totals.innerHTML = `
+                <h3>Still needed to reach
+                    <select aria-label="Target level">
+                        ${upcoming.map(tier => `
+                            <option value="${tier.level}" ${tier.level === target ? 'selected' : ''}>${tier.label}</option>
+                        `).join('')}
+                    </select>
+                </h3>
+                <table class="tier-totals-table">
+                    <thead>
+                        <tr>
+                            <th>Item Name</th>
+                            <th>Remaining</th>
+                            <th>Needed</th>
+                            <th>Levels</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `;
+
+            const targetSelect = totals.querySelector('select');
+            const tbody = totals.querySelector('tbody');
+            const renderTotals = () => {
+                const needs = this.tierProgression.getCumulativeNeeds(projectName, parseInt(targetSelect.value, 10), showMissionItems);
+                const outstanding = needs.filter(need => need.remaining > 0);
+                tbody.innerHTML = outstanding.length > 0
+                    ? outstanding.map(need => `
+                        <tr>
+                            <td>${this.createItemIconHtml(need.name)} ${this.escapeHtml(need.name)}</td>
+                            <td>${need.remaining}</td>
+                            <td>${need.needed}</td>
+                            <td>${need.levels.join(', ')}</td>
+                        </tr>
+                    `).join('')
+                    : '<tr><td colspan="4">Everything for these levels is collected</td></tr>';
+            };
+            renderTotals();
+
+            this.addEventListener(targetSelect, 'change', () => {
+                this.tierTargets.set(projectName, parseInt(targetSelect.value, 10));
+                renderTotals();
+            });
+            container.appendChild(totals);
+        }
+
+        tiers.forEach(tier => {
+            const groupElement = createGroup(tier.label, this.dataLoader.getShownItems(tier.items, showMissionItems));
+            groupElement.classList.add('tier-group', `tier-${tier.status}`);
+
+            const badge = document.createElement('span');
+            badge.className = `tier-status ${tier.status}`;
+            badge.textContent = statusLabels[tier.status];
+            groupElement.querySelector('.phase-bulk-button').before(badge);
+
+            if (tier.status === 'next') {
+                const levelUpButton = document.createElement('button');
+                levelUpButton.className = 'phase-bulk-button tier-level-up';
+                levelUpButton.textContent = `Reach level ${tier.level}`;
+                groupElement.querySelector('.phase-header').appendChild(levelUpButton);
+                this.addEventListener(levelUpButton, 'click', () => {
+                    setTierLevelCallback(projectName, tier.level, true);
+                });
+            }
+
+            container.appendChild(groupElement);
+        });
+
+        // Requirements that are not a level are listed as they are
+        for (const [groupName, groupItems] of Object.entries(this.tierProgression.getUnparsedGroups(projectName))) {
+            container.appendChild(createGroup(groupName, this.dataLoader.getShownItems(groupItems, showMissionItems)));
+        }
+    }
+
+    /**
+     * Add a quest's trader, status and complete or reopen action to its group
+     * Locked quests only show what they are waiting for; their items appear once they unlock
+     * @param {HTMLElement} groupDiv - Group element from createPhaseGroup
+     * @param {Object} quest - Quest from QuestChain.getQuests
+     * @param {string} projectName - Project name
+     * @param {number} shownCount - Number of requirement rows shown in the group
+     * @param {Function} setQuestFinishedCallback - Callback receiving (projectName, questName, finished)
+     */
+    decorateQuestGroup(groupDiv, quest, projectName, shownCount, setQuestFinishedCallback) {
+        const statusLabels = { locked: 'Locked', available: 'Available', finished: 'Finished' };
+        groupDiv.classList.add('quest-group', `quest-${quest.status}`);
+
+        const header = groupDiv.querySelector('.phase-header');
+        const bulkButton = header.querySelector('.phase-bulk-button');
+
+        const details = document.createElement('span');
+        details.className = 'quest-details';
+        details.innerHTML = `
+            ${quest.trader ? `<span class="quest-trader">${this.escapeHtml(quest.trader)}</span>` : ''}
+            <span class="quest-status ${quest.status}">${statusLabels[quest.status]}</span>
+        `;
+        bulkButton.before(details);
+
+        let note = '';
+        if (quest.status === 'locked') {
+            note = `Requires ${quest.missing.map(name => this.escapeHtml(name)).join(', ')}`;
+            header.querySelector('.phase-toggle').remove();
+            bulkButton.remove();
+            groupDiv.querySelector('.phase-table-container').remove();
+        } else {
+            const action = document.createElement('button');
+            action.className = 'phase-bulk-button quest-action';
+            action.textContent = quest.status === 'finished' ? 'Reopen quest' : 'Complete quest';
+            header.appendChild(action);
+            this.addEventListener(action, 'click', () => {
+                setQuestFinishedCallback(projectName, quest.name, quest.status !== 'finished');
+            });
+
+            if (shownCount === 0) {
+                note = quest.items.length > 0 ? 'Only mission items are needed; tick Show mission items to list them' : 'No items to collect';
+                groupDiv.querySelector('.phase-table-container').remove();
+            }
+        }
+
+        if (note) {
+            const noteElement = document.createElement('p');
+            noteElement.className = 'quest-note';
+            noteElement.innerHTML = note;
+            header.after(noteElement);
+        }
+    }
+
+    /**
+     * Create an item's keep, recycle or sell badge with the reasons behind it
+     * @param {Object|undefined} advice - Verdict from ItemAdvisor.getVerdicts
+     * @returns {string} Badge and reasons HTML, or '-' for items without a verdict
+     */
+    createVerdictHtml(advice) {
+        if (!advice) return '-';
+
+        return `
+            <span class="verdict-badge ${advice.verdict}">${advice.label}</span>
+            <div class="verdict-reasons">${advice.reasons.map(reason => this.escapeHtml(reason)).join('<br>')}</div>
+        `;
+    }
+
+    /**
+     * Create the badge marking a mission-only item
+     * @returns {string} Badge HTML
+     */
+    createMissionBadgeHtml() {
+        return '<span class="mission-badge" title="Handed in during a quest and not kept, so it is not counted in shopping totals or stash allocation">Mission item</span>';
+    }
+
+    /**
+     * Create the checkbox that shows or hides mission-only items
+     * @param {boolean} checked - Whether mission items are shown
+     * @param {Function} toggleMissionItemsCallback - Callback receiving the new setting
+     * @returns {HTMLElement} Toggle element
+     */
+    createMissionToggle(checked, toggleMissionItemsCallback) {
+        const label = document.createElement('label');
+        label.className = 'mission-toggle';
+        label.innerHTML = `<input type="checkbox" ${checked ? 'checked' : ''}> Show mission items`;
+
+        const checkbox = label.querySelector('input');
+        this.addEventListener(checkbox, 'change', () => {
+            toggleMissionItemsCallback(checkbox.checked);
+        });
+        return label;
+    }
+
     /**
      * Create item icon HTML
      * @param {string} itemName - Item name
@@ -431,7 +1730,7 @@ class UIRenderer {
 
         // Create the styled icon HTML similar to the Metaforge example, wrapped in a link
         return `
-            <a href="${wikiUrl}" target="_blank" rel="noopener noreferrer" class="item-icon-link" title="View ${itemName} on ARC Raiders Wiki">
+            <a href="${this.escapeHtml(wikiUrl)}" target="_blank" rel="noopener noreferrer" class="item-icon-link" title="View ${this.escapeHtml(itemName)} on ARC Raiders Wiki">
                 <div class="item-icon-container" style="
                     background: linear-gradient(to right top, ${colors.color} -80%, var(--background) 60%);
                     border: 1px solid ${colors.border};
@@ -448,7 +1747,7 @@ class UIRenderer {
                     cursor: pointer;
                     transition: transform 0.2s ease;
                 ">
-                    <img src="${iconUrl}" alt="${itemName} icon" loading="lazy" style="
+                    <img src="${this.escapeHtml(iconUrl)}" alt="${this.escapeHtml(itemName)} icon" loading="lazy" style="
                         height: 64px;
                         width: 64px;
                         min-height: 64px;
@@ -499,41 +1798,22 @@ class UIRenderer {
      * @param {string} projectName - Project name
      */
     addSourceAttribution(container, projectName) {
-        let attributionHtml = '';
-
-        switch (projectName) {
-            case 'Quest items':
-                attributionHtml = `
-                    <p><strong>Source:</strong> <a href="https://www.gamepur.com/guides/all-quest-items-arc-raiders" target="_blank" rel="noopener noreferrer">Gamepur - All Quest Items in ARC Raiders</a></p>
-                    <p><em>Quest item data compiled from Gamepur's comprehensive ARC Raiders guide. Visit for detailed quest walkthroughs and location maps.</em></p>
-                `;
-                break;
-            case 'Workshop items':
-                attributionHtml = `
-                    <p><strong>Source:</strong> <a href="https://arcraiders.wiki/wiki/Workshop" target="_blank" rel="noopener noreferrer">ARC Raiders Wiki - Workshop</a></p>
-                    <p><em>Workshop station requirements compiled from the official ARC Raiders community wiki. Visit for detailed crafting recipes and station information.</em></p>
-                `;
-                break;
-            case 'Scrappy items':
-                attributionHtml = `
-                    <p><strong>Source:</strong> <a href="https://arcraiders.wiki/wiki/Workshop" target="_blank" rel="noopener noreferrer">ARC Raiders Wiki - Workshop</a></p>
-                    <p><em>Scrappy upgrade requirements compiled from the official ARC Raiders community wiki. Visit for detailed crafting recipes and station information.</em></p>
-                `;
-                break;
-            case 'Expedition Project':
-                attributionHtml = `
-                    <p><strong>Source:</strong> <a href="https://arcraiders.wiki/wiki/Expedition_1" target="_blank" rel="noopener noreferrer">ARC Raiders Wiki - Expedition 1</a></p>
-                    <p><em>Expedition 1 part requirements compiled from the official ARC Raiders community wiki. Visit for detailed expedition information and requirements.</em></p>
-                `;
-                break;
-        }
-
-        if (attributionHtml) {
-            const attributionDiv = document.createElement('div');
-            attributionDiv.className = 'wiki-attribution';
-            attributionDiv.innerHTML = attributionHtml;
-            container.appendChild(attributionDiv);
-        }
+        const definition = this.dataLoader.getProjectDefinitions().find(({ name }) => name === projectName);
+        const attribution = definition && definition.attribution;
+        if (!attribution || !attribution.source) return;
+
+        // Attribution comes from data pack manifests, so only web links are rendered
+        const source = /^https?:\/\//.test(attribution.url || '')
+            ? `<a href="${this.escapeHtml(attribution.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(attribution.source)}</a>`
+            : this.escapeHtml(attribution.source);
+
+        const attributionDiv = document.createElement('div');
+        attributionDiv.className = 'wiki-attribution';
+        attributionDiv.innerHTML = `
+            <p><strong>Source:</strong> ${source}</p>
+            ${attribution.note ? `<p><em>${this.escapeHtml(attribution.note)}</em></p>` : ''}
+        `;
+        container.appendChild(attributionDiv);
     }
 
     /**
@@ -582,6 +1862,20 @@ class UIRenderer {
         });
     }
 
+    /**
+     * Escape user-entered text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Validate search term
      * @param {string} value - Search term
@@ -606,8 +1900,9 @@ class UIRenderer {
 
         const projects = this.dataLoader.getProjects();
         for (const [projectName, items] of Object.entries(projects)) {
-            totalCompleted += this.dataLoader.getCompletedCount(projectName, items, this.stateManager);
-            totalItems += items.length;
+            const { collected, total } = this.dataLoader.getProgress(projectName, items, this.stateManager);
+            totalCompleted += collected;
+            totalItems += total;
         }
 
         const percentage = totalItems > 0 ? Math.round((totalCompleted / totalItems) * 100) : 0;